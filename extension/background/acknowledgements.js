@@ -0,0 +1,136 @@
+// -----------------------------
+// Per-DSP acknowledgements (snooze follow-ups)
+// -----------------------------
+// When a DSP replies "on it" the user can acknowledge it from the popup, the
+// follow-up notification or the scheduling table. Escalation stages and
+// over-roster reminders then skip that DSP for that station and service type
+// until the snooze runs out. Every acknowledgement is also written to the
+// history database for later review.
+
+const DEFAULT_ACK_SNOOZE_MINUTES = 60;
+const ACK_NOTIFICATION_PREFIX = 'ackNotification_';
+
+function getAcknowledgementKey(stationId, serviceType, dsp) {
+    return `${stationId || PRIMARY_STATION_ID}|${serviceType}|${String(dsp || '').split(' ')[0].toUpperCase()}`;
+}
+
+// Active snoozes keyed by station|serviceType|DSP; expired ones are dropped
+async function getActiveAcknowledgements() {
+    const { acknowledgements = {} } = await browser.storage.local.get('acknowledgements');
+    const now = Date.now();
+    const active = Object.fromEntries(Object.entries(acknowledgements).filter(([, ack]) => ack && ack.until > now));
+    if (Object.keys(active).length !== Object.keys(acknowledgements).length) {
+        await browser.storage.local.set({ acknowledgements: active });
+    }
+    return active;
+}
+
+function isAcknowledged(acknowledgements, stationId, serviceType, dspName) {
+    return Boolean(acknowledgements[getAcknowledgementKey(stationId, serviceType, dspName)]);
+}
+
+async function acknowledgeDsps({ stationId, serviceType, dsps, minutes, source }) {
+    const parsed = parseInt(minutes, 10);
+    const snoozeMinutes = Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_ACK_SNOOZE_MINUTES;
+    const acknowledgedAt = Date.now();
+    const until = acknowledgedAt + snoozeMinutes * 60 * 1000;
+
+    const entries = (dsps || [])
+        .map(dsp => String(dsp || '').split(' ')[0].toUpperCase())
+        .filter(Boolean)
+        .map(dsp => ({
+            stationId: stationId || PRIMARY_STATION_ID,
+            serviceType,
+            dsp,
+            acknowledgedAt,
+            until,
+            snoozeMinutes,
+            source: source || 'popup'
+        }));
+    if (entries.length === 0) {
+        throw new Error('No DSP to acknowledge');
+    }
+
+    const acknowledgements = await getActiveAcknowledgements();
+    entries.forEach(entry => {
+        acknowledgements[getAcknowledgementKey(entry.stationId, entry.serviceType, entry.dsp)] = entry;
+    });
+    await browser.storage.local.set({ acknowledgements });
+    await recordAcknowledgements(entries);
+
+    console.log(`🔕 Acknowledged ${entries.map(e => e.dsp).join(', ')} for ${serviceType} until ${new Date(until).toLocaleTimeString()}`);
+    return entries;
+}
+
+async function clearAcknowledgement({ stationId, serviceType, dsp }) {
+    const acknowledgements = await getActiveAcknowledgements();
+    delete acknowledgements[getAcknowledgementKey(stationId, serviceType, dsp)];
+    await browser.storage.local.set({ acknowledgements });
+    console.log(`🔔 Follow-ups resumed for ${dsp} (${serviceType})`);
+}
+
+// DSPs with a pending escalation or over-roster follow-up, plus active snoozes
+async function getAlertAcknowledgements() {
+    const [all, acknowledgements, stations] = await Promise.all([
+        browser.storage.local.get(null),
+        getActiveAcknowledgements(),
+        getStationProfiles()
+    ]);
+
+    const alerts = {};
+    const addAlert = (stationId, serviceType, mismatch) => {
+        const key = getAcknowledgementKey(stationId, serviceType, mismatch.dspName);
+        if (alerts[key]) return;
+        alerts[key] = {
+            stationId,
+            serviceType,
+            dsp: mismatch.dspName.split(' ')[0].toUpperCase(),
+            dspName: mismatch.dspName,
+            confirmed: Number(mismatch.confirmed) || 0,
+            rostered: Number(mismatch.rostered) || 0,
+            acknowledgedUntil: acknowledgements[key]?.until || null
+        };
+    };
+
+    Object.entries(all).forEach(([key, data]) => {
+        if (!(key.startsWith('escalate_') || key.startsWith('followUp_')) || !Array.isArray(data?.mismatches)) return;
+        data.mismatches.forEach(mismatch => addAlert(data.stationId || PRIMARY_STATION_ID, data.serviceType, mismatch));
+    });
+    // Snoozed DSPs stay listed so they can be resumed
+    Object.entries(acknowledgements).forEach(([key, ack]) => {
+        if (!alerts[key]) {
+            alerts[key] = { ...ack, dspName: ack.dsp, confirmed: null, rostered: null, acknowledgedUntil: ack.until };
+        }
+    });
+
+    const stationNames = Object.fromEntries(stations.map(s => [s.id, getStationLabel(s)]));
+    return Object.values(alerts)
+        .map(alert => ({ ...alert, stationName: stationNames[alert.stationId] || '' }))
+        .sort((a, b) => a.serviceType.localeCompare(b.serviceType) || a.dsp.localeCompare(b.dsp));
+}
+
+// Remember which DSPs a follow-up notification was about, for its Acknowledge button
+async function rememberNotificationDsps(notificationId, station, serviceType, mismatches) {
+    await browser.storage.local.set({
+        [`${ACK_NOTIFICATION_PREFIX}${notificationId}`]: {
+            stationId: station?.id || PRIMARY_STATION_ID,
+            serviceType,
+            dsps: mismatches.map(m => m.dspName.split(' ')[0])
+        }
+    });
+}
+
+async function acknowledgeFromNotification(notificationId) {
+    const key = `${ACK_NOTIFICATION_PREFIX}${notificationId}`;
+    const { [key]: context } = await browser.storage.local.get(key);
+    await browser.storage.local.remove(key);
+    if (!context) {
+        console.warn('⚠️ No DSPs stored for notification:', notificationId);
+        return;
+    }
+    await acknowledgeDsps({ ...context, minutes: DEFAULT_ACK_SNOOZE_MINUTES, source: 'notification' });
+}
+
+browser.notifications.onClosed.addListener(notificationId => {
+    browser.storage.local.remove(`${ACK_NOTIFICATION_PREFIX}${notificationId}`).catch(() => {});
+});
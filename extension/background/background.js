@@ -1,3 +1,3 @@
-importScripts('core.js', 'risk-alerts.js', 'reattempts.js');
+importScripts('../shared/service-types.js', '../shared/message-templates.js', '../shared/webhook-destinations.js', '../shared/message-splitter.js', 'core.js', 'stations.js', 'readiness.js', 'history.js', 'escalation.js', 'acknowledgements.js', 'deadlines.js', 'inference.js', 'outbox.js', 'providers.js', 'rate-limiter.js', 'delivery.js', 'webhook-health.js', 'broadcasts.js', 'risk-alerts.js', 'reattempts.js');
 
 console.log('DSP Management background scripts initialised');
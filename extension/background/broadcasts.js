@@ -0,0 +1,149 @@
+// -----------------------------
+// Scheduled and recurring broadcasts
+// -----------------------------
+// Messages set up in the popup to go out later, either once (`at`) or on a
+// weekly recurrence ({ time, days } like the check schedules). Each broadcast
+// has a one-shot `broadcast_<id>` alarm that is re-armed after a recurring send.
+// Broadcasts sent to all DSPs resolve the station's webhooks when they fire.
+
+const BROADCAST_ALARM_PREFIX = 'broadcast_';
+// One-off broadcasts missed while the browser was closed still go out within this window
+const BROADCAST_GRACE_MINUTES = 60;
+
+async function getScheduledBroadcasts() {
+    const { scheduledBroadcasts = [] } = await browser.storage.local.get('scheduledBroadcasts');
+    return Array.isArray(scheduledBroadcasts) ? scheduledBroadcasts : [];
+}
+
+function normalizeBroadcast(input) {
+    const message = String(input?.message || '').trim();
+    if (!message) throw new Error('Broadcast message is empty');
+
+    const dsps = input.dsps === 'all'
+        ? 'all'
+        : (Array.isArray(input.dsps) ? input.dsps.map(d => String(d).trim().toUpperCase()).filter(Boolean) : []);
+    if (dsps !== 'all' && dsps.length === 0) throw new Error('Select at least one DSP');
+
+    const broadcast = {
+        id: String(input.id || '').replace(/[^A-Za-z0-9]/g, '') || generateCheckId(),
+        message,
+        stationId: input.stationId || PRIMARY_STATION_ID,
+        dsps,
+        createdAt: Number(input.createdAt) || Date.now(),
+        lastSentAt: Number(input.lastSentAt) || null
+    };
+
+    if (input.recurrence) {
+        const entry = normalizeCheckEntry({ id: broadcast.id, time: input.recurrence.time, days: input.recurrence.days });
+        if (!entry || entry.days.length === 0) throw new Error('Pick a time and at least one weekday');
+        broadcast.recurrence = { time: entry.time, days: entry.days };
+    } else {
+        const at = Number(input.at);
+        if (!Number.isFinite(at) || at <= Date.now()) throw new Error('Pick a time in the future');
+        broadcast.at = at;
+    }
+    return broadcast;
+}
+
+function getNextBroadcastTime(broadcast) {
+    return broadcast.recurrence ? getNextCheckTime(broadcast.recurrence) : broadcast.at;
+}
+
+async function scheduleBroadcastAlarm(broadcast) {
+    const when = getNextBroadcastTime(broadcast);
+    if (!when) return null;
+    await browser.alarms.create(`${BROADCAST_ALARM_PREFIX}${broadcast.id}`, { when: Math.max(when, Date.now() + 1000) });
+    console.log(`📅 Broadcast ${broadcast.id} scheduled for ${new Date(when).toLocaleString()}`);
+    return when;
+}
+
+// Creates or replaces a broadcast (same id) and arms its alarm
+async function saveScheduledBroadcast(input) {
+    const broadcast = normalizeBroadcast(input);
+    const broadcasts = (await getScheduledBroadcasts()).filter(b => b.id !== broadcast.id);
+    broadcasts.push(broadcast);
+    await browser.storage.local.set({ scheduledBroadcasts: broadcasts });
+    await scheduleBroadcastAlarm(broadcast);
+    return broadcast;
+}
+
+async function cancelScheduledBroadcast(id) {
+    const broadcasts = await getScheduledBroadcasts();
+    await browser.storage.local.set({ scheduledBroadcasts: broadcasts.filter(b => b.id !== id) });
+    await browser.alarms.clear(`${BROADCAST_ALARM_PREFIX}${id}`);
+    console.log(`🗑️ Broadcast ${id} cancelled`);
+}
+
+// Upcoming broadcasts, soonest first, for the popup list
+async function getUpcomingBroadcasts() {
+    const stations = await getStationProfiles();
+    return (await getScheduledBroadcasts())
+        .map(broadcast => ({
+            ...broadcast,
+            nextRunAt: getNextBroadcastTime(broadcast),
+            schedule: broadcast.recurrence
+                ? `${formatWeekdays(broadcast.recurrence.days)} at ${broadcast.recurrence.time}`
+                : 'Once',
+            stationName: stations.find(s => s.id === broadcast.stationId)?.name || ''
+        }))
+        .sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity));
+}
+
+async function handleBroadcastAlarm(alarmName) {
+    const id = alarmName.slice(BROADCAST_ALARM_PREFIX.length);
+    const broadcasts = await getScheduledBroadcasts();
+    const broadcast = broadcasts.find(b => b.id === id);
+    if (!broadcast) {
+        console.log(`🗑️ No broadcast for ${alarmName}, alarm dropped`);
+        return;
+    }
+
+    // Recurring broadcasts are re-armed first so a failed send never drops the schedule
+    if (broadcast.recurrence) {
+        await scheduleBroadcastAlarm(broadcast);
+    }
+
+    try {
+        await sendBroadcast(broadcast);
+    } catch (error) {
+        console.error(`❌ Broadcast ${id} failed:`, error);
+    }
+
+    const remaining = (await getScheduledBroadcasts())
+        .map(b => b.id === id ? { ...b, lastSentAt: Date.now() } : b)
+        .filter(b => b.id !== id || b.recurrence);
+    await browser.storage.local.set({ scheduledBroadcasts: remaining });
+}
+
+async function sendBroadcast(broadcast) {
+    // No fallback to the primary station: its DSPs never asked for this message
+    const station = (await getStationProfiles()).find(s => s.id === broadcast.stationId);
+    if (!station) throw new Error(`Station ${broadcast.stationId} no longer exists`);
+    const webhooks = station.webhooks || {};
+    const dsps = broadcast.dsps === 'all'
+        ? Object.keys(webhooks).filter(dsp => WebhookDestinations.forJob(webhooks[dsp], 'broadcast').length > 0)
+        : broadcast.dsps;
+    const message = await formatManualMessage(broadcast.message);
+
+    let sent = 0;
+    for (const dsp of dsps) {
+        const result = await sendWebhookMessage(dsp, message, station, 'broadcast');
+        if (result.success) sent++;
+    }
+    console.log(`📢 Broadcast ${broadcast.id} sent to ${sent} of ${dsps.length} DSPs`);
+    return { sent, total: dsps.length };
+}
+
+// Re-arm every broadcast after a browser restart; stale one-off broadcasts are dropped
+async function restoreBroadcastAlarms() {
+    const now = Date.now();
+    const broadcasts = await getScheduledBroadcasts();
+    const kept = broadcasts.filter(b => b.recurrence || b.at > now - BROADCAST_GRACE_MINUTES * 60 * 1000);
+    if (kept.length !== broadcasts.length) {
+        console.log(`⌛ Dropped ${broadcasts.length - kept.length} missed one-off broadcast(s)`);
+        await browser.storage.local.set({ scheduledBroadcasts: kept });
+    }
+    for (const broadcast of kept) {
+        await scheduleBroadcastAlarm(broadcast);
+    }
+}
@@ -1,9 +1,10 @@
 // background/background.js - Enhanced with multi-service type support
 let TEMP_MANIFEST_MAP = {};
 
-async function getWebhookUrl(dspCode) {
-    const { webhooks = {} } = await browser.storage.local.get('webhooks');
-    return webhooks[dspCode];
+// Destinations of a DSP subscribed to the job's message category (see shared/webhook-destinations.js)
+async function getWebhookDestinations(dspCode, station, job) {
+    const webhooks = station ? station.webhooks || {} : (await browser.storage.local.get('webhooks')).webhooks || {};
+    return WebhookDestinations.forJob(webhooks[dspCode], job);
 }
 
 async function getNotificationSettings() {
@@ -12,41 +13,54 @@ async function getNotificationSettings() {
 }
 
 async function getServiceTypeSettings() {
+    await serviceTypesReady;
     const { 
-        serviceTypes = {
-            'cycle1': true,     // Standard Parcel - default enabled
-            'samedayB': false,  // Multi-Use
-            'samedayC': false   // Sameday Parcel
-        }
+        serviceTypes = ServiceTypeRegistry.defaultEnabledMap(Object.values(SERVICE_TYPES))
     } = await browser.storage.local.get('serviceTypes');
     return serviceTypes;
 }
 
-// Service type configuration
-const SERVICE_TYPES = {
-    cycle1: {
-        name: 'Standard Parcel',
-        displayName: 'Cycle 1 (Standard Parcel)',
-        alarms: [
-            { name: 'checkDSP_cycle1_14', hour: 14, minute: 0 },
-            { name: 'checkDSP_cycle1_1530', hour: 15, minute: 30 }
-        ]
-    },
-    samedayB: {
-        name: 'Multi-Use',
-        displayName: 'Sameday B (Multi-Use)',
-        alarms: [
-            { name: 'checkDSP_samedayB_10', hour: 10, minute: 0 }
-        ]
-    },
-    samedayC: {
-        name: 'Sameday Parcel',
-        displayName: 'Sameday C (Sameday Parcel)',
-        alarms: [
-            { name: 'checkDSP_samedayC_1415', hour: 14, minute: 15 }
-        ]
+// Service type configuration, keyed by id. Starts from the built-in registry and is
+// replaced by the user's registry (shared/service-types.js) once storage is read.
+let SERVICE_TYPES = ServiceTypeRegistry.toMap(ServiceTypeRegistry.normalizeList(ServiceTypeRegistry.DEFAULTS));
+let serviceTypesReady = refreshServiceTypes();
+
+async function refreshServiceTypes() {
+    SERVICE_TYPES = ServiceTypeRegistry.toMap(await ServiceTypeRegistry.load());
+    return SERVICE_TYPES;
+}
+
+async function updateServiceTypeRegistry(entries) {
+    const cleaned = ServiceTypeRegistry.normalizeList(entries);
+    if (cleaned.length === 0) {
+        throw new Error('At least one service type is required');
     }
-};
+    await browser.storage.local.set({ [ServiceTypeRegistry.STORAGE_KEY]: cleaned });
+    serviceTypesReady = refreshServiceTypes();
+    await serviceTypesReady;
+
+    const notificationsEnabled = await getNotificationSettings();
+    if (notificationsEnabled) {
+        await createServiceTypeAlarms();
+    }
+    console.log(`✅ Service type registry updated (${cleaned.length} types)`);
+    return cleaned;
+}
+
+// Weekdays use Date#getDay() numbering (0 = Sunday)
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Default check schedule of a service type (the registry entry's check times on every
+// day), used until the user edits it in options. Ids run cycle1a, cycle1b, ...
+function getDefaultCheckSchedule(serviceType) {
+    const times = SERVICE_TYPES[serviceType]?.checkTimes || [];
+    return times.map((time, index) => ({
+        id: `${serviceType}${String.fromCharCode(97 + index)}`,
+        time,
+        days: ALL_WEEKDAYS
+    }));
+}
 
 // Set up extension
 browser.runtime.onInstalled.addListener(async () => {
@@ -57,6 +71,9 @@ browser.runtime.onInstalled.addListener(async () => {
     // Configure 30-min risk scan alarm if enabled
     await configureRiskAlarm();
     await configureFailedReattemptsAlarm();
+    await configureWebhookHealthAlarm();
+    await restoreBroadcastAlarms();
+    await migrateEscalationStageTemplates();
     console.log('DSP Management Tool installed, notifications:', notificationsEnabled ? 'enabled' : 'disabled');
 });
 
@@ -73,54 +90,158 @@ browser.runtime.onStartup.addListener(async () => {
         // Ensure risk alarm per settings
         await configureRiskAlarm();
         await configureFailedReattemptsAlarm();
+        await configureWebhookHealthAlarm();
+        await restoreBroadcastAlarms();
+        // Pick up retries left over from the last session
+        await processDeliveryQueue();
     } catch (e) {
         console.warn('Error ensuring alarms on startup:', e);
     }
 });
 
+// Check schedule per service type for `station`. The primary station's schedules are
+// stored under `checkSchedules`; an additional station uses its profile's own list for
+// the service types it sets and the primary station's for the rest.
+async function getCheckSchedules(station = null) {
+    const { checkSchedules = {} } = await browser.storage.local.get('checkSchedules');
+    const schedules = {};
+    for (const serviceType of Object.keys(SERVICE_TYPES)) {
+        const own = station?.checkSchedules?.[serviceType];
+        const stored = Array.isArray(own) ? own : checkSchedules[serviceType];
+        const entries = Array.isArray(stored) ? stored : getDefaultCheckSchedule(serviceType);
+        schedules[serviceType] = entries.map(normalizeCheckEntry).filter(Boolean);
+    }
+    return schedules;
+}
+
+function normalizeCheckEntry(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const match = String(entry.time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    if (hour > 23 || minute > 59) return null;
+    const id = String(entry.id || '').replace(/[^A-Za-z0-9]/g, '') || generateCheckId();
+    const days = Array.isArray(entry.days)
+        ? ALL_WEEKDAYS.filter(d => entry.days.map(Number).includes(d))
+        : ALL_WEEKDAYS.slice();
+    return { id, time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, days };
+}
+
+function generateCheckId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+async function updateCheckSchedules(schedules) {
+    const cleaned = {};
+    for (const serviceType of Object.keys(SERVICE_TYPES)) {
+        const entries = Array.isArray(schedules?.[serviceType]) ? schedules[serviceType] : [];
+        cleaned[serviceType] = entries.map(normalizeCheckEntry).filter(Boolean);
+    }
+    await browser.storage.local.set({ checkSchedules: cleaned });
+
+    const notificationsEnabled = await getNotificationSettings();
+    if (notificationsEnabled) {
+        await createServiceTypeAlarms();
+    }
+    console.log('✅ Check schedules updated:', cleaned);
+    return cleaned;
+}
+
 async function createServiceTypeAlarms() {
     try {
         console.log('🔔 Creating service type alarms...');
+        await serviceTypesReady;
         
         // Clear all existing alarms first
         await clearAllAlarms();
         
-        const serviceTypeSettings = await getServiceTypeSettings();
-        console.log('📋 Service type settings:', serviceTypeSettings);
-        
-        // Create alarms for enabled service types
-        for (const [serviceType, enabled] of Object.entries(serviceTypeSettings)) {
-            if (enabled && SERVICE_TYPES[serviceType]) {
-                await createAlarmsForServiceType(serviceType);
+        // Every enabled station gets its own alarms on its own schedule
+        const stations = await getStationProfiles({ enabledOnly: true });
+        for (const station of stations) {
+            const schedules = await getCheckSchedules(station);
+            for (const [serviceType, enabled] of Object.entries(station.serviceTypes || {})) {
+                if (enabled && SERVICE_TYPES[serviceType]) {
+                    await createAlarmsForServiceType(station, serviceType, schedules[serviceType] || []);
+                }
             }
         }
         
+        // T-minus deadline reminders follow the same enabled service types
+        await createDeadlineReminderAlarms();
+
         console.log('✅ Service type alarms created successfully');
     } catch (error) {
         console.error('❌ Error creating service type alarms:', error);
     }
 }
 
-async function createAlarmsForServiceType(serviceType) {
+// A service type is scheduled when any enabled station has it turned on
+async function getEnabledServiceTypesAcrossStations() {
+    const stations = await getStationProfiles({ enabledOnly: true });
+    const enabled = {};
+    stations.forEach(station => {
+        Object.entries(station.serviceTypes || {}).forEach(([serviceType, on]) => {
+            if (on) enabled[serviceType] = true;
+        });
+    });
+    return enabled;
+}
+
+async function createAlarmsForServiceType(station, serviceType, entries) {
     const config = SERVICE_TYPES[serviceType];
     if (!config) return;
     
-    console.log(`⏰ Creating alarms for ${config.displayName}`);
+    console.log(`⏰ Creating alarms for ${config.displayName} (${getStationLabel(station) || station.id})`);
     
-    for (const alarm of config.alarms) {
-        await browser.alarms.create(alarm.name, {
-            when: getNextAlarmTime(alarm.hour, alarm.minute),
-            periodInMinutes: 24 * 60 // Daily
-        });
-        
-        console.log(`✅ Created alarm: ${alarm.name} at ${alarm.hour}:${alarm.minute.toString().padStart(2, '0')}`);
+    for (const entry of entries) {
+        await scheduleCheckAlarm(station, serviceType, entry);
+    }
+}
+
+async function scheduleCheckAlarm(station, serviceType, entry) {
+    const when = getNextCheckTime(entry);
+    if (!when) {
+        console.log(`ℹ️ Skipping ${serviceType} check ${entry.time}: no weekdays selected`);
+        return;
     }
+    const name = buildCheckAlarmName(station.id, serviceType, entry.id);
+    // One-shot alarm; it is re-armed for the next matching weekday each time it fires
+    await browser.alarms.create(name, { when });
+    console.log(`✅ Created alarm: ${name} at ${entry.time} (${formatWeekdays(entry.days)})`);
+}
+
+// Checks share the Scheduling tab, so stations whose alarms fire together run one after another
+let scheduledChecks = Promise.resolve();
+
+function queueScheduledCheck(check) {
+    const run = scheduledChecks.then(check);
+    scheduledChecks = run.catch(() => {});
+    return run;
+}
+
+function buildCheckAlarmName(stationId, serviceType, checkId) {
+    return `checkDSP_${stationId}_${serviceType}_${checkId}`;
+}
+
+// Alarms armed before schedules were per station have no station part and belong to the primary
+function parseCheckAlarmName(name) {
+    const parts = String(name || '').split('_');
+    if (parts[0] !== 'checkDSP') return null;
+    if (parts.length === 3) return { stationId: PRIMARY_STATION_ID, serviceType: parts[1], checkId: parts[2] };
+    if (parts.length !== 4) return null;
+    return { stationId: parts[1], serviceType: parts[2], checkId: parts[3] };
+}
+
+async function findCheckEntry(station, serviceType, checkId) {
+    const schedules = await getCheckSchedules(station);
+    return (schedules[serviceType] || []).find(entry => entry.id === checkId) || null;
 }
 
 async function clearAllAlarms() {
     const existingAlarms = await browser.alarms.getAll();
     for (const alarm of existingAlarms) {
-        if (alarm.name.startsWith('checkDSP_')) {
+        if (alarm.name.startsWith('checkDSP_') || alarm.name.startsWith('deadline_')) {
             await browser.alarms.clear(alarm.name);
             console.log(`🗑️ Cleared alarm: ${alarm.name}`);
         }
@@ -137,9 +258,34 @@ function getNextAlarmTime(hours, minutes) {
     return next.getTime();
 }
 
+function getNextCheckTime(entry) {
+    if (!entry || !Array.isArray(entry.days) || entry.days.length === 0) return null;
+    const [hours, minutes] = entry.time.split(':').map(x => parseInt(x, 10));
+    const now = new Date();
+    for (let offset = 0; offset <= 7; offset++) {
+        const candidate = new Date(now);
+        candidate.setDate(now.getDate() + offset);
+        candidate.setHours(hours, minutes, 0, 0);
+        if (candidate > now && entry.days.includes(candidate.getDay())) {
+            return candidate.getTime();
+        }
+    }
+    return null;
+}
+
+function formatWeekdays(days) {
+    if (!Array.isArray(days) || days.length === 0) return 'no days';
+    if (days.length === 7) return 'daily';
+    const weekdays = [1, 2, 3, 4, 5];
+    if (days.length === 5 && weekdays.every(d => days.includes(d))) return 'Mon–Fri';
+    // List Monday first to match the options editor
+    return [1, 2, 3, 4, 5, 6, 0].filter(d => days.includes(d)).map(d => WEEKDAY_LABELS[d]).join(', ');
+}
+
 // Handle alarms
 browser.alarms.onAlarm.addListener(async (alarm) => {
     console.log(`🔔 Alarm triggered: ${alarm.name}`);
+    await serviceTypesReady;
     
     if (alarm.name.startsWith('checkDSP_')) {
         // Double-check if notifications are still enabled
@@ -150,28 +296,43 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
             return;
         }
         
-        // Determine service type from alarm name
-        let serviceType = null;
-        let alarmTime = '';
-        
-        if (alarm.name.includes('cycle1')) {
-            serviceType = 'cycle1';
-            alarmTime = alarm.name.includes('_14') ? '14:00' : '15:30';
-        } else if (alarm.name.includes('samedayB')) {
-            serviceType = 'samedayB';
-            alarmTime = '10:00';
-        } else if (alarm.name.includes('samedayC')) {
-            serviceType = 'samedayC';
-            alarmTime = '14:15';
+        const parsed = parseCheckAlarmName(alarm.name);
+        const station = parsed
+            ? (await getStationProfiles({ enabledOnly: true })).find(s => s.id === parsed.stationId)
+            : null;
+        const entry = station?.serviceTypes?.[parsed.serviceType]
+            ? await findCheckEntry(station, parsed.serviceType, parsed.checkId)
+            : null;
+        if (!entry) {
+            console.log(`🗑️ No schedule entry for ${alarm.name}, clearing stale alarm`);
+            await browser.alarms.clear(alarm.name);
+            return;
         }
-        
-        if (serviceType) {
-            console.log(`🎯 Processing ${serviceType} check at ${alarmTime}`);
-            await checkDSPMismatches(serviceType, alarm.name);
+
+        // Re-arm before running so a failed check never drops the schedule
+        await scheduleCheckAlarm(station, parsed.serviceType, entry);
+
+        console.log(`🎯 Processing ${parsed.serviceType} check at ${entry.time} for ${getStationLabel(station) || station.id}`);
+        try {
+            await queueScheduledCheck(() => checkDSPMismatches(parsed.serviceType, alarm.name, station));
+        } catch (error) {
+            console.error(`❌ Scheduled check failed for station ${station.name || station.id}:`, error);
+        }
+    } else if (alarm.name.startsWith('deadline_')) {
+        const notificationsEnabled = await getNotificationSettings();
+        if (!notificationsEnabled) {
+            console.log('❌ Notifications disabled, skipping deadline reminder');
+            await clearAllAlarms();
+            return;
         }
-    } else if (alarm.name.startsWith('followUp_')) {
-        // Handle follow-up notifications (15 minutes after initial)
-        await handleFollowUpNotification(alarm.name);
+        await handleDeadlineReminderAlarm(alarm.name);
+    } else if (alarm.name.startsWith('escalate_') || alarm.name.startsWith('followUp_')) {
+        // Escalation ladder stages after the initial alert (see escalation.js)
+        await handleEscalationAlarm(alarm.name);
+    } else if (alarm.name.startsWith(BROADCAST_ALARM_PREFIX)) {
+        await handleBroadcastAlarm(alarm.name);
+    } else if (alarm.name === DELIVERY_RETRY_ALARM) {
+        await processDeliveryQueue();
     }
 });
 
@@ -179,6 +340,7 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
 browser.runtime.onMessage.addListener(async (request, sender) => {
     try {
         console.log('📨 Background received message:', request);
+        await serviceTypesReady;
 
         switch (request.action) {
             case "manualCheck":
@@ -186,19 +348,35 @@ browser.runtime.onMessage.addListener(async (request, sender) => {
                 await checkAllEnabledServiceTypes();
                 return { success: true };
                 
+            case "getEscalationLadder":
+                return { success: true, stages: await getEscalationLadder() };
+
+            case "updateEscalationLadder": {
+                const stages = await updateEscalationLadder(request.stages);
+                return { success: true, stages };
+            }
+
+            case "getStations":
+                return { success: true, stations: await getStationProfiles() };
+
+            case "updateStations": {
+                const stations = await updateStations(request.stations);
+                return { success: true, stations };
+            }
+
             case "sendMessage": {
-                // Optionally wrap manual messages for Chime markdown
-                let msg = request.message || '';
-                try {
-                    const { settings = {} } = await browser.storage.local.get('settings');
-                    const chimeFmt = settings.formatManualMessagesForChime !== false; // default true
-                    if (chimeFmt && typeof msg === 'string' && !msg.trim().startsWith('/md')) {
-                        msg = `/md ${msg}`;
-                    }
-                } catch (e) {
-                    console.warn('⚠️ Could not load settings for message formatting');
+                // Row buttons on the scheduling page send the standard alert for that row
+                const fromPage = !request.stationId && sender?.tab?.url;
+                const station = fromPage
+                    ? await findStationForUrl(sender.tab.url)
+                    : await getStation(request.stationId);
+                if (request.mismatch) {
+                    const deadline = (await getRosterDeadlines())[request.serviceType];
+                    return await sendWebhookMessage(request.dsp, await buildMismatchAlertMessage(request.mismatch, request.serviceType, deadline), station, 'row-alert');
                 }
-                return await sendWebhookMessage(request.dsp, msg);
+
+                const msg = await formatManualMessage(request.message || '');
+                return await sendWebhookMessage(request.dsp, msg, station, request.job || 'manual-message');
             }
                 
             case "updateNotificationSettings":
@@ -211,10 +389,156 @@ browser.runtime.onMessage.addListener(async (request, sender) => {
                 
             case "getAlarmStatus":
                 return await getAlarmStatus();
+
+            case "pageReady":
+                if (sender?.tab?.id != null) handlePageReadyReport(sender.tab.id, request);
+                return { success: true };
+
+            case "waitForPageReady": {
+                const options = { since: request.since || 0 };
+                const ready = request.pageType
+                    ? await waitForPageReady(request.tabId, request.pageType, options)
+                    : await waitForTabLoaded(request.tabId, options);
+                return { success: true, ready };
+            }
+
+            case "getRosterHistory": {
+                const { entries, truncated } = await queryRosterHistory(request.filters || {});
+                return { success: true, entries, truncated };
+            }
+
+            case "clearRosterHistory":
+                await clearRosterHistory();
+                return { success: true };
+
+            case "testWebhook": {
+                const station = request.stationId ? await getStation(request.stationId) : null;
+                const result = await testWebhook({ ...request.destination, station });
+                return { success: true, ...result };
+            }
+
+            case "runWebhookHealthCheck":
+                return { success: true, ...(await runWebhookHealthCheck()) };
+
+            case "getWebhookHealth":
+                return { success: true, ...(await getWebhookHealthSummary()) };
+
+            case "configureWebhookHealthAlarm":
+                await configureWebhookHealthAlarm();
+                return { success: true };
+
+            case "getMessageAudit": {
+                const { entries, truncated } = await queryMessageAudit(request.filters || {});
+                return { success: true, entries, truncated };
+            }
+
+            case "clearMessageAudit":
+                await clearMessageAudit();
+                return { success: true };
+
+            case "getAlertAcknowledgements":
+                return { success: true, alerts: await getAlertAcknowledgements() };
+
+            case "getAcknowledgementHistory":
+                return { success: true, entries: await queryAcknowledgements() };
+
+            case "acknowledgeDsp": {
+                // The scheduling table sends no station; match it from the tab URL
+                const stationId = request.stationId
+                    || (sender?.tab?.url ? (await findStationForUrl(sender.tab.url)).id : PRIMARY_STATION_ID);
+                const entries = await acknowledgeDsps({
+                    stationId,
+                    serviceType: request.serviceType,
+                    dsps: request.dsps || [request.dsp],
+                    minutes: request.minutes,
+                    source: request.source || (sender?.tab ? 'table' : 'popup')
+                });
+                return { success: true, until: entries[0].until };
+            }
+
+            case "clearAcknowledgement":
+                await clearAcknowledgement(request);
+                return { success: true };
+
+            case "getRosterDeadlines":
+                return { success: true, deadlines: await getRosterDeadlines() };
+
+            case "updateRosterDeadlines": {
+                const deadlines = await updateRosterDeadlines(request.deadlines);
+                return { success: true, deadlines };
+            }
+
+            case "getDryRunOutbox":
+                return { success: true, enabled: await isDryRunEnabled(), entries: await getDryRunOutbox() };
+
+            case "clearDryRunOutbox":
+                await clearDryRunOutbox();
+                return { success: true };
+
+            case "getScheduledBroadcasts":
+                return { success: true, broadcasts: await getUpcomingBroadcasts() };
+
+            case "saveScheduledBroadcast": {
+                const broadcast = await saveScheduledBroadcast(request.broadcast);
+                return { success: true, broadcast };
+            }
+
+            case "cancelScheduledBroadcast":
+                await cancelScheduledBroadcast(request.id);
+                return { success: true };
+
+            case "getDeliveryQueue":
+                return { success: true, items: await getDeliveryQueueState() };
+
+            case "retryDelivery": {
+                const result = await retryDelivery(request.id);
+                return { success: true, ...result };
+            }
+
+            case "discardDelivery":
+                await discardDelivery(request.id);
+                return { success: true };
+
+            case "getServiceTypeRegistry":
+                return { success: true, serviceTypes: Object.values(await refreshServiceTypes()) };
+
+            case "updateServiceTypeRegistry": {
+                const serviceTypes = await updateServiceTypeRegistry(request.serviceTypes);
+                return { success: true, serviceTypes };
+            }
+
+            case "getCheckSchedules":
+                return { success: true, schedules: await getCheckSchedules() };
+
+            case "updateCheckSchedules": {
+                const schedules = await updateCheckSchedules(request.schedules);
+                return { success: true, schedules };
+            }
                 
-            case "serviceTypesInferred":
-                await handleServiceTypesInferred(request.detectedTypes, request.updatedSettings);
+            case "serviceTypesInferred": {
+                // Pages of additional stations are opened by their own checks; match them like the tab URL does
+                const stationId = request.stationId
+                    || (sender?.tab?.url ? (await findStationForUrl(sender.tab.url)).id : PRIMARY_STATION_ID);
+                const result = await handleServiceTypesInferred(request.detectedTypes, stationId);
+                return { success: true, ...result };
+            }
+
+            case "getServiceTypeInference":
+                return { success: true, ...(await getServiceTypeInferenceState()) };
+
+            case "acceptServiceTypeSuggestion": {
+                const serviceTypes = await acceptServiceTypeSuggestion();
+                return { success: true, serviceTypes };
+            }
+
+            case "dismissServiceTypeSuggestion":
+                await dismissServiceTypeSuggestion();
                 return { success: true };
+
+            case "setServiceTypePinned": {
+                const pins = await setServiceTypePinned(request.serviceType, request.pinned !== false);
+                return { success: true, pins };
+            }
             case "configureRiskAlarm":
                 await configureRiskAlarm();
                 return { success: true };
@@ -292,36 +616,34 @@ async function updateServiceTypeSettings(serviceTypes) {
 }
 
 async function checkAllEnabledServiceTypes() {
-    const serviceTypeSettings = await getServiceTypeSettings();
-    
-    for (const [serviceType, enabled] of Object.entries(serviceTypeSettings)) {
-        if (enabled) {
-            console.log(`🔍 Manual check for ${serviceType}`);
-            await checkDSPMismatches(serviceType, `manual_${serviceType}`);
+    const stations = await getStationProfiles({ enabledOnly: true });
+
+    for (const station of stations) {
+        for (const [serviceType, enabled] of Object.entries(station.serviceTypes || {})) {
+            if (enabled) {
+                console.log(`🔍 Manual check for ${serviceType} (${getStationLabel(station) || station.id})`);
+                await checkDSPMismatches(serviceType, `manual_${serviceType}`, station);
+            }
         }
     }
 }
 
-async function checkDSPMismatches(serviceType, alarmName) {
+// `options.reminderMinutes` turns the check into a T-minus deadline reminder
+async function checkDSPMismatches(serviceType, alarmName, station, options = {}) {
+    station = station || await getStation(PRIMARY_STATION_ID);
     try {
-        console.log(`🔍 Starting DSP mismatch check for ${serviceType}...`);
+        console.log(`🔍 Starting DSP mismatch check for ${serviceType} (${getStationLabel(station) || station.id})...`);
 
-        // Compute date parameter: cycle1 = today+1, others = today
+        // Compute date parameter from the service type's date offset
         const dateStr = getServiceDateParam(serviceType);
-        const { settings = {} } = await browser.storage.local.get('settings');
-        const serviceAreaId = settings.serviceAreaId || '';
-        const baseConfigured = settings.schedulingBaseUrl || '';
-
-        const baseUrl = baseConfigured || 'https://logistics.amazon.co.uk/internal/scheduling/dsps' + (serviceAreaId ? `?serviceAreaId=${encodeURIComponent(serviceAreaId)}` : '');
-        const urlObj = new URL(baseUrl, 'https://logistics.amazon.co.uk');
-        urlObj.searchParams.set('date', dateStr);
-        const targetUrl = urlObj.toString();
+        const targetUrl = buildStationSchedulingUrl(station, dateStr);
 
         // Reuse an existing rostering tab if present; otherwise open one
         const tabs = await browser.tabs.query({ url: 'https://logistics.amazon.co.uk/internal/scheduling/dsps*' });
 
         let dspTab;
         let createdNewTab = false;
+        const navigatedAt = Date.now();
 
         if (tabs.length > 0) {
             dspTab = tabs[0];
@@ -334,9 +656,9 @@ async function checkDSPMismatches(serviceType, alarmName) {
             createdNewTab = true;
         }
 
-        // Wait for page to load
-        console.log('⏳ Waiting for page to load...');
-        await new Promise(resolve => setTimeout(resolve, 6000));
+        // Wait for the scheduling table to render
+        console.log('⏳ Waiting for scheduling table...');
+        await waitForPageReady(dspTab.id, 'scheduling', { since: navigatedAt });
 
         try {
             console.log('📡 Sending message to content script...');
@@ -347,15 +669,32 @@ async function checkDSPMismatches(serviceType, alarmName) {
             
             console.log('📊 Mismatch check response:', response);
 
-            if (response && response.mismatches && response.mismatches.length > 0) {
+            let alertResults = [];
+            let checkType = String(alarmName || '').startsWith('manual_') ? 'manual' : 'scheduled';
+            if (options.reminderMinutes) {
+                checkType = 'reminder';
+                alertResults = await sendDeadlineReminders(response?.mismatches || [], serviceType, station, options.reminderMinutes);
+            } else if (response?.mismatches?.length > 0 && await isPastRosterDeadline(serviceType)) {
+                console.log(`⌛ ${serviceType} roster deadline has passed, recording ${response.mismatches.length} mismatches without alerts`);
+            } else if (response && response.mismatches && response.mismatches.length > 0) {
                 console.log(`🚨 Found ${response.mismatches.length} mismatches for ${serviceType}`);
-                await sendMismatchNotifications(response.mismatches, serviceType);
+                alertResults = await sendMismatchNotifications(response.mismatches, serviceType, station);
                 
-                // Schedule follow-up notification for 15 minutes later
-                await scheduleFollowUpNotification(response.mismatches, serviceType, alarmName);
+                // Arm the escalation ladder for DSPs that stay short
+                await scheduleEscalation(response.mismatches, serviceType, alarmName, station);
             } else {
                 console.log(`✅ No mismatches found for ${serviceType}`);
             }
+
+            await recordRosterCheck({
+                stationId: station.id,
+                serviceType,
+                checkType,
+                date: dateStr,
+                totals: response?.totals,
+                mismatches: response?.mismatches,
+                alertResults
+            });
         } catch (messageError) {
             console.error('❌ Error communicating with content script:', messageError);
         }
@@ -381,106 +720,11 @@ async function checkDSPMismatches(serviceType, alarmName) {
 }
 
 function getServiceDateParam(serviceType) {
-    // Use local time
-    const now = new Date();
-    const date = new Date(now);
-    if (serviceType === 'cycle1') {
-        date.setDate(date.getDate() + 1);
-    }
-    const yyyy = date.getFullYear();
-    const mm = String(date.getMonth() + 1).padStart(2, '0');
-    const dd = String(date.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-}
-
-function needsFollowUp(mismatch) {
-    const confirmed = Number(mismatch?.confirmed) || 0;
-    const rostered = Number(mismatch?.rostered) || 0;
-    if (confirmed <= 0) {
-        return true;
-    }
-    const ratio = rostered / confirmed;
-    return ratio < 0.75;
-}
-
-async function scheduleFollowUpNotification(mismatches, serviceType, originalAlarmName) {
-    try {
-        const candidates = (mismatches || []).filter(needsFollowUp);
-        if (candidates.length === 0) {
-            console.log('✅ Skipping follow-up alarm – all DSPs are at least 75% rostered');
-            return;
-        }
-        const followUpAlarmName = `followUp_${originalAlarmName}_${Date.now()}`;
-        const followUpTime = Date.now() + (15 * 60 * 1000); // 15 minutes from now
-        
-        // Store mismatch data for follow-up
-        await browser.storage.local.set({
-            [`followUp_${followUpAlarmName}`]: {
-                mismatches: candidates,
-                serviceType,
-                originalAlarmName,
-                scheduledTime: followUpTime
-            }
-        });
-        
-        // Create follow-up alarm
-        await browser.alarms.create(followUpAlarmName, {
-            when: followUpTime
-        });
-        
-        console.log(`⏰ Scheduled follow-up notification for ${serviceType} in 15 minutes`);
-    } catch (error) {
-        console.error('❌ Error scheduling follow-up notification:', error);
-    }
-}
-
-async function handleFollowUpNotification(alarmName) {
-    try {
-        console.log(`🔔 Processing follow-up notification: ${alarmName}`);
-        
-        // Get stored follow-up data
-        const followUpKey = `followUp_${alarmName}`;
-        const result = await browser.storage.local.get(followUpKey);
-        const followUpData = result[followUpKey];
-        
-        if (!followUpData) {
-            console.warn('⚠️ No follow-up data found for:', alarmName);
-            return;
-        }
-        
-        // Check if mismatches still exist
-        const currentMismatches = await recheckMismatches(followUpData.serviceType);
-        
-        // Find DSPs that still have mismatches
-        const stillMismatched = followUpData.mismatches.filter(originalMismatch => {
-            const current = currentMismatches.find(currentMismatch => currentMismatch.dspName === originalMismatch.dspName);
-            if (!current) {
-                return false;
-            }
-            return needsFollowUp(current);
-        });
-        
-        if (stillMismatched.length > 0) {
-            console.log(`🚨 ${stillMismatched.length} DSPs still have mismatches after 15 minutes`);
-            
-            // Send browser notification to user
-            await sendBrowserNotification(stillMismatched, followUpData.serviceType);
-            
-            // Optionally send additional webhook notifications
-            await sendFollowUpWebhookNotifications(stillMismatched, followUpData.serviceType);
-        } else {
-            console.log('✅ All mismatches resolved within 15 minutes');
-        }
-        
-        // Clean up stored follow-up data
-        await browser.storage.local.remove(followUpKey);
-        
-    } catch (error) {
-        console.error('❌ Error handling follow-up notification:', error);
-    }
+    // Local date shifted by the service type's date offset (Cycle 1 = tomorrow)
+    return ServiceTypeRegistry.formatDate(SERVICE_TYPES[serviceType]?.dateOffset);
 }
 
-async function recheckMismatches(serviceType) {
+async function recheckMismatches(serviceType, station) {
     try {
         console.log(`🔄 Rechecking mismatches for ${serviceType} - refreshing page first...`);
         
@@ -490,18 +734,24 @@ async function recheckMismatches(serviceType) {
         
         if (tabs.length === 0) {
             console.log('🔍 No DSP tab found for recheck, skipping');
-            return [];
+            return { mismatches: [], totals: [] };
         }
         
         const dspTab = tabs[0];
         
-        // Refresh the page first to get latest roster data
+        // Refresh the page first to get latest roster data; navigating also switches
+        // the tab back to this station if another station was checked in between
         console.log('🔄 Refreshing DSP tab to get latest roster data...');
-        await browser.tabs.reload(dspTab.id);
+        const reloadedAt = Date.now();
+        if (station) {
+            await browser.tabs.update(dspTab.id, { url: buildStationSchedulingUrl(station, getServiceDateParam(serviceType)), active: false });
+        } else {
+            await browser.tabs.reload(dspTab.id);
+        }
         
-        // Wait for page to reload and content script to initialize
+        // Wait for the reloaded scheduling table to render
         console.log('⏳ Waiting for page to reload and initialize...');
-        await new Promise(resolve => setTimeout(resolve, 6000));
+        await waitForPageReady(dspTab.id, 'scheduling', { since: reloadedAt });
         
         // Now check for mismatches with fresh data
         console.log('📡 Checking mismatches with fresh data...');
@@ -511,29 +761,31 @@ async function recheckMismatches(serviceType) {
         });
         
         console.log(`📊 Recheck completed for ${serviceType}: ${response?.mismatches?.length || 0} mismatches found`);
-        return response?.mismatches || [];
+        return { mismatches: response?.mismatches || [], totals: response?.totals || [] };
     } catch (error) {
         console.error('❌ Error rechecking mismatches:', error);
-        return [];
+        return { mismatches: [], totals: [] };
     }
 }
 
-async function sendBrowserNotification(mismatches, serviceType) {
+async function sendBrowserNotification(mismatches, serviceType, station, minutes = 15) {
     try {
         const serviceConfig = SERVICE_TYPES[serviceType];
         const dspNames = mismatches.map(m => m.dspName.split(' ')[0]).join(', ');
+        const stationLabel = getStationLabel(station);
         
         // Create browser notification
-        await browser.notifications.create({
+        const notificationId = await browser.notifications.create({
             type: 'basic',
             iconUrl: browser.runtime.getURL('icons/icon.svg'),
-            title: `DSP Roster Alert - ${serviceConfig.displayName}`,
-            message: `${mismatches.length} DSP${mismatches.length > 1 ? 's' : ''} still have unresolved mismatches after 15 minutes: ${dspNames}`,
+            title: `DSP Roster Alert - ${serviceConfig.displayName}${stationLabel ? ` (${stationLabel})` : ''}`,
+            message: `${mismatches.length} DSP${mismatches.length > 1 ? 's' : ''} still have unresolved mismatches after ${minutes} minutes: ${dspNames}`,
             buttons: [
                 { title: 'Open DSP Page' },
-                { title: 'Dismiss' }
+                { title: `Acknowledge (snooze ${DEFAULT_ACK_SNOOZE_MINUTES} min)` }
             ]
         });
+        await rememberNotificationDsps(notificationId, station, serviceType, mismatches);
         
         console.log('🔔 Browser notification sent for persistent mismatches');
     } catch (error) {
@@ -553,83 +805,98 @@ browser.notifications.onButtonClicked.addListener(async (notificationId, buttonI
         } catch (error) {
             console.error('❌ Error opening DSP page:', error);
         }
+    } else if (buttonIndex === 1) { // Acknowledge the DSPs in this notification
+        try {
+            await acknowledgeFromNotification(notificationId);
+        } catch (error) {
+            console.error('❌ Error acknowledging from notification:', error);
+        }
     }
     
     // Clear notification
     browser.notifications.clear(notificationId);
 });
 
-async function sendFollowUpWebhookNotifications(mismatches, serviceType) {
-    try {
-        const serviceConfig = SERVICE_TYPES[serviceType];
-        const pending = (mismatches || []).filter(needsFollowUp);
-        if (pending.length === 0) {
-            console.log('✅ All remaining DSPs are at least 75% rostered – no follow-up webhooks needed');
-            return;
-        }
-        
-        for (const mismatch of pending) {
-            const dspKey = mismatch.dspName.split(' ')[0];
-            const webhookUrl = await getWebhookUrl(dspKey);
-            
-            if (webhookUrl) {
-                let message = `/md #### 🚨 **URGENT - ${serviceConfig.displayName} Rostering Still Unresolved**
+// Older content scripts don't classify mismatches; infer from the counts
+function getMismatchKind(mismatch) {
+    if (mismatch?.kind === 'over' || mismatch?.kind === 'under') return mismatch.kind;
+    return (Number(mismatch?.rostered) || 0) > (Number(mismatch?.confirmed) || 0) ? 'over' : 'under';
+}
 
-⚠️ **15 minutes have passed** since the initial alert for **${mismatch.dspName}**
+// Waves behind a mismatch: the short ones when under-rostered, the extra ones when over
+function getMismatchWaves(mismatch) {
+    const over = getMismatchKind(mismatch) === 'over';
+    return (Array.isArray(mismatch?.waves) ? mismatch.waves : [])
+        .map(wave => ({
+            label: String(wave?.label || '').trim(),
+            confirmed: Number(wave?.confirmed) || 0,
+            rostered: Number(wave?.rostered) || 0
+        }))
+        .filter(wave => wave.label && (over ? wave.rostered > wave.confirmed : wave.rostered < wave.confirmed));
+}
 
-| Status | Count |
-|--------|-------|
-| ✅ **Accepted** | ${mismatch.confirmed} |
-| ❗ **Rostered** | ${mismatch.rostered} |
+// One-line wave list, e.g. "10:20 (2 short), 11:05 (1 short)"; empty without a breakdown
+function formatMismatchWaves(mismatch, language) {
+    return getMismatchWaves(mismatch)
+        .map(wave => wave.rostered < wave.confirmed
+            ? `${wave.label} (${MessageTemplates.phrase(language, 'waveShort', { count: wave.confirmed - wave.rostered })})`
+            : `${wave.label} (${MessageTemplates.phrase(language, 'waveExtra', { count: wave.rostered - wave.confirmed })})`)
+        .join(', ');
+}
 
-> **🔴 IMMEDIATE ACTION REQUIRED** - Please check and adjust your roster now.`;
-                
-                // Add roster deadline reminder for cycle 1
-                if (serviceType === 'cycle1') {
-                    message += `\n\n⏰ **URGENT DEADLINE:** Roster must be done by **15:15**.`;
-                }
+function buildWaveBreakdown(mismatch, language) {
+    const waves = getMismatchWaves(mismatch);
+    if (waves.length === 0) return '';
+    const over = getMismatchKind(mismatch) === 'over';
+    const lines = waves.map(wave => `- **${wave.label}:** ${MessageTemplates.phrase(language, 'waveRow', wave)}`);
+    return `\n\n**${MessageTemplates.phrase(language, over ? 'wavesExtra' : 'wavesShort')}:**\n${lines.join('\n')}`;
+}
 
-                await sendWebhookMessage(dspKey, message);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-        }
-        
-        console.log('📤 Follow-up webhook notifications sent');
-    } catch (error) {
-        console.error('❌ Error sending follow-up webhook notifications:', error);
-    }
+// Values for the roster message templates (see shared/message-templates.js)
+function buildRosterTemplateValues(mismatch, serviceType, deadline, language, urgentDeadline = false) {
+    const confirmed = Number(mismatch.confirmed) || 0;
+    const rostered = Number(mismatch.rostered) || 0;
+    const serviceConfig = SERVICE_TYPES[serviceType] || { displayName: serviceType, dateOffset: 0 };
+    return {
+        dsp: mismatch.dspName.split(' ')[0],
+        dspName: mismatch.dspName,
+        serviceType: serviceConfig.displayName,
+        confirmed,
+        rostered,
+        missing: Math.max(0, confirmed - rostered),
+        extra: Math.max(0, rostered - confirmed),
+        waves: formatMismatchWaves(mismatch, language),
+        waveBreakdown: buildWaveBreakdown(mismatch, language),
+        deadline: buildDeadlineText(deadline, urgentDeadline, language),
+        deadlineTime: deadline?.time || '',
+        date: ServiceTypeRegistry.formatDate(serviceConfig.dateOffset)
+    };
+}
+
+// Rendered in the DSP's message language
+async function buildMismatchAlertMessage(mismatch, serviceType, deadline) {
+    const templateId = getMismatchKind(mismatch) === 'over' ? 'overRoster' : 'underRoster';
+    const language = await MessageTemplates.getDspLanguage(mismatch.dspName.split(' ')[0]);
+    return MessageTemplates.renderMessage(templateId, buildRosterTemplateValues(mismatch, serviceType, deadline, language), language);
 }
 
-async function sendMismatchNotifications(mismatches, serviceType) {
+async function sendMismatchNotifications(mismatches, serviceType, station) {
     const results = [];
     const serviceConfig = SERVICE_TYPES[serviceType];
+    const deadline = (await getRosterDeadlines())[serviceType];
 
     console.log(`📤 Sending notifications for ${mismatches.length} mismatches in ${serviceConfig.displayName}...`);
 
     for (const mismatch of mismatches) {
         try {
             const dspKey = mismatch.dspName.split(' ')[0];
-            const webhookUrl = await getWebhookUrl(dspKey);
-
-            if (webhookUrl) {
-                let message = `/md #### ⚠️ ${serviceConfig.displayName} Rostering Mismatch Alert
-
-**DSP:** ${mismatch.dspName}
-
-| Status | Count |
-|--------|-------|
-| ✅ **Accepted** | ${mismatch.confirmed} |
-| ❗ **Rostered** | ${mismatch.rostered} |
+            const destinations = await getWebhookDestinations(dspKey, station, 'mismatch-alert');
 
-> **Action Required:** Please check and adjust your roster accordingly.`;
-                
-                // Add roster deadline reminder for cycle 1
-                if (serviceType === 'cycle1') {
-                    message += `\n\n⏰ **Reminder:** Please ensure your roster is done by **15:15**.`;
-                }
+            if (destinations.length > 0) {
+                const message = await buildMismatchAlertMessage(mismatch, serviceType, deadline);
 
                 console.log(`📤 Sending notification to ${dspKey}...`);
-                const result = await sendWebhookMessage(dspKey, message);
+                const result = await sendWebhookMessage(dspKey, message, station, 'mismatch-alert');
                 results.push({ dsp: dspKey, success: result.success, error: result.error });
 
                 if (result.success) {
@@ -637,8 +904,6 @@ async function sendMismatchNotifications(mismatches, serviceType) {
                 } else {
                     console.error(`❌ Failed to send notification to ${dspKey}:`, result.error);
                 }
-
-                await new Promise(resolve => setTimeout(resolve, 1000));
             } else {
                 console.log(`⚠️ No webhook configured for DSP : ${dspKey}`);
                 results.push({ dsp: dspKey, success: false, error: 'No webhook configured' });
@@ -656,91 +921,71 @@ async function sendMismatchNotifications(mismatches, serviceType) {
     return results;
 }
 
-async function sendWebhookMessage(dsp, message) {
-    const webhookUrl = await getWebhookUrl(dsp);
-    if (!webhookUrl) {
-        return { success: false, error: 'No webhook URL configured for this DSP' };
-    }
-
+// Optionally wrap manual messages for Chime markdown
+async function formatManualMessage(msg) {
     try {
-        console.log(`📤 Sending webhook message to ${dsp}:`, message.substring(0, 100) + '...');
-
-        const response = await fetch(webhookUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ Content: message })
-        });
-
-        if (!response.ok) {
-            let errorDetail = 'Unknown error';
-            try {
-                const errorText = await response.text();
-                errorDetail = errorText || `HTTP ${response.status}: ${response.statusText}`;
-            } catch (e) {
-                errorDetail = `HTTP ${response.status}: ${response.statusText}`;
-            }
-            throw new Error(errorDetail);
+        const { settings = {} } = await browser.storage.local.get('settings');
+        const chimeFmt = settings.formatManualMessagesForChime !== false; // default true
+        if (chimeFmt && typeof msg === 'string' && !msg.trim().startsWith('/md')) {
+            return `/md ${msg}`;
         }
-
-        console.log(`✅ Message sent successfully to ${dsp}`);
-        return { success: true };
-
-    } catch (error) {
-        console.error(`❌ Error sending webhook to ${dsp}:`, error);
-        return { success: false, error: error.message };
+    } catch (e) {
+        console.warn('⚠️ Could not load settings for message formatting');
     }
+    return msg;
 }
 
-async function handleServiceTypesInferred(detectedTypes, updatedSettings) {
-    try {
-        console.log('🔍 Service types inferred from page:', detectedTypes);
-        console.log('📋 Updated settings:', updatedSettings);
-        
-        // Update alarms if notifications are enabled (similar to amzl-scripts alarm management)
-        const notificationsEnabled = await getNotificationSettings();
-        if (notificationsEnabled) {
-            console.log('🔔 Updating alarms based on inferred service types...');
-            await createServiceTypeAlarms();
-        }
-        
-        // Optionally send notification about auto-detection
-        const enabledTypes = Object.keys(updatedSettings).filter(type => updatedSettings[type]);
-        if (enabledTypes.length > 0) {
-            console.log(`✅ Auto-detected and enabled ${enabledTypes.length} service types: ${enabledTypes.join(', ')}`);
-        }
-        
-    } catch (error) {
-        console.error('❌ Error handling inferred service types:', error);
-        throw error;
+// `job` names the feature that produced the message; it is shown in the dry-run outbox and audit log
+// and picks the DSP's destinations subscribed to that message category.
+// Succeeds when at least one destination got the message.
+// `options.maxTableRows` caps the table rows per message part (see deliverToWebhook)
+async function sendWebhookMessage(dsp, message, station, job, options = {}) {
+    station = station || await getStation(PRIMARY_STATION_ID);
+    const destinations = await getWebhookDestinations(dsp, station, job);
+    if (destinations.length === 0) {
+        const category = WebhookDestinations.categoryForJob(job);
+        return { success: false, error: category ? `No ${category} webhook configured for this DSP` : 'No webhook URL configured for this DSP' };
     }
+    // Splitting, station label and payload format per provider, dry run, audit and retry queue in delivery.js
+    const language = await MessageTemplates.getDspLanguage(dsp);
+    const results = [];
+    for (const destination of destinations) {
+        results.push(await deliverToWebhook(destination, { job, target: dsp, message, station, language, maxTableRows: options.maxTableRows }));
+    }
+    return combineDeliveryResults(results);
 }
 
 async function getAlarmStatus() {
     try {
         const alarms = await browser.alarms.getAll();
         const dspAlarms = alarms.filter(alarm => alarm.name.startsWith('checkDSP_'));
+        const stations = await getStationProfiles();
+        const schedulesByStation = {};
+        for (const station of stations) {
+            schedulesByStation[station.id] = await getCheckSchedules(station);
+        }
         
         const formattedAlarms = dspAlarms.map(alarm => {
             const nextTime = new Date(alarm.scheduledTime);
+            const parsed = parseCheckAlarmName(alarm.name);
+            const schedules = (parsed && schedulesByStation[parsed.stationId]) || {};
+            const entry = parsed ? (schedules[parsed.serviceType] || []).find(e => e.id === parsed.checkId) : null;
             let description = 'Unknown Service';
             
-            if (alarm.name.includes('cycle1')) {
-                const time = alarm.name.includes('_14') ? '14:00' : '15:00';
-                description = `Cycle 1 Check (${time})`;
-            } else if (alarm.name.includes('samedayB')) {
-                description = 'Sameday B Check (10:00)';
-            } else if (alarm.name.includes('samedayC')) {
-                description = 'Sameday C Check (14:15)';
+            if (parsed && entry && SERVICE_TYPES[parsed.serviceType]) {
+                const station = stations.find(s => s.id === parsed.stationId);
+                // Name the station only when there is more than one
+                const stationText = stations.length > 1 ? ` – ${getStationLabel(station) || parsed.stationId}` : '';
+                description = `${SERVICE_TYPES[parsed.serviceType].displayName} Check (${entry.time}, ${formatWeekdays(entry.days)})${stationText}`;
             }
             
             return {
                 name: alarm.name,
                 description,
+                scheduledTime: alarm.scheduledTime,
                 nextScheduled: nextTime.toLocaleString()
             };
-        });
+        }).sort((a, b) => a.scheduledTime - b.scheduledTime);
         
         return {
             success: true,
@@ -0,0 +1,160 @@
+// -----------------------------
+// Roster deadlines per service type
+// -----------------------------
+// Each service type may have a local HH:MM deadline (today) by which DSPs must
+// finish rostering. The deadline is quoted in alert messages, optional T-minus
+// reminders go to DSPs still short, and no roster alerts go out once it passes.
+// Until set in options the deadline is the registry entry's `deadline` (`isDefault`),
+// which is quoted in messages but does not stop alerts: checks that always alerted
+// after the built-in 15:15 keep doing so until the user sets a deadline.
+
+async function getRosterDeadlines() {
+    const { rosterDeadlines = {} } = await browser.storage.local.get('rosterDeadlines');
+    const deadlines = {};
+    for (const serviceType of Object.keys(SERVICE_TYPES)) {
+        deadlines[serviceType] = rosterDeadlines[serviceType]
+            ? normalizeRosterDeadline(rosterDeadlines[serviceType])
+            : { ...normalizeRosterDeadline({ time: SERVICE_TYPES[serviceType].deadline }), isDefault: true };
+    }
+    return deadlines;
+}
+
+function normalizeRosterDeadline(deadline) {
+    const match = String(deadline?.time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    const valid = match && parseInt(match[1], 10) <= 23 && parseInt(match[2], 10) <= 59;
+    const time = valid ? `${match[1].padStart(2, '0')}:${match[2]}` : '';
+    // Minutes before the deadline, largest first, without duplicates
+    const reminders = Array.from(new Set((Array.isArray(deadline?.reminders) ? deadline.reminders : [])
+        .map(m => parseInt(m, 10))
+        .filter(m => Number.isFinite(m) && m > 0 && m < 24 * 60)))
+        .sort((a, b) => b - a);
+    return { time, reminders: time ? reminders : [] };
+}
+
+// Stores the service types in `deadlines` only; the others keep their stored or default deadline
+async function updateRosterDeadlines(deadlines) {
+    const { rosterDeadlines: stored = {} } = await browser.storage.local.get('rosterDeadlines');
+    const cleaned = Object.fromEntries(Object.entries(stored).filter(([serviceType]) => SERVICE_TYPES[serviceType]));
+    for (const serviceType of Object.keys(deadlines || {})) {
+        if (SERVICE_TYPES[serviceType]) {
+            cleaned[serviceType] = normalizeRosterDeadline(deadlines[serviceType]);
+        }
+    }
+    await browser.storage.local.set({ rosterDeadlines: cleaned });
+    await createDeadlineReminderAlarms();
+    console.log('✅ Roster deadlines updated:', cleaned);
+    return getRosterDeadlines();
+}
+
+// Today's deadline as a timestamp, or null when the service type has none
+function getDeadlineTimestamp(deadline, now = new Date()) {
+    if (!deadline?.time) return null;
+    const [hours, minutes] = deadline.time.split(':').map(x => parseInt(x, 10));
+    const due = new Date(now);
+    due.setHours(hours, minutes, 0, 0);
+    return due.getTime();
+}
+
+// Only a deadline set by the user stops alerts
+async function isPastRosterDeadline(serviceType) {
+    const deadline = (await getRosterDeadlines())[serviceType];
+    if (!deadline || deadline.isDefault) return false;
+    const due = getDeadlineTimestamp(deadline);
+    return due !== null && Date.now() >= due;
+}
+
+// Sentence appended to alerts; empty when the service type has no deadline
+function buildDeadlineText(deadline, urgent = false, language) {
+    if (!deadline?.time) return '';
+    return `\n\n${MessageTemplates.phrase(language, urgent ? 'deadlineUrgent' : 'deadline', { time: deadline.time })}`;
+}
+
+function buildDeadlineAlarmName(serviceType, minutesBefore) {
+    return `deadline_${serviceType}_${minutesBefore}`;
+}
+
+async function createDeadlineReminderAlarms() {
+    try {
+        const existing = await browser.alarms.getAll();
+        for (const alarm of existing) {
+            if (alarm.name.startsWith('deadline_')) {
+                await browser.alarms.clear(alarm.name);
+            }
+        }
+
+        const notificationsEnabled = await getNotificationSettings();
+        if (!notificationsEnabled) return;
+
+        const enabled = await getEnabledServiceTypesAcrossStations();
+        const deadlines = await getRosterDeadlines();
+        for (const [serviceType, deadline] of Object.entries(deadlines)) {
+            if (!enabled[serviceType]) continue;
+            for (const minutesBefore of deadline.reminders) {
+                await scheduleDeadlineReminder(serviceType, deadline, minutesBefore);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error creating deadline reminder alarms:', error);
+    }
+}
+
+async function scheduleDeadlineReminder(serviceType, deadline, minutesBefore) {
+    const due = getDeadlineTimestamp(deadline);
+    if (due === null) return;
+    let when = due - minutesBefore * 60 * 1000;
+    if (when <= Date.now()) {
+        when += 24 * 60 * 60 * 1000;
+    }
+    const name = buildDeadlineAlarmName(serviceType, minutesBefore);
+    await browser.alarms.create(name, { when });
+    console.log(`✅ Created deadline reminder: ${name} at ${new Date(when).toLocaleString()}`);
+}
+
+async function handleDeadlineReminderAlarm(alarmName) {
+    const [, serviceType, minutesText] = alarmName.split('_');
+    const minutesBefore = parseInt(minutesText, 10);
+    const deadlines = await getRosterDeadlines();
+    const deadline = deadlines[serviceType];
+    if (!deadline?.time || !deadline.reminders.includes(minutesBefore)) {
+        console.log(`🗑️ Deadline reminder ${alarmName} no longer configured`);
+        await browser.alarms.clear(alarmName);
+        return;
+    }
+
+    // Re-arm for tomorrow before running so a failed check never drops the reminder
+    await scheduleDeadlineReminder(serviceType, deadline, minutesBefore);
+
+    const stations = await getStationProfiles({ enabledOnly: true });
+    for (const station of stations) {
+        if (!station.serviceTypes?.[serviceType]) continue;
+        try {
+            await checkDSPMismatches(serviceType, alarmName, station, { reminderMinutes: minutesBefore });
+        } catch (error) {
+            console.error(`❌ Deadline reminder failed for station ${station.name || station.id}:`, error);
+        }
+    }
+}
+
+// T-minus reminder to each under-rostered DSP that has not been acknowledged
+async function sendDeadlineReminders(mismatches, serviceType, station, minutesBefore) {
+    const deadline = (await getRosterDeadlines())[serviceType];
+    const acknowledgements = await getActiveAcknowledgements();
+    const results = [];
+
+    const targets = mismatches.filter(m =>
+        getMismatchKind(m) === 'under' && !isAcknowledged(acknowledgements, station.id, serviceType, m.dspName)
+    );
+    for (const mismatch of targets) {
+        const dspKey = mismatch.dspName.split(' ')[0];
+        if ((await getWebhookDestinations(dspKey, station, 'deadline-reminder')).length === 0) continue;
+        const language = await MessageTemplates.getDspLanguage(dspKey);
+        const message = await MessageTemplates.renderMessage('deadlineReminder', {
+            ...buildRosterTemplateValues(mismatch, serviceType, deadline, language, true),
+            minutes: minutesBefore
+        }, language);
+        const result = await sendWebhookMessage(dspKey, message, station, 'deadline-reminder');
+        results.push({ dsp: dspKey, success: result.success, error: result.error });
+    }
+    console.log(`⏳ T-${minutesBefore} reminder sent to ${results.filter(r => r.success).length} of ${targets.length} DSPs still short`);
+    return results;
+}
@@ -0,0 +1,363 @@
+// -----------------------------
+// Delivery queue with retry
+// -----------------------------
+// Webhook posts that fail are kept in `deliveryQueue` (storage, so they survive the
+// background page unloading) and retried on the `deliveryRetry` alarm with
+// exponential backoff, or the server's Retry-After when that is longer. Network
+// errors, 429 and 5xx are retried; other HTTP errors and messages older than their
+// job's max age are marked failed and wait in the popup for a manual retry or discard.
+// Every post is also written to the message audit log (history.js) and its row is
+// updated as retries succeed or give up. Posts are paced by rate-limiter.js.
+
+const DELIVERY_QUEUE_KEY = 'deliveryQueue';
+const DELIVERY_RETRY_ALARM = 'deliveryRetry';
+const DELIVERY_BASE_DELAY_MS = 60 * 1000;
+const DELIVERY_MAX_DELAY_MS = 30 * 60 * 1000;
+const DELIVERY_QUEUE_LIMIT = 100;
+// An item being retried is claimed for this long so a second run cannot post it again;
+// the claim runs out on its own if the background page unloads mid-post
+const DELIVERY_CLAIM_MS = 2 * 60 * 1000;
+
+// How long a message stays worth delivering, per job (minutes)
+const DELIVERY_MAX_AGE_MINUTES = {
+    'mismatch-alert': 120,
+    'deadline-reminder': 30,
+    'over-roster-follow-up': 60,
+    'escalation': 60,
+    'row-alert': 120,
+    'manual-message': 240,
+    'broadcast': 60,
+    'summary': 240,
+    'risk-alert': 60,
+    'reattempt-report': 240,
+    'reattempt-action-plan': 240
+};
+const DEFAULT_DELIVERY_MAX_AGE_MINUTES = 120;
+
+// POST a JSON payload through the rate limiter and return the HTTP status; failures
+// carry `retryable` (and `retryAfterMs` for a 429) so the queue knows what to do with them.
+// A 429 with a short Retry-After is retried here once the destination frees up.
+async function postWebhook(url, payload) {
+    let response;
+    for (let attempt = 1; ; attempt++) {
+        await acquireSendSlot(url);
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+        } catch (error) {
+            error.retryable = true;
+            throw error;
+        }
+        if (response.status !== 429) break;
+
+        const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        holdDestination(url, retryAfterMs);
+        if (attempt >= 3 || retryAfterMs > RATE_LIMIT_MAX_INLINE_WAIT_MS) {
+            const error = new Error(`HTTP 429: rate limited (retry after ${Math.ceil(retryAfterMs / 1000)}s)`);
+            error.status = 429;
+            error.retryable = true;
+            error.retryAfterMs = retryAfterMs;
+            throw error;
+        }
+    }
+
+    if (!response.ok) {
+        let errorDetail = `HTTP ${response.status}: ${response.statusText}`;
+        try {
+            errorDetail = (await response.text()) || errorDetail;
+        } catch (e) {
+            // keep the status line
+        }
+        const error = new Error(errorDetail);
+        error.status = response.status;
+        error.retryable = response.status === 429 || response.status >= 500;
+        throw error;
+    }
+    return response.status;
+}
+
+// Shared by every sender: dry run, post, audit and queue-on-failure.
+// `destination` is the label of one of the DSP's webhook destinations, if it has one.
+async function deliverMessage({ job, channel, target, destination, url, payload, message, station }) {
+    if (await isDryRunEnabled()) {
+        await recordMessageAudit({ job, channel, target, destination, message, station, status: 'dry-run' });
+        return recordDryRunMessage({ job, channel, target, destination, url, message, station });
+    }
+
+    try {
+        console.log(`📤 Sending ${channel} message to ${target}:`, message.substring(0, 100) + '...');
+        const httpStatus = await postWebhook(url, payload);
+        await recordMessageAudit({ job, channel, target, destination, message, station, status: 'delivered', httpStatus });
+        await recordWebhookHealth(url, { ok: true, httpStatus }, { target, destination, station });
+        console.log(`✅ Message sent successfully to ${target}`);
+        return { success: true };
+    } catch (error) {
+        console.error(`❌ Error sending ${channel} message to ${target}:`, error);
+        await recordWebhookHealth(url, { ok: false, error: error.message, httpStatus: error.status }, { target, destination, station });
+        const auditId = await recordMessageAudit({
+            job, channel, target, destination, message, station,
+            status: error.retryable ? 'queued' : 'failed',
+            httpStatus: error.status,
+            error: error.message
+        });
+        const queued = await queueFailedDelivery({ job, channel, target, destination, url, payload, message, station, error, auditId });
+        return { success: false, error: error.message, queued };
+    }
+}
+
+// Splits a message to the provider's size limit (shared/message-splitter.js) and delivers
+// each part to one webhook { url, provider, label, bodyTemplate }. Every part then gets the
+// station label, so it is split before labelling; `plain` drops the Chime /md prefix
+// afterwards. Part labels use `language`.
+async function deliverToWebhook(webhook, { job, target, message, station, language, maxTableRows, plain = false }) {
+    const channel = WebhookDestinations.normalizeProvider(webhook.provider);
+    const stationLabelRoom = getStationLabel(station) ? getStationLabel(station).length + 24 : 0;
+    const parts = MessageSplitter.split(message, WebhookDestinations.maxMessageLength(channel) - stationLabelRoom, {
+        maxTableRows,
+        formatLabel: (index, total) => MessageTemplates.phrase(language, 'part', { index, total })
+    }).map(part => {
+        const labelled = labelMessageForStation(part, station);
+        return plain ? stripMarkdownPrefix(labelled) : labelled;
+    });
+    if (parts.length > 1) console.log(`✂️ Message for ${target} split into ${parts.length} parts`);
+
+    const results = [];
+    for (const part of parts) {
+        let payload;
+        try {
+            payload = buildProviderPayload(webhook, part, { target, job });
+        } catch (error) {
+            console.error(`❌ Could not build ${channel} message for ${target}:`, error);
+            results.push({ success: false, error: error.message });
+            continue;
+        }
+        results.push(await deliverMessage({ job, channel, target, destination: webhook.label, url: webhook.url, payload, message: part, station }));
+    }
+    return combineDeliveryResults(results);
+}
+
+// One result for several posts: a success when at least one went out
+function combineDeliveryResults(results) {
+    const failed = results.filter(result => !result.success);
+    if (failed.length === 0) return results[0];
+    return {
+        success: failed.length < results.length,
+        error: failed[0].error,
+        queued: failed.some(result => result.queued)
+    };
+}
+
+function getDeliveryMaxAge(job) {
+    return (DELIVERY_MAX_AGE_MINUTES[job] || DEFAULT_DELIVERY_MAX_AGE_MINUTES) * 60 * 1000;
+}
+
+function getDeliveryBackoff(attempts) {
+    return Math.min(DELIVERY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), DELIVERY_MAX_DELAY_MS);
+}
+
+async function getDeliveryQueue() {
+    const { [DELIVERY_QUEUE_KEY]: queue = [] } = await browser.storage.local.get(DELIVERY_QUEUE_KEY);
+    return queue;
+}
+
+// Read-modify-write calls are chained so concurrent senders never overwrite each other's
+// changes; each one is kept short so posts in flight never hold the queue
+let deliveryQueueWrites = Promise.resolve();
+
+function updateDeliveryQueue(mutate) {
+    const run = deliveryQueueWrites.then(async () => {
+        const queue = await getDeliveryQueue();
+        const updated = mutate(queue) || queue;
+        await browser.storage.local.set({ [DELIVERY_QUEUE_KEY]: updated.slice(-DELIVERY_QUEUE_LIMIT) });
+        return updated;
+    });
+    deliveryQueueWrites = run.catch(() => {});
+    return run;
+}
+
+// Re-reads the item and claims it for one attempt. Returns null when it is gone, already
+// claimed, or (unless `manual`) no longer pending and due. A manual retry restarts the
+// max-age clock so a failed message gets a fresh backoff window.
+async function claimDelivery(id, { manual = false } = {}) {
+    const now = Date.now();
+    let claimed = null;
+    await updateDeliveryQueue(queue => {
+        const item = queue.find(entry => entry.id === id);
+        if (!item || item.claimedUntil > now) return queue;
+        if (!manual && (item.status !== 'pending' || item.nextAttemptAt > now)) return queue;
+        item.claimedUntil = now + DELIVERY_CLAIM_MS;
+        if (manual) item.createdAt = now;
+        claimed = { ...item };
+        return queue;
+    });
+    return claimed;
+}
+
+// Called by the senders after a failed post. Returns true when a retry is scheduled.
+async function queueFailedDelivery({ job, channel, target, destination, url, payload, message, station, error, auditId }) {
+    try {
+        const now = Date.now();
+        const item = {
+            id: `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            job: job || 'unknown',
+            channel,
+            target,
+            destination: destination || '',
+            url,
+            payload,
+            message,
+            stationId: station?.id || PRIMARY_STATION_ID,
+            stationName: station?.name || '',
+            createdAt: now,
+            attempts: 1,
+            status: error?.retryable ? 'pending' : 'failed',
+            nextAttemptAt: error?.retryable ? now + Math.max(getDeliveryBackoff(1), error.retryAfterMs || 0) : null,
+            lastError: error?.message || 'Unknown error',
+            auditId: auditId || null
+        };
+        await updateDeliveryQueue(queue => { queue.push(item); });
+        console.log(`📥 ${channel} message for ${target} ${item.status === 'pending' ? 'queued for retry' : 'kept as failed'}`);
+        await scheduleDeliveryRetry();
+        return item.status === 'pending';
+    } catch (queueError) {
+        console.error('❌ Error queueing failed delivery:', queueError);
+        return false;
+    }
+}
+
+async function attemptDelivery(item) {
+    if (await isDryRunEnabled()) {
+        await recordDryRunMessage({ job: item.job, channel: item.channel, target: item.target, destination: item.destination, url: item.url, message: item.message, station: { id: item.stationId, name: item.stationName } });
+        return { success: true, dryRun: true };
+    }
+    try {
+        const httpStatus = await postWebhook(item.url, item.payload);
+        console.log(`✅ Queued ${item.channel} message delivered to ${item.target}`);
+        await recordWebhookHealth(item.url, { ok: true, httpStatus }, {});
+        return { success: true, httpStatus };
+    } catch (error) {
+        console.warn(`⚠️ Retry failed for ${item.target}:`, error.message);
+        await recordWebhookHealth(item.url, { ok: false, error: error.message, httpStatus: error.status }, { target: item.target, destination: item.destination, station: { id: item.stationId, name: item.stationName } });
+        return { success: false, error };
+    }
+}
+
+// Apply the outcome of one attempt to the stored item (it may have been discarded meanwhile)
+async function recordDeliveryAttempt(id, result) {
+    const now = Date.now();
+    let updated = null;
+    await updateDeliveryQueue(queue => {
+        const index = queue.findIndex(item => item.id === id);
+        if (index === -1) return queue;
+        if (result.success) {
+            updated = { ...queue[index], attempts: queue[index].attempts + 1 };
+            queue.splice(index, 1);
+            return queue;
+        }
+        const item = queue[index];
+        updated = item;
+        delete item.claimedUntil;
+        item.attempts += 1;
+        item.lastError = result.error?.message || 'Unknown error';
+        const expired = now - item.createdAt >= getDeliveryMaxAge(item.job);
+        if (result.error?.retryable && !expired) {
+            item.status = 'pending';
+            item.nextAttemptAt = now + Math.max(getDeliveryBackoff(item.attempts), result.error.retryAfterMs || 0);
+        } else {
+            item.status = 'failed';
+            item.nextAttemptAt = null;
+            if (expired) item.lastError = `Gave up after ${item.attempts} attempts: ${item.lastError}`;
+        }
+        return queue;
+    });
+
+    if (updated?.auditId) {
+        await updateMessageAudit(updated.auditId, result.success
+            ? { status: result.dryRun ? 'dry-run' : 'delivered', httpStatus: result.httpStatus || null, error: '', attempts: updated.attempts }
+            : { status: updated.status === 'pending' ? 'queued' : 'failed', httpStatus: result.error?.status || null, error: updated.lastError, attempts: updated.attempts });
+    }
+}
+
+async function processDeliveryQueue() {
+    try {
+        const now = Date.now();
+        let expiredCount = 0;
+
+        // Expire stale pending items before trying anything
+        const queue = await updateDeliveryQueue(items => items.map(item => {
+            if (item.status !== 'pending' || item.claimedUntil > now || now - item.createdAt < getDeliveryMaxAge(item.job)) return item;
+            expiredCount++;
+            return { ...item, status: 'failed', nextAttemptAt: null, lastError: `Expired before delivery: ${item.lastError}` };
+        }));
+        if (expiredCount > 0) {
+            console.log(`⌛ ${expiredCount} queued message(s) expired`);
+        }
+
+        // Each item is re-read when claimed, so one changed by another sender meanwhile is skipped
+        const dueIds = queue.filter(item => item.status === 'pending' && item.nextAttemptAt <= now).map(item => item.id);
+        for (const id of dueIds) {
+            const item = await claimDelivery(id);
+            if (!item) continue;
+            await recordDeliveryAttempt(id, await attemptDelivery(item));
+        }
+    } catch (error) {
+        console.error('❌ Error processing delivery queue:', error);
+    } finally {
+        await scheduleDeliveryRetry();
+    }
+}
+
+// One alarm at the earliest pending retry; cleared when nothing is pending
+async function scheduleDeliveryRetry() {
+    const pending = (await getDeliveryQueue()).filter(item => item.status === 'pending');
+    if (pending.length === 0) {
+        await browser.alarms.clear(DELIVERY_RETRY_ALARM);
+        return;
+    }
+    const nextAt = Math.min(...pending.map(item => item.nextAttemptAt));
+    browser.alarms.create(DELIVERY_RETRY_ALARM, { when: Math.max(nextAt, Date.now() + 1000) });
+}
+
+async function retryDelivery(id) {
+    const item = await claimDelivery(id, { manual: true });
+    if (!item) throw new Error('Queued message not found or already being sent');
+    const result = await attemptDelivery(item);
+    await recordDeliveryAttempt(id, result);
+    await scheduleDeliveryRetry();
+    return { delivered: result.success, error: result.error?.message };
+}
+
+async function discardDelivery(id) {
+    let item = null;
+    await updateDeliveryQueue(queue => {
+        item = queue.find(entry => entry.id === id) || null;
+        return queue.filter(entry => entry.id !== id);
+    });
+    if (item?.auditId) await updateMessageAudit(item.auditId, { status: 'discarded' });
+    await scheduleDeliveryRetry();
+    console.log(`🗑️ Queued message ${id} discarded`);
+}
+
+async function getDeliveryQueueState() {
+    return (await getDeliveryQueue())
+        .map(item => ({
+            id: item.id,
+            job: item.job,
+            jobLabel: OUTBOX_JOB_LABELS[item.job] || item.job,
+            channel: item.channel,
+            target: item.target,
+            destination: item.destination || '',
+            stationId: item.stationId,
+            stationName: item.stationName,
+            message: item.message,
+            createdAt: item.createdAt,
+            attempts: item.attempts,
+            status: item.status,
+            nextAttemptAt: item.nextAttemptAt,
+            lastError: item.lastError
+        }))
+        .reverse();
+}
@@ -0,0 +1,386 @@
+// -----------------------------
+// Escalation ladder for unresolved roster mismatches
+// -----------------------------
+// The initial mismatch alert is sent by checkDSPMismatches. Each ladder stage
+// then re-checks the roster `delayMinutes` after that alert and notifies the
+// DSP, the station lead, or both. DSPs that are fully rostered drop out.
+
+const ESCALATION_RECIPIENTS = ['dsp', 'lead', 'both'];
+
+// Every stage has its own `escalationDsp` (DSP's language) and `escalationLead`
+// (default language) message template, stored as `<type>:<stageId>`.
+
+// Stages used to carry their own templates with these texts and placeholder names
+const LEGACY_ESCALATION_TEMPLATES = {
+    escalationDsp: `/md #### 🚨 **URGENT - {service} Rostering Still Unresolved**
+
+⚠️ **{minutes} minutes have passed** since the initial alert for **{dspName}**
+
+| Status | Count |
+|--------|-------|
+| ✅ **Accepted** | {accepted} |
+| ❗ **Rostered** | {rostered} |{waveBreakdown}
+
+> **🔴 IMMEDIATE ACTION REQUIRED** - Please check and adjust your roster now.{deadline}`,
+    escalationLead: `/md #### 📣 {service} Rostering - {count} DSP(s) Still Short
+
+**{minutes} minutes** after the initial alert these DSPs are still not fully rostered:
+
+{dspTable}`
+};
+const LEGACY_ESCALATION_PLACEHOLDERS = { service: 'serviceType', accepted: 'confirmed' };
+
+const DEFAULT_ESCALATION_LADDER = [
+    { id: 'reminder', name: 'DSP reminder', enabled: true, delayMinutes: 15, rosteredPercent: 75, recipients: 'dsp' },
+    { id: 'lead', name: 'Station lead', enabled: true, delayMinutes: 30, rosteredPercent: 100, recipients: 'lead' }
+];
+
+async function getEscalationLadder() {
+    const { escalationLadder } = await browser.storage.local.get('escalationLadder');
+    const stages = Array.isArray(escalationLadder) ? escalationLadder : DEFAULT_ESCALATION_LADDER;
+    return stages.map(normalizeEscalationStage).filter(Boolean).sort((a, b) => a.delayMinutes - b.delayMinutes);
+}
+
+function normalizeEscalationStage(stage) {
+    if (!stage || typeof stage !== 'object') return null;
+    const delay = parseInt(stage.delayMinutes, 10);
+    const percent = parseInt(stage.rosteredPercent, 10);
+    const recipients = ESCALATION_RECIPIENTS.includes(stage.recipients) ? stage.recipients : 'dsp';
+    return {
+        id: String(stage.id || '').replace(/[^A-Za-z0-9]/g, '') || generateCheckId(),
+        name: String(stage.name || '').trim() || 'Escalation',
+        enabled: stage.enabled !== false,
+        delayMinutes: Number.isFinite(delay) && delay > 0 ? delay : 15,
+        rosteredPercent: Number.isFinite(percent) ? Math.min(100, Math.max(1, percent)) : 100,
+        recipients
+    };
+}
+
+// Moves escalation texts older versions kept elsewhere into each stage's own message
+// templates: customised `template` / `leadTemplate` fields on the stages (English, as
+// the stage texts were, with today's placeholder names) and the single shared
+// `escalationDsp` / `escalationLead` template, which every stage takes over for the
+// languages it has not customised.
+async function migrateEscalationStageTemplates() {
+    try {
+        const { escalationLadder, [MessageTemplates.STORAGE_KEY]: stored = {} } =
+            await browser.storage.local.get(['escalationLadder', MessageTemplates.STORAGE_KEY]);
+        const stages = Array.isArray(escalationLadder) ? escalationLadder : DEFAULT_ESCALATION_LADDER;
+        const fields = [['template', 'escalationDsp'], ['leadTemplate', 'escalationLead']];
+        const hasStageTexts = stages.some(stage => fields.some(([field]) => stage?.[field]));
+        const hasShared = fields.some(([, typeId]) => stored?.[typeId]);
+        if (!hasStageTexts && !hasShared) return;
+
+        const custom = { ...stored };
+        const migrated = stages.filter(stage => stage && typeof stage === 'object').map(stage => {
+            // Keep the id the ladder will use from now on, so templates stay attached
+            const id = normalizeEscalationStage(stage).id;
+            fields.forEach(([field, typeId]) => {
+                const templateId = MessageTemplates.stageTemplateId(typeId, id);
+                const texts = { ...(custom[templateId] || {}) };
+                const text = String(stage[field] || '').trim();
+                if (text && text !== LEGACY_ESCALATION_TEMPLATES[typeId].trim() && !texts.en) {
+                    texts.en = text.replace(/\{(\w+)\}/g, (match, name) =>
+                        LEGACY_ESCALATION_PLACEHOLDERS[name] ? `{${LEGACY_ESCALATION_PLACEHOLDERS[name]}}` : match);
+                }
+                const shared = typeof stored[typeId] === 'string' ? { en: stored[typeId] } : (stored[typeId] || {});
+                const merged = { ...shared, ...texts };
+                if (Object.keys(merged).length > 0) custom[templateId] = merged;
+            });
+            const { template, leadTemplate, ...rest } = stage;
+            return { ...rest, id };
+        });
+        fields.forEach(([, typeId]) => delete custom[typeId]);
+
+        await browser.storage.local.set({
+            [MessageTemplates.STORAGE_KEY]: custom,
+            ...(Array.isArray(escalationLadder) ? { escalationLadder: migrated } : {})
+        });
+        console.log(`✅ Escalation texts moved to the message templates of ${migrated.length} stages`);
+    } catch (error) {
+        console.error('❌ Error migrating escalation stage templates:', error);
+    }
+}
+
+async function updateEscalationLadder(stages) {
+    const cleaned = (Array.isArray(stages) ? stages : []).map(normalizeEscalationStage).filter(Boolean);
+    await browser.storage.local.set({ escalationLadder: cleaned });
+    await removeStageTemplates(cleaned.map(stage => stage.id));
+    console.log(`✅ Escalation ladder updated (${cleaned.length} stages)`);
+    return cleaned.sort((a, b) => a.delayMinutes - b.delayMinutes);
+}
+
+// Drops the message templates of stages no longer on the ladder
+async function removeStageTemplates(stageIds) {
+    const { [MessageTemplates.STORAGE_KEY]: stored = {} } = await browser.storage.local.get(MessageTemplates.STORAGE_KEY);
+    const kept = Object.fromEntries(Object.entries(stored || {}).filter(([id]) => {
+        const [typeId, stageId] = id.split(':');
+        return !stageId || !MessageTemplates.getType(typeId)?.perStage || stageIds.includes(stageId);
+    }));
+    if (Object.keys(kept).length < Object.keys(stored || {}).length) {
+        await browser.storage.local.set({ [MessageTemplates.STORAGE_KEY]: kept });
+    }
+}
+
+function isFullyRostered(mismatch) {
+    const confirmed = Number(mismatch?.confirmed) || 0;
+    const rostered = Number(mismatch?.rostered) || 0;
+    return confirmed > 0 && rostered >= confirmed;
+}
+
+function isBelowRosteredPercent(mismatch, percent) {
+    const confirmed = Number(mismatch?.confirmed) || 0;
+    const rostered = Number(mismatch?.rostered) || 0;
+    if (confirmed <= 0) {
+        return true;
+    }
+    return (rostered / confirmed) * 100 < percent;
+}
+
+// Called after the initial alert. Under-rostered DSPs climb the ladder; over-rostered
+// DSPs get at most one reminder after `overRosterFollowUpMinutes` (0 = none)
+async function scheduleEscalation(mismatches, serviceType, originalAlarmName, station) {
+    try {
+        const overRostered = (mismatches || []).filter(m => getMismatchKind(m) === 'over');
+        if (overRostered.length > 0) {
+            await scheduleOverRosterFollowUp(overRostered, serviceType, originalAlarmName, station);
+        }
+
+        const candidates = (mismatches || []).filter(m => getMismatchKind(m) === 'under' && !isFullyRostered(m));
+        if (candidates.length === 0) {
+            console.log('✅ Skipping escalation – no DSP is under-rostered');
+            return;
+        }
+        await scheduleEscalationStage({
+            mismatches: candidates,
+            serviceType,
+            stationId: station?.id || PRIMARY_STATION_ID,
+            originalAlarmName,
+            startedAt: Date.now()
+        }, 0);
+    } catch (error) {
+        console.error('❌ Error scheduling escalation:', error);
+    }
+}
+
+async function scheduleEscalationStage(data, fromIndex) {
+    const ladder = await getEscalationLadder();
+    const stageIndex = ladder.findIndex((stage, i) => i >= fromIndex && stage.enabled);
+    if (stageIndex === -1) {
+        console.log(`ℹ️ Escalation ladder finished for ${data.serviceType}`);
+        return;
+    }
+
+    const stage = ladder[stageIndex];
+    const alarmName = `escalate_${data.originalAlarmName}_${data.stationId}_${stage.id}_${Date.now()}`;
+    // Never fire in the past when a stage shares its delay with the previous one
+    const when = Math.max(data.startedAt + stage.delayMinutes * 60 * 1000, Date.now() + 60 * 1000);
+
+    await browser.storage.local.set({
+        [`escalate_${alarmName}`]: { ...data, stageId: stage.id, scheduledTime: when }
+    });
+    await browser.alarms.create(alarmName, { when });
+    console.log(`⏰ Scheduled escalation stage "${stage.name}" for ${data.serviceType} at ${new Date(when).toLocaleTimeString()}`);
+}
+
+async function scheduleOverRosterFollowUp(mismatches, serviceType, originalAlarmName, station) {
+    const { settings = {} } = await browser.storage.local.get('settings');
+    const minutes = parseInt(settings.overRosterFollowUpMinutes, 10);
+    if (!Number.isFinite(minutes) || minutes <= 0) return;
+
+    const stationId = station?.id || PRIMARY_STATION_ID;
+    const alarmName = `escalate_${originalAlarmName}_${stationId}_over_${Date.now()}`;
+    const when = Date.now() + minutes * 60 * 1000;
+    await browser.storage.local.set({
+        [`escalate_${alarmName}`]: { kind: 'over', mismatches, serviceType, stationId, originalAlarmName, startedAt: Date.now(), scheduledTime: when }
+    });
+    await browser.alarms.create(alarmName, { when });
+    console.log(`⏰ Scheduled over-roster follow-up for ${serviceType} in ${minutes} minutes`);
+}
+
+async function handleOverRosterFollowUp(data) {
+    const minutes = Math.max(1, Math.round((Date.now() - data.startedAt) / 60000));
+    const station = await getStation(data.stationId);
+    const recheck = await recheckMismatches(data.serviceType, station);
+
+    const acknowledgements = await getActiveAcknowledgements();
+    const stillOver = data.mismatches
+        .map(original => recheck.mismatches.find(current => current.dspName === original.dspName))
+        .filter(current => current && getMismatchKind(current) === 'over')
+        .filter(current => !isAcknowledged(acknowledgements, station.id, data.serviceType, current.dspName));
+
+    const alertResults = [];
+    for (const mismatch of stillOver) {
+        const dspKey = mismatch.dspName.split(' ')[0];
+        if ((await getWebhookDestinations(dspKey, station, 'over-roster-follow-up')).length === 0) continue;
+        const language = await MessageTemplates.getDspLanguage(dspKey);
+        const message = await MessageTemplates.renderMessage('overRosterFollowUp', {
+            ...buildRosterTemplateValues(mismatch, data.serviceType, null, language),
+            minutes
+        }, language);
+        const result = await sendWebhookMessage(dspKey, message, station, 'over-roster-follow-up');
+        alertResults.push({ dsp: dspKey, success: result.success, error: result.error });
+    }
+    console.log(`📤 Over-roster follow-up: ${stillOver.length} DSPs still over-rostered`);
+
+    await recordRosterCheck({
+        stationId: station.id,
+        serviceType: data.serviceType,
+        checkType: 'followUp',
+        date: getServiceDateParam(data.serviceType),
+        totals: recheck.totals,
+        mismatches: recheck.mismatches,
+        alertResults
+    });
+}
+
+async function handleEscalationAlarm(alarmName) {
+    // Follow-ups armed before the ladder existed stored their data under followUp_
+    const dataKey = alarmName.startsWith('followUp_') ? `followUp_${alarmName}` : `escalate_${alarmName}`;
+    try {
+        console.log(`🔔 Processing escalation: ${alarmName}`);
+        const stored = await browser.storage.local.get(dataKey);
+        const data = stored[dataKey];
+        await browser.storage.local.remove(dataKey);
+
+        if (!data) {
+            console.warn('⚠️ No escalation data found for:', alarmName);
+            return;
+        }
+
+        // No roster alerts of any kind once the service type's deadline has passed
+        if (await isPastRosterDeadline(data.serviceType)) {
+            console.log(`⌛ ${data.serviceType} roster deadline has passed, stopping follow-ups`);
+            return;
+        }
+
+        if (data.kind === 'over') {
+            await handleOverRosterFollowUp(data);
+            return;
+        }
+
+        const ladder = await getEscalationLadder();
+        const stageIndex = data.stageId ? ladder.findIndex(stage => stage.id === data.stageId) : 0;
+        const stage = ladder[stageIndex];
+        if (!stage) {
+            console.warn(`⚠️ Escalation stage ${data.stageId} no longer exists, stopping`);
+            return;
+        }
+
+        const startedAt = data.startedAt || (data.scheduledTime - 15 * 60 * 1000);
+        const minutes = Math.max(1, Math.round((Date.now() - startedAt) / 60000));
+        const station = await getStation(data.stationId);
+        if (stage.recipients === 'lead' && !station.leadWebhookUrl) {
+            console.log(`ℹ️ Stage "${stage.name}" skipped – no station lead webhook configured`);
+            await scheduleEscalationStage({ ...data, startedAt }, stageIndex + 1);
+            return;
+        }
+        const recheck = await recheckMismatches(data.serviceType, station);
+
+        // A DSP missing from the current mismatches is rostered within tolerance
+        const pending = data.mismatches
+            .map(original => recheck.mismatches.find(current => current.dspName === original.dspName))
+            .filter(current => current && getMismatchKind(current) === 'under' && !isFullyRostered(current));
+        // Acknowledged DSPs stay on the ladder but are not chased while snoozed
+        const acknowledgements = await getActiveAcknowledgements();
+        const belowPercent = pending.filter(m => isBelowRosteredPercent(m, stage.rosteredPercent));
+        const targets = belowPercent.filter(m => !isAcknowledged(acknowledgements, station.id, data.serviceType, m.dspName));
+        if (targets.length < belowPercent.length) {
+            console.log(`🔕 Stage "${stage.name}": ${belowPercent.length - targets.length} acknowledged DSPs snoozed`);
+        }
+
+        let alertResults = [];
+        if (targets.length > 0) {
+            console.log(`🚨 Stage "${stage.name}": ${targets.length} DSPs below ${stage.rosteredPercent}% after ${minutes} minutes`);
+            await sendBrowserNotification(targets, data.serviceType, station, minutes);
+            alertResults = await sendEscalationMessages(stage, targets, data.serviceType, station, minutes);
+        } else if (belowPercent.length > 0) {
+            console.log(`ℹ️ Stage "${stage.name}" skipped – every DSP below ${stage.rosteredPercent}% is acknowledged`);
+        } else if (pending.length > 0) {
+            console.log(`ℹ️ Stage "${stage.name}" skipped – remaining DSPs are at least ${stage.rosteredPercent}% rostered`);
+        } else {
+            console.log(`✅ All mismatches resolved within ${minutes} minutes`);
+        }
+
+        await recordRosterCheck({
+            stationId: station.id,
+            serviceType: data.serviceType,
+            checkType: 'followUp',
+            date: getServiceDateParam(data.serviceType),
+            totals: recheck.totals,
+            mismatches: recheck.mismatches,
+            alertResults
+        });
+
+        if (pending.length > 0) {
+            await scheduleEscalationStage({ ...data, startedAt, mismatches: pending }, stageIndex + 1);
+        }
+    } catch (error) {
+        console.error('❌ Error handling escalation:', error);
+    }
+}
+
+async function sendEscalationMessages(stage, targets, serviceType, station, minutes) {
+    const results = [];
+    const deadline = (await getRosterDeadlines())[serviceType];
+
+    if (stage.recipients === 'dsp' || stage.recipients === 'both') {
+        for (const mismatch of targets) {
+            const dspKey = mismatch.dspName.split(' ')[0];
+            if ((await getWebhookDestinations(dspKey, station, 'escalation')).length === 0) continue;
+            const language = await MessageTemplates.getDspLanguage(dspKey);
+            const values = buildDspTemplateValues(mismatch, serviceType, deadline, minutes, stage, language);
+            const message = await MessageTemplates.renderMessage(MessageTemplates.stageTemplateId('escalationDsp', stage.id), values, language);
+            const result = await sendWebhookMessage(dspKey, message, station, 'escalation');
+            results.push({ dsp: dspKey, success: result.success, error: result.error });
+        }
+    }
+
+    if (stage.recipients === 'lead' || stage.recipients === 'both') {
+        const { defaultLanguage } = await MessageTemplates.loadLanguages();
+        const message = await MessageTemplates.renderMessage(MessageTemplates.stageTemplateId('escalationLead', stage.id), {
+            serviceType: SERVICE_TYPES[serviceType]?.displayName || serviceType,
+            stage: stage.name,
+            minutes,
+            count: targets.length,
+            dspList: targets.map(m => m.dspName.split(' ')[0]).join(', '),
+            dspTable: buildEscalationDspTable(targets, defaultLanguage)
+        }, defaultLanguage);
+        const result = await sendLeadWebhookMessage(station, message, 'escalation');
+        if (!result.success) {
+            console.warn(`⚠️ Station lead escalation not sent: ${result.error}`);
+        }
+    }
+
+    console.log(`📤 Escalation stage "${stage.name}" notifications sent`);
+    return results;
+}
+
+// Roster template values in the DSP's language, plus the escalation extras
+function buildDspTemplateValues(mismatch, serviceType, deadline, minutes, stage, language) {
+    const values = buildRosterTemplateValues(mismatch, serviceType, deadline, language, true);
+    return {
+        ...values,
+        stage: stage.name,
+        minutes,
+        percent: values.confirmed > 0 ? Math.round((values.rostered / values.confirmed) * 100) : 0
+    };
+}
+
+function buildEscalationDspTable(mismatches, language) {
+    let table = `${MessageTemplates.phrase(language, 'escalationTableHeader')}\n|-----|-----------|-----------|---------|-------|\n`;
+    for (const m of mismatches) {
+        const confirmed = Number(m.confirmed) || 0;
+        const rostered = Number(m.rostered) || 0;
+        table += `| ${m.dspName} | ${confirmed} | ${rostered} | ${Math.max(0, confirmed - rostered)} | ${formatMismatchWaves(m, language) || '–'} |\n`;
+    }
+    return table;
+}
+
+async function sendLeadWebhookMessage(station, message, job) {
+    const webhookUrl = station?.leadWebhookUrl || '';
+    if (!webhookUrl) {
+        return { success: false, error: 'No station lead webhook configured' };
+    }
+    return deliverToWebhook({ url: webhookUrl, provider: 'chime', label: '' }, { job, target: 'Station lead', message, station });
+}
@@ -0,0 +1,315 @@
+// -----------------------------
+// Roster check history (IndexedDB)
+// -----------------------------
+
+const HISTORY_DB_NAME = 'dspToolHistory';
+const HISTORY_DB_VERSION = 3;
+const ROSTER_HISTORY_STORE = 'rosterChecks';
+const ACKNOWLEDGEMENT_STORE = 'acknowledgements';
+const MESSAGE_AUDIT_STORE = 'messageAudit';
+const ACKNOWLEDGEMENT_QUERY_LIMIT = 500;
+const MESSAGE_AUDIT_QUERY_LIMIT = 2000;
+const DEFAULT_HISTORY_RETENTION_DAYS = 90;
+const ROSTER_HISTORY_QUERY_LIMIT = 2000;
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let historyDbPromise = null;
+let lastHistoryPruneAt = 0;
+
+function openHistoryDb() {
+    if (historyDbPromise) return historyDbPromise;
+    historyDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ROSTER_HISTORY_STORE)) {
+                const store = db.createObjectStore(ROSTER_HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+                store.createIndex('date', 'date');
+            }
+            // Version 2: per-DSP acknowledgements / snoozes
+            if (!db.objectStoreNames.contains(ACKNOWLEDGEMENT_STORE)) {
+                const store = db.createObjectStore(ACKNOWLEDGEMENT_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+            }
+            // Version 3: audit log of every outbound message
+            if (!db.objectStoreNames.contains(MESSAGE_AUDIT_STORE)) {
+                const store = db.createObjectStore(MESSAGE_AUDIT_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            historyDbPromise = null;
+            reject(request.error);
+        };
+    });
+    return historyDbPromise;
+}
+
+function promisifyTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+async function getHistoryRetentionDays() {
+    const { settings = {} } = await browser.storage.local.get('settings');
+    const days = parseInt(settings.historyRetentionDays, 10);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_HISTORY_RETENTION_DAYS;
+}
+
+// Store one row per DSP seen in a check. `totals` covers every DSP on the page;
+// `mismatches` is used as a fallback when an older content script only returns those.
+async function recordRosterCheck({ stationId, serviceType, checkType, date, totals, mismatches, alertResults }) {
+    try {
+        const source = Array.isArray(totals) && totals.length > 0 ? totals : (mismatches || []);
+        if (source.length === 0) return 0;
+
+        const alerted = new Set((alertResults || []).filter(r => r.success).map(r => String(r.dsp).toUpperCase()));
+        const timestamp = Date.now();
+        const entries = source.map(item => {
+            const dspName = String(item.dspName || '').trim();
+            const dsp = dspName.split(' ')[0].toUpperCase();
+            const confirmed = Number(item.confirmed) || 0;
+            const rostered = Number(item.rostered) || 0;
+            return {
+                timestamp,
+                date,
+                stationId: stationId || PRIMARY_STATION_ID,
+                serviceType,
+                checkType,
+                dsp,
+                dspName,
+                confirmed,
+                rostered,
+                mismatch: confirmed !== rostered,
+                alertSent: alerted.has(dsp),
+                waves: Array.isArray(item.waves) ? item.waves : []
+            };
+        });
+
+        const db = await openHistoryDb();
+        const tx = db.transaction(ROSTER_HISTORY_STORE, 'readwrite');
+        const store = tx.objectStore(ROSTER_HISTORY_STORE);
+        entries.forEach(entry => store.add(entry));
+        await promisifyTransaction(tx);
+        console.log(`🗃️ Recorded ${entries.length} ${checkType} history rows for ${serviceType}`);
+
+        await pruneHistoryIfDue();
+        return entries.length;
+    } catch (error) {
+        console.error('❌ Failed to record roster history:', error);
+        return 0;
+    }
+}
+
+// Retention covers every store, so a write to any of them prunes, at most once an hour
+async function pruneHistoryIfDue() {
+    if (Date.now() - lastHistoryPruneAt < HISTORY_PRUNE_INTERVAL_MS) return 0;
+    lastHistoryPruneAt = Date.now();
+    return pruneRosterHistory();
+}
+
+async function pruneRosterHistory() {
+    try {
+        const retentionDays = await getHistoryRetentionDays();
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const db = await openHistoryDb();
+        const stores = [ROSTER_HISTORY_STORE, ACKNOWLEDGEMENT_STORE, MESSAGE_AUDIT_STORE];
+        const tx = db.transaction(stores, 'readwrite');
+        let removed = 0;
+        stores.forEach(storeName => {
+            const index = tx.objectStore(storeName).index('timestamp');
+            const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                removed++;
+                cursor.continue();
+            };
+        });
+        await promisifyTransaction(tx);
+        if (removed > 0) {
+            console.log(`🧹 Pruned ${removed} history rows older than ${retentionDays} days`);
+        }
+        return removed;
+    } catch (error) {
+        console.warn('⚠️ Failed to prune roster history:', error);
+        return 0;
+    }
+}
+
+// Filters: dsp (code), serviceType, from/to (YYYY-MM-DD roster dates, inclusive)
+async function queryRosterHistory(filters = {}) {
+    const dsp = String(filters.dsp || '').trim().toUpperCase();
+    const serviceType = filters.serviceType || '';
+    const from = filters.from || '';
+    const to = filters.to || '';
+
+    const db = await openHistoryDb();
+    const tx = db.transaction(ROSTER_HISTORY_STORE, 'readonly');
+    const index = tx.objectStore(ROSTER_HISTORY_STORE).index('date');
+    const range = from || to
+        ? IDBKeyRange.bound(from || '0000-00-00', to || '9999-99-99')
+        : null;
+
+    const entries = [];
+    const request = index.openCursor(range, 'prev');
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const entry = cursor.value;
+        const matches = (!dsp || entry.dsp === dsp) && (!serviceType || entry.serviceType === serviceType);
+        if (matches) entries.push(entry);
+        if (entries.length < ROSTER_HISTORY_QUERY_LIMIT) cursor.continue();
+    };
+    await promisifyTransaction(tx);
+
+    entries.sort((a, b) => b.timestamp - a.timestamp);
+    return { entries, truncated: entries.length >= ROSTER_HISTORY_QUERY_LIMIT };
+}
+
+async function clearRosterHistory() {
+    const db = await openHistoryDb();
+    const tx = db.transaction(ROSTER_HISTORY_STORE, 'readwrite');
+    tx.objectStore(ROSTER_HISTORY_STORE).clear();
+    await promisifyTransaction(tx);
+    console.log('🗑️ Roster history cleared');
+}
+
+async function recordAcknowledgements(entries) {
+    try {
+        const db = await openHistoryDb();
+        const tx = db.transaction(ACKNOWLEDGEMENT_STORE, 'readwrite');
+        const store = tx.objectStore(ACKNOWLEDGEMENT_STORE);
+        entries.forEach(entry => store.add({ ...entry, timestamp: entry.acknowledgedAt }));
+        await promisifyTransaction(tx);
+        console.log(`🗃️ Recorded ${entries.length} acknowledgement rows`);
+        await pruneHistoryIfDue();
+    } catch (error) {
+        console.error('❌ Failed to record acknowledgements:', error);
+    }
+}
+
+async function queryAcknowledgements() {
+    const db = await openHistoryDb();
+    const tx = db.transaction(ACKNOWLEDGEMENT_STORE, 'readonly');
+    const index = tx.objectStore(ACKNOWLEDGEMENT_STORE).index('timestamp');
+
+    const entries = [];
+    const request = index.openCursor(null, 'prev');
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        entries.push(cursor.value);
+        if (entries.length < ACKNOWLEDGEMENT_QUERY_LIMIT) cursor.continue();
+    };
+    await promisifyTransaction(tx);
+    return entries;
+}
+
+// Source shown in the audit log for each sending job (see OUTBOX_JOB_LABELS)
+const MESSAGE_AUDIT_SOURCES = {
+    'manual-message': 'manual',
+    'broadcast': 'manual',
+    'mismatch-alert': 'mismatch',
+    'row-alert': 'mismatch',
+    'deadline-reminder': 'mismatch',
+    'over-roster-follow-up': 'follow-up',
+    'escalation': 'follow-up',
+    'risk-alert': 'risk',
+    'reattempt-report': 'reattempt',
+    'reattempt-action-plan': 'reattempt',
+    'summary': 'summary'
+};
+
+// One row per outbound message; returns the row id so later retries can update it
+async function recordMessageAudit({ job, channel, target, destination, message, station, status, httpStatus, error }) {
+    try {
+        const timestamp = Date.now();
+        const db = await openHistoryDb();
+        const tx = db.transaction(MESSAGE_AUDIT_STORE, 'readwrite');
+        const request = tx.objectStore(MESSAGE_AUDIT_STORE).add({
+            timestamp,
+            updatedAt: timestamp,
+            job: job || 'unknown',
+            source: MESSAGE_AUDIT_SOURCES[job] || 'other',
+            channel,
+            target,
+            destination: destination || '',
+            stationId: station?.id || PRIMARY_STATION_ID,
+            stationName: station?.name || '',
+            message,
+            status,
+            httpStatus: httpStatus || null,
+            error: error || '',
+            attempts: 1
+        });
+        await promisifyTransaction(tx);
+        await pruneHistoryIfDue();
+        return request.result;
+    } catch (auditError) {
+        console.error('❌ Failed to record message audit:', auditError);
+        return null;
+    }
+}
+
+async function updateMessageAudit(id, changes) {
+    if (!id) return;
+    try {
+        const db = await openHistoryDb();
+        const tx = db.transaction(MESSAGE_AUDIT_STORE, 'readwrite');
+        const store = tx.objectStore(MESSAGE_AUDIT_STORE);
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, ...changes, updatedAt: Date.now() });
+        };
+        await promisifyTransaction(tx);
+    } catch (auditError) {
+        console.error('❌ Failed to update message audit:', auditError);
+    }
+}
+
+// Filters: target (DSP code), source, search (text in the message or error),
+// from/to (YYYY-MM-DD send dates, inclusive)
+async function queryMessageAudit(filters = {}) {
+    const target = String(filters.target || '').trim().toUpperCase();
+    const source = filters.source || '';
+    const search = String(filters.search || '').trim().toLowerCase();
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+
+    const db = await openHistoryDb();
+    const tx = db.transaction(MESSAGE_AUDIT_STORE, 'readonly');
+    const index = tx.objectStore(MESSAGE_AUDIT_STORE).index('timestamp');
+    const range = from || to
+        ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+        : null;
+
+    const entries = [];
+    const request = index.openCursor(range, 'prev');
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const entry = cursor.value;
+        const matches = (!target || String(entry.target).toUpperCase() === target)
+            && (!source || entry.source === source)
+            && (!search || `${entry.message} ${entry.error}`.toLowerCase().includes(search));
+        if (matches) entries.push(entry);
+        if (entries.length < MESSAGE_AUDIT_QUERY_LIMIT) cursor.continue();
+    };
+    await promisifyTransaction(tx);
+    return { entries, truncated: entries.length >= MESSAGE_AUDIT_QUERY_LIMIT };
+}
+
+async function clearMessageAudit() {
+    const db = await openHistoryDb();
+    const tx = db.transaction(MESSAGE_AUDIT_STORE, 'readwrite');
+    tx.objectStore(MESSAGE_AUDIT_STORE).clear();
+    await promisifyTransaction(tx);
+    console.log('🗑️ Message audit log cleared');
+}
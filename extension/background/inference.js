@@ -0,0 +1,154 @@
+// -----------------------------
+// Service type auto-inference
+// -----------------------------
+// The Scheduling page reports which service types it shows. What happens next
+// depends on `settings.serviceTypeInference`:
+//   off     - detections are recorded for display only
+//   suggest - differences are kept as a pending suggestion to accept in options or the popup
+//   auto    - differences are applied straight away
+// Service types the user toggled by hand are pinned (`serviceTypePins`) and never
+// changed by inference. Every change inference makes is logged. Inference only
+// reads Scheduling pages of the primary station, whose settings it changes;
+// additional stations keep the service types set in their profile.
+
+const INFERENCE_MODES = ['off', 'suggest', 'auto'];
+// Inference applied detections before the modes existed, so installs without a setting keep doing that
+const DEFAULT_INFERENCE_MODE = 'auto';
+const INFERENCE_LOG_LIMIT = 50;
+
+async function getInferenceMode() {
+    const { settings = {} } = await browser.storage.local.get('settings');
+    return INFERENCE_MODES.includes(settings.serviceTypeInference) ? settings.serviceTypeInference : DEFAULT_INFERENCE_MODE;
+}
+
+async function getServiceTypePins() {
+    const { serviceTypePins = {} } = await browser.storage.local.get('serviceTypePins');
+    return serviceTypePins;
+}
+
+async function setServiceTypePinned(serviceType, pinned) {
+    const pins = await getServiceTypePins();
+    if (pinned) {
+        pins[serviceType] = true;
+    } else {
+        delete pins[serviceType];
+    }
+    await browser.storage.local.set({ serviceTypePins: pins });
+    console.log(`📌 Service type ${serviceType} ${pinned ? 'pinned' : 'unpinned'}`);
+    return pins;
+}
+
+// Enable/disable changes that would bring the settings in line with the page, minus pinned types
+function computeInferenceChanges(current, detectedTypes, pins) {
+    const changes = {};
+    const skipped = [];
+    for (const serviceType of Object.keys(SERVICE_TYPES)) {
+        const detected = detectedTypes.includes(serviceType);
+        if (Boolean(current[serviceType]) === detected) continue;
+        if (pins[serviceType]) {
+            skipped.push(serviceType);
+            continue;
+        }
+        changes[serviceType] = detected;
+    }
+    return { changes, skipped };
+}
+
+async function handleServiceTypesInferred(detectedTypes, stationId = PRIMARY_STATION_ID) {
+    try {
+        if (stationId !== PRIMARY_STATION_ID) {
+            console.log(`ℹ️ Ignoring service types detected on a page of station ${stationId}`);
+            return { mode: await getInferenceMode(), changes: {} };
+        }
+        const detected = (Array.isArray(detectedTypes) ? detectedTypes : []).filter(type => SERVICE_TYPES[type]);
+        console.log('🔍 Service types inferred from page:', detected);
+        await browser.storage.local.set({ lastInferredTypes: detected, inferenceTimestamp: Date.now() });
+        if (detected.length === 0) return { mode: await getInferenceMode(), changes: {} };
+
+        const mode = await getInferenceMode();
+        if (mode === 'off') {
+            console.log('ℹ️ Service type inference is off, settings left unchanged');
+            return { mode, changes: {} };
+        }
+
+        const current = await getServiceTypeSettings();
+        const { changes, skipped } = computeInferenceChanges(current, detected, await getServiceTypePins());
+        if (skipped.length > 0) {
+            console.log(`📌 Inference left pinned service types alone: ${skipped.join(', ')}`);
+        }
+
+        if (Object.keys(changes).length === 0) {
+            await browser.storage.local.remove('serviceTypeSuggestion');
+            return { mode, changes };
+        }
+
+        if (mode === 'suggest') {
+            await browser.storage.local.set({
+                serviceTypeSuggestion: { detectedTypes: detected, changes, skipped, detectedAt: Date.now() }
+            });
+            console.log('💡 Service type suggestion saved:', changes);
+            return { mode, changes };
+        }
+
+        await applyServiceTypeChanges(changes, { source: 'auto', detectedTypes: detected, skipped });
+        return { mode, changes };
+    } catch (error) {
+        console.error('❌ Error handling inferred service types:', error);
+        throw error;
+    }
+}
+
+async function applyServiceTypeChanges(changes, { source, detectedTypes = [], skipped = [] }) {
+    const serviceTypes = { ...(await getServiceTypeSettings()), ...changes };
+    await browser.storage.local.set({ serviceTypes });
+    await browser.storage.local.remove('serviceTypeSuggestion');
+    await logInferenceChange({ at: Date.now(), source, detectedTypes, changes, skipped });
+
+    const notificationsEnabled = await getNotificationSettings();
+    if (notificationsEnabled) {
+        console.log('🔔 Updating alarms based on inferred service types...');
+        await createServiceTypeAlarms();
+    }
+    console.log(`✅ Inference (${source}) applied:`, changes);
+    return serviceTypes;
+}
+
+// Re-checks pins at accept time so a type toggled by hand since the detection stays put
+async function acceptServiceTypeSuggestion() {
+    const { serviceTypeSuggestion: suggestion } = await browser.storage.local.get('serviceTypeSuggestion');
+    if (!suggestion) throw new Error('No pending service type suggestion');
+    const pins = await getServiceTypePins();
+    const changes = Object.fromEntries(Object.entries(suggestion.changes || {})
+        .filter(([serviceType]) => SERVICE_TYPES[serviceType] && !pins[serviceType]));
+    return applyServiceTypeChanges(changes, {
+        source: 'accepted',
+        detectedTypes: suggestion.detectedTypes,
+        skipped: suggestion.skipped
+    });
+}
+
+async function dismissServiceTypeSuggestion() {
+    const { serviceTypeSuggestion: suggestion } = await browser.storage.local.get('serviceTypeSuggestion');
+    await browser.storage.local.remove('serviceTypeSuggestion');
+    if (suggestion) {
+        await logInferenceChange({ at: Date.now(), source: 'dismissed', detectedTypes: suggestion.detectedTypes, changes: {}, skipped: [] });
+    }
+}
+
+async function logInferenceChange(entry) {
+    const { serviceTypeInferenceLog = [] } = await browser.storage.local.get('serviceTypeInferenceLog');
+    serviceTypeInferenceLog.unshift(entry);
+    await browser.storage.local.set({ serviceTypeInferenceLog: serviceTypeInferenceLog.slice(0, INFERENCE_LOG_LIMIT) });
+}
+
+async function getServiceTypeInferenceState() {
+    const stored = await browser.storage.local.get(['serviceTypeSuggestion', 'serviceTypeInferenceLog', 'lastInferredTypes', 'inferenceTimestamp']);
+    return {
+        mode: await getInferenceMode(),
+        pins: await getServiceTypePins(),
+        suggestion: stored.serviceTypeSuggestion || null,
+        log: stored.serviceTypeInferenceLog || [],
+        lastInferredTypes: stored.lastInferredTypes || [],
+        inferenceTimestamp: stored.inferenceTimestamp || null
+    };
+}
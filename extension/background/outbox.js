@@ -0,0 +1,58 @@
+// -----------------------------
+// Dry-run mode and local outbox
+// -----------------------------
+// With `dryRunEnabled` set, every outgoing Chime and Slack post is stored in the
+// `dryRunOutbox` list instead of being sent. Senders treat a dry-run post as
+// delivered so follow-ups and escalations run exactly as they would for real.
+
+const DRY_RUN_OUTBOX_LIMIT = 200;
+
+// Job that produced a message, shown in the outbox viewer
+const OUTBOX_JOB_LABELS = {
+    'mismatch-alert': 'Scheduled mismatch check',
+    'deadline-reminder': 'Roster deadline reminder',
+    'over-roster-follow-up': 'Over-roster follow-up',
+    'escalation': 'Escalation ladder',
+    'row-alert': 'Scheduling table alert',
+    'manual-message': 'Manual message',
+    'broadcast': 'Scheduled broadcast',
+    'summary': 'Route planning summary',
+    'risk-alert': 'Risk alert',
+    'reattempt-report': 'Failed reattempt report',
+    'reattempt-action-plan': 'Reattempt action plan',
+    'webhook-test': 'Webhook test'
+};
+
+async function isDryRunEnabled() {
+    const { dryRunEnabled = false } = await browser.storage.local.get('dryRunEnabled');
+    return dryRunEnabled === true;
+}
+
+async function recordDryRunMessage({ job, channel, target, destination, url, message, station }) {
+    const { dryRunOutbox = [] } = await browser.storage.local.get('dryRunOutbox');
+    dryRunOutbox.unshift({
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        at: Date.now(),
+        job: job || 'unknown',
+        channel,
+        target,
+        destination: destination || '',
+        url,
+        stationId: station?.id || PRIMARY_STATION_ID,
+        stationName: station?.name || '',
+        message
+    });
+    await browser.storage.local.set({ dryRunOutbox: dryRunOutbox.slice(0, DRY_RUN_OUTBOX_LIMIT) });
+    console.log(`🧪 Dry run: ${channel} message for ${target} (${job || 'unknown'}) stored in outbox`);
+    return { success: true, dryRun: true };
+}
+
+async function getDryRunOutbox() {
+    const { dryRunOutbox = [] } = await browser.storage.local.get('dryRunOutbox');
+    return dryRunOutbox.map(entry => ({ ...entry, jobLabel: OUTBOX_JOB_LABELS[entry.job] || entry.job }));
+}
+
+async function clearDryRunOutbox() {
+    await browser.storage.local.remove('dryRunOutbox');
+    console.log('🗑️ Dry-run outbox cleared');
+}
@@ -0,0 +1,178 @@
+// -----------------------------
+// Chat provider adapters
+// -----------------------------
+// Messages are written once, as Chime markdown (templates, escalation texts, manual
+// messages). Before posting, the text is read back into a logical message
+// (title, "Name: value" fields, the first markdown table and the remaining text)
+// and each provider renders that in its own format. Chime keeps the original text.
+
+const SLACK_SECTION_LIMIT = 2900;
+
+function stripMarkdownPrefix(text) {
+    return String(text || '').replace(/^\s*\/md\s*/, '');
+}
+
+function stripMarkdownEmphasis(text) {
+    return String(text || '').replace(/\*\*(.+?)\*\*/g, '$1').trim();
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => stripMarkdownEmphasis(cell));
+}
+
+function parseChatMessage(raw) {
+    const lines = stripMarkdownPrefix(raw).split('\n');
+    const message = { raw: String(raw || ''), title: '', fields: [], table: null, text: '' };
+    const textLines = [];
+    let inTable = false;
+
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        if (!message.title) {
+            if (trimmed) message.title = stripMarkdownEmphasis(trimmed.replace(/^#+\s*/, ''));
+            return;
+        }
+
+        if (trimmed.startsWith('|') && (inTable || !message.table)) {
+            if (/^\|[\s\-:|]+\|?$/.test(trimmed)) return; // header separator
+            if (!message.table) {
+                message.table = { headers: splitTableRow(trimmed), rows: [] };
+            } else {
+                message.table.rows.push(splitTableRow(trimmed));
+            }
+            inTable = true;
+            return;
+        }
+        inTable = false;
+
+        const field = trimmed.match(/^\*{0,2}([^:*|#>\-\s][^:*|]{0,39}?)\*{0,2}:\*{0,2}\s+(.+)$/);
+        if (field && !/^https?$/i.test(field[1])) {
+            message.fields.push({ name: field[1].trim(), value: stripMarkdownEmphasis(field[2]) });
+            return;
+        }
+        textLines.push(line);
+    });
+
+    message.text = textLines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    return message;
+}
+
+function toSlackMarkdown(text) {
+    return String(text || '')
+        .replace(/^#+\s*(.+)$/gm, '*$1*')
+        .replace(/\*\*(.+?)\*\*/g, '*$1*');
+}
+
+// Fixed-width table for providers without a table element
+function formatTextTable(table) {
+    const rows = [table.headers, ...table.rows];
+    const widths = table.headers.map((_, i) => Math.max(...rows.map(row => String(row[i] ?? '').length)));
+    return rows
+        .map(row => table.headers.map((_, i) => String(row[i] ?? '').padEnd(widths[i])).join('  ').trimEnd())
+        .join('\n');
+}
+
+function chunkText(text, size) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    return chunks;
+}
+
+const CHAT_PROVIDERS = {
+    chime: {
+        buildPayload(message) {
+            return { Content: message.raw };
+        }
+    },
+
+    slack: {
+        buildPayload(message) {
+            const blocks = [];
+            if (message.title) {
+                blocks.push({ type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150), emoji: true } });
+            }
+            for (let i = 0; i < message.fields.length; i += 10) {
+                blocks.push({
+                    type: 'section',
+                    fields: message.fields.slice(i, i + 10).map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` }))
+                });
+            }
+            if (message.table) {
+                chunkText(formatTextTable(message.table), SLACK_SECTION_LIMIT).forEach(part => {
+                    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '```\n' + part + '\n```' } });
+                });
+            }
+            if (message.text) {
+                chunkText(toSlackMarkdown(message.text), SLACK_SECTION_LIMIT).forEach(part => {
+                    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: part } });
+                });
+            }
+            // `text` is the notification fallback; Slack shows the blocks
+            return { text: toSlackMarkdown(stripMarkdownPrefix(message.raw)), blocks: blocks.slice(0, 50) };
+        }
+    },
+
+    teams: {
+        buildPayload(message) {
+            const body = [];
+            if (message.title) {
+                body.push({ type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true });
+            }
+            if (message.fields.length > 0) {
+                body.push({ type: 'FactSet', facts: message.fields.map(field => ({ title: field.name, value: field.value })) });
+            }
+            if (message.table) {
+                const toRow = cells => ({
+                    type: 'TableRow',
+                    cells: message.table.headers.map((_, i) => ({
+                        type: 'TableCell',
+                        items: [{ type: 'TextBlock', text: String(cells[i] ?? ''), wrap: true }]
+                    }))
+                });
+                body.push({
+                    type: 'Table',
+                    firstRowAsHeader: true,
+                    columns: message.table.headers.map(() => ({ width: 1 })),
+                    rows: [toRow(message.table.headers), ...message.table.rows.map(toRow)]
+                });
+            }
+            if (message.text) {
+                body.push({ type: 'TextBlock', text: message.text, wrap: true });
+            }
+            return {
+                type: 'message',
+                attachments: [{
+                    contentType: 'application/vnd.microsoft.card.adaptive',
+                    contentUrl: null,
+                    content: {
+                        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                        type: 'AdaptiveCard',
+                        version: '1.5',
+                        body
+                    }
+                }]
+            };
+        }
+    },
+
+    json: {
+        buildPayload(message, destination, context) {
+            return WebhookDestinations.renderBodyTemplate(destination.bodyTemplate, {
+                title: message.title,
+                text: stripMarkdownEmphasis(message.text),
+                message: stripMarkdownEmphasis(stripMarkdownPrefix(message.raw)),
+                fields: Object.fromEntries(message.fields.map(field => [field.name, field.value])),
+                table: message.table,
+                dsp: context?.target || '',
+                job: context?.job || ''
+            });
+        }
+    }
+};
+
+// Payload for one destination; `context` carries the target and job for JSON templates.
+// Throws when a JSON body template does not produce valid JSON.
+function buildProviderPayload(destination, text, context) {
+    const provider = WebhookDestinations.normalizeProvider(destination?.provider);
+    return CHAT_PROVIDERS[provider].buildPayload(parseChatMessage(text), destination || {}, context);
+}
@@ -0,0 +1,75 @@
+// -----------------------------
+// Webhook rate limiter
+// -----------------------------
+// Every webhook post (postWebhook in delivery.js) waits here for a send slot, so jobs
+// running at the same time cannot burst past provider limits. A destination URL gets
+// at most one post per RATE_LIMIT_DESTINATION_INTERVAL_MS and all destinations together
+// one per RATE_LIMIT_GLOBAL_INTERVAL_MS. Waiting posts go out in arrival order, except
+// that a post whose destination is still cooling down lets the next one through.
+// A 429 holds its destination for the Retry-After time.
+
+const RATE_LIMIT_DESTINATION_INTERVAL_MS = 1000;
+const RATE_LIMIT_GLOBAL_INTERVAL_MS = 250;
+const RATE_LIMIT_DEFAULT_RETRY_AFTER_MS = 5000;
+// Longer Retry-After waits are left to the delivery queue instead of holding the sender
+const RATE_LIMIT_MAX_INLINE_WAIT_MS = 60 * 1000;
+
+const rateLimiter = {
+    waiting: [],
+    globalNextAt: 0,
+    destinationNextAt: new Map(),
+    timer: null
+};
+
+// Resolves when a post to `url` may be sent
+function acquireSendSlot(url) {
+    return new Promise(resolve => {
+        rateLimiter.waiting.push({ url, resolve });
+        pumpRateLimiter();
+    });
+}
+
+function pumpRateLimiter() {
+    if (rateLimiter.timer) {
+        clearTimeout(rateLimiter.timer);
+        rateLimiter.timer = null;
+    }
+
+    const now = Date.now();
+    while (rateLimiter.waiting.length > 0 && rateLimiter.globalNextAt <= now) {
+        const index = rateLimiter.waiting.findIndex(item => (rateLimiter.destinationNextAt.get(item.url) || 0) <= now);
+        if (index === -1) break;
+        const [item] = rateLimiter.waiting.splice(index, 1);
+        rateLimiter.globalNextAt = now + RATE_LIMIT_GLOBAL_INTERVAL_MS;
+        rateLimiter.destinationNextAt.set(item.url, now + RATE_LIMIT_DESTINATION_INTERVAL_MS);
+        item.resolve();
+    }
+
+    // Forget destinations whose cool-down is over
+    rateLimiter.destinationNextAt.forEach((at, url) => {
+        if (at <= now) rateLimiter.destinationNextAt.delete(url);
+    });
+
+    if (rateLimiter.waiting.length > 0) {
+        const destinationAt = Math.min(...rateLimiter.waiting.map(item => rateLimiter.destinationNextAt.get(item.url) || now));
+        const wakeAt = Math.max(rateLimiter.globalNextAt, destinationAt);
+        rateLimiter.timer = setTimeout(pumpRateLimiter, Math.max(wakeAt - Date.now(), 10));
+    }
+}
+
+// Keep `url` idle for `ms` (after a 429)
+function holdDestination(url, ms) {
+    const until = Date.now() + ms;
+    rateLimiter.destinationNextAt.set(url, Math.max(rateLimiter.destinationNextAt.get(url) || 0, until));
+    console.warn(`⏱️ Webhook rate limited, holding destination for ${Math.round(ms / 1000)}s`);
+    pumpRateLimiter();
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return RATE_LIMIT_DEFAULT_RETRY_AFTER_MS;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : RATE_LIMIT_DEFAULT_RETRY_AFTER_MS;
+}
@@ -0,0 +1,142 @@
+// -----------------------------
+// Page readiness handshake
+// -----------------------------
+// Content scripts report "pageReady" once their data table has rendered
+// (see content/readiness.js). Jobs that open a tab wait for that report
+// instead of sleeping for a fixed time.
+
+const READINESS_POLL_MS = 1000;
+const TAB_LOAD_SETTLE_MS = 2000;
+const pageReadyWaiters = new Map();
+
+async function getReadinessSettings() {
+    const { settings = {} } = await browser.storage.local.get('settings');
+    const timeoutSeconds = parseInt(settings.pageReadyTimeoutSeconds, 10);
+    const retries = parseInt(settings.pageReadyRetries, 10);
+    return {
+        timeoutMs: (Number.isFinite(timeoutSeconds) && timeoutSeconds > 0 ? timeoutSeconds : 30) * 1000,
+        retries: Number.isFinite(retries) && retries >= 0 ? retries : 1
+    };
+}
+
+// Resolves true once the tab reports its data as ready, false after all retries time out.
+// `since` ignores reports from a document that loaded before the caller navigated the tab.
+async function waitForPageReady(tabId, pageType, { since = 0 } = {}) {
+    const { timeoutMs, retries } = await getReadinessSettings();
+    const startedAt = Date.now();
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            console.log(`🔄 ${pageType} page not ready, reloading tab (retry ${attempt}/${retries})`);
+            since = Date.now();
+            try {
+                await browser.tabs.reload(tabId);
+            } catch (error) {
+                console.warn('⚠️ Could not reload tab for readiness retry:', error);
+                return false;
+            }
+        }
+
+        const ready = await waitForReadySignal(tabId, pageType, since, timeoutMs);
+        if (ready) {
+            console.log(`✅ ${pageType} page ready after ${Date.now() - startedAt}ms`);
+            return true;
+        }
+    }
+
+    console.warn(`⚠️ ${pageType} page did not report ready after ${retries + 1} attempt(s)`);
+    return false;
+}
+
+// Navigating to a URL that only differs by #hash keeps the current document,
+// so a ready report it already made still counts
+function getNavigationSince(currentUrl, targetUrl) {
+    const base = url => String(url || '').split('#')[0];
+    return currentUrl && base(currentUrl) === base(targetUrl) ? 0 : Date.now();
+}
+
+function waitForReadySignal(tabId, pageType, since, timeoutMs) {
+    return new Promise(resolve => {
+        let settled = false;
+        let timer = null;
+        let poller = null;
+
+        const waiter = {
+            pageType,
+            since,
+            finish(ready) {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                clearInterval(poller);
+                const list = (pageReadyWaiters.get(tabId) || []).filter(w => w !== waiter);
+                if (list.length) pageReadyWaiters.set(tabId, list); else pageReadyWaiters.delete(tabId);
+                resolve(ready);
+            }
+        };
+        pageReadyWaiters.set(tabId, [...(pageReadyWaiters.get(tabId) || []), waiter]);
+
+        // Poll as well, in case the page reported before we started listening
+        const poll = async () => {
+            try {
+                const status = await browser.tabs.sendMessage(tabId, { action: 'getPageReadiness' });
+                if (isMatchingReadyReport(status, pageType, since)) waiter.finish(true);
+            } catch {
+                // Content script not injected yet
+            }
+        };
+
+        timer = setTimeout(() => waiter.finish(false), timeoutMs);
+        poller = setInterval(poll, READINESS_POLL_MS);
+        poll();
+    });
+}
+
+function isMatchingReadyReport(report, pageType, since) {
+    return !!report
+        && report.ready === true
+        && report.pageType === pageType
+        && (Number(report.loadedAt) || 0) >= since;
+}
+
+function handlePageReadyReport(tabId, report) {
+    const waiters = pageReadyWaiters.get(tabId);
+    if (!waiters) return;
+    waiters
+        .filter(waiter => isMatchingReadyReport(report, waiter.pageType, waiter.since))
+        .forEach(waiter => waiter.finish(true));
+}
+
+// For pages without a readiness reporter: wait for the tab to finish loading, then settle briefly
+async function waitForTabLoaded(tabId, { since = 0 } = {}) {
+    const { timeoutMs } = await getReadinessSettings();
+    const loaded = await new Promise(resolve => {
+        const timer = setTimeout(() => finish(false), timeoutMs);
+        const listener = (updatedId, changeInfo) => {
+            if (updatedId === tabId && changeInfo.status === 'complete') finish(true);
+        };
+        function finish(result) {
+            clearTimeout(timer);
+            browser.tabs.onUpdated.removeListener(listener);
+            resolve(result);
+        }
+        browser.tabs.onUpdated.addListener(listener);
+
+        // A tab we did not just navigate may already be complete
+        if (!since) {
+            browser.tabs.get(tabId)
+                .then(tab => { if (tab.status === 'complete') finish(true); })
+                .catch(() => finish(false));
+        }
+    });
+    if (loaded) {
+        await new Promise(resolve => setTimeout(resolve, TAB_LOAD_SETTLE_MS));
+    } else {
+        console.warn(`⚠️ Tab ${tabId} did not finish loading within ${timeoutMs}ms`);
+    }
+    return loaded;
+}
+
+browser.tabs.onRemoved.addListener((tabId) => {
+    (pageReadyWaiters.get(tabId) || []).forEach(waiter => waiter.finish(false));
+});
@@ -2,12 +2,6 @@
 // Failed Reattempts Report
 // -----------------------------
 
-function chunkArray(arr, size) {
-    const out = [];
-    for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
-    return out;
-}
-
 function reasonIcon(reason) {
     const map = {
         'BUSINESS_CLOSED': '🏢',
@@ -22,29 +16,53 @@ function reasonIcon(reason) {
 }
 
 async function runFailedReattemptReport() {
+    const stations = await getStationProfiles({ enabledOnly: true });
+    let sent = 0; let dspsNotified = 0;
+    const errors = [];
+    for (const station of stations) {
+        // Additional stations without their own Backbrief dashboard are skipped quietly
+        if (station.id !== PRIMARY_STATION_ID && !station.failedBackbriefUrl) continue;
+        const result = await runFailedReattemptReportForStation(station);
+        sent += result.sent || 0;
+        dspsNotified += result.dspsNotified || 0;
+        if (result.error) {
+            const label = getStationLabel(station);
+            errors.push(stations.length > 1 && label ? `${label}: ${result.error}` : result.error);
+        }
+    }
+
+    // Clear temp manifest to free memory
+    TEMP_MANIFEST_MAP = {};
+    return errors.length ? { sent, dspsNotified, error: errors.join('; ') } : { sent, dspsNotified };
+}
+
+async function runFailedReattemptReportForStation(station) {
     const { settings = {} } = await browser.storage.local.get('settings');
     const includeReasons = settings.failedReasons || [
         'BUSINESS_CLOSED', 'LOCKER_ISSUE', 'UNABLE_TO_LOCATE_ADDRESS', 'UNABLE_TO_ACCESS', 'OTP_NOT_AVAILABLE', 'ITEMS_MISSING'
     ];
     const chunkSize = Number.isFinite(settings.failedChunkSize) ? settings.failedChunkSize : 20;
-    const backbriefUrl = settings.failedBackbriefUrl || settings.riskDashboardUrl || '';
-    const routePlanningBaseUrl = settings.routePlanningBaseUrl || '';
+    const backbriefUrl = station.failedBackbriefUrl || '';
+    const routePlanningBaseUrl = station.routePlanningBaseUrl || '';
     if (!backbriefUrl) {
         return { sent: 0, dspsNotified: 0, error: 'Backbrief dashboard URL not configured' };
     }
 
-    // First, prefer uploaded backbrief if present
+    // First, prefer uploaded backbrief if present (uploads belong to the primary station)
     let rows = [];
-    try {
-        const { uploadedBackbriefRows } = await browser.storage.local.get('uploadedBackbriefRows');
-        if (uploadedBackbriefRows && Array.isArray(uploadedBackbriefRows.rows) && uploadedBackbriefRows.rows.length) {
-            rows = uploadedBackbriefRows.rows;
-        }
-    } catch {}
+    if (station.id === PRIMARY_STATION_ID) {
+        try {
+            const { uploadedBackbriefRows } = await browser.storage.local.get('uploadedBackbriefRows');
+            if (uploadedBackbriefRows && Array.isArray(uploadedBackbriefRows.rows) && uploadedBackbriefRows.rows.length) {
+                rows = uploadedBackbriefRows.rows;
+            }
+        } catch {}
+    }
 
     if (!rows.length) {
         // Open or reuse dashboard tab and capture live
         const matches = await browser.tabs.query({ url: backbriefUrl.split('#')[0] + '*' });
+        const navigatedAt = getNavigationSince(matches?.[0]?.url, backbriefUrl);
         let tab;
         if (matches && matches.length > 0) {
             tab = matches[0];
@@ -52,7 +70,7 @@ async function runFailedReattemptReport() {
         } else {
             tab = await browser.tabs.create({ url: backbriefUrl, active: false });
         }
-        await new Promise(r => setTimeout(r, 8000));
+        await waitForPageReady(tab.id, 'mercury', { since: navigatedAt });
 
         // Prefer CSV capture; fall back to DOM extraction
         try {
@@ -111,6 +129,7 @@ async function runFailedReattemptReport() {
             } catch {}
 
             const matchesRP = await browser.tabs.query({ url: rtpUrl.split('#')[0] + '*' });
+            const navigatedAtRP = Date.now();
             let tabRP;
             if (matchesRP && matchesRP.length > 0) {
                 tabRP = matchesRP[0];
@@ -118,7 +137,7 @@ async function runFailedReattemptReport() {
             } else {
                 tabRP = await browser.tabs.create({ url: rtpUrl, active: false });
             }
-            await new Promise(r => setTimeout(r, 7000));
+            await waitForPageReady(tabRP.id, 'routePlanning', { since: navigatedAtRP });
             const manResp = await browser.tabs.sendMessage(tabRP.id, { action: 'getManifestTrackingMap' });
             if (manResp?.success && manResp.map) manifestMap = manResp.map;
             // If manifest map is empty, try route-sheets fallback
@@ -126,6 +145,7 @@ async function runFailedReattemptReport() {
                 try {
                     let sheetsUrl = rtpUrl.replace('://eu.route.planning.last-mile.a2z.com/route-planning', '://eu.dispatch.planning.last-mile.a2z.com/route-sheets');
                     const matchesRS = await browser.tabs.query({ url: sheetsUrl.split('#')[0] + '*' });
+                    const navigatedAtRS = Date.now();
                     let tabRS;
                     if (matchesRS && matchesRS.length > 0) {
                         tabRS = matchesRS[0];
@@ -133,7 +153,8 @@ async function runFailedReattemptReport() {
                     } else {
                         tabRS = await browser.tabs.create({ url: sheetsUrl, active: false });
                     }
-                    await new Promise(r => setTimeout(r, 7000));
+                    // Route Sheets has no readiness reporter; wait for the tab to finish loading
+                    await waitForTabLoaded(tabRS.id, { since: navigatedAtRS });
                     const rsResp = await browser.tabs.sendMessage(tabRS.id, { action: 'getSheetsTrackingMap' });
                     if (rsResp?.success && rsResp.map) manifestMap = rsResp.map;
                 } catch (e) { console.warn('Route sheets enrichment failed:', e); }
@@ -165,12 +186,14 @@ async function runFailedReattemptReport() {
         byDSP.get(dsp).push(r);
     }
 
-    const { webhooks = {} } = await browser.storage.local.get('webhooks');
+    const webhooks = station.webhooks || {};
+    const reportDate = ServiceTypeRegistry.formatDate(0);
+    const languages = await MessageTemplates.loadLanguages();
     let sent = 0; let dspsNotified = 0;
     const dspsWithFailures = [];
 
     for (const [dsp, list] of byDSP) {
-        if (!webhooks[dsp]) continue; // skip unmapped DSPs
+        if (WebhookDestinations.forJob(webhooks[dsp], 'reattempt-report').length === 0) continue; // skip unmapped DSPs
         // Sort: route number if present, then reason
         const parseRouteNum = (s) => {
             const m = String(s || '').match(/(\d+)/);
@@ -183,94 +206,54 @@ async function runFailedReattemptReport() {
             return reasonOrder.indexOf(a.reason) - reasonOrder.indexOf(b.reason);
         });
 
-        const chunks = chunkArray(list, chunkSize);
-        for (let i = 0; i < chunks.length; i++) {
-            const part = chunks[i];
-            let table = '| 📦 Tracking ID | ❌ Reason | 🚚 Route | 🏠 Address | Type | ⚠️ Attempted | 🕒 Time Window |\n';
-            table += '|----------------|-----------|----------|------------|------|-------------|---------------|\n';
-            for (const row of part) {
-                const icon = reasonIcon(row.reason);
-                const reason = `${icon ? icon + ' ' : ''}${row.reason}`;
-                const tracking = row.trackingId || '-';
-                const route = row.route || '-';
-                const mm = manifestMap[tracking] || {};
-                const address = mm.address ? (String(mm.address).split(',').slice(0, -1).join(',') || mm.address) : 'No Address';
-                const addrType = row.addressType || '-';
-                const attemptedRaw = row.latestAttempt || '';
-                let attempted = 'N/A';
-                try {
-                    const timeMatch = String(attemptedRaw).match(/\b(\d{1,2}):(\d{2})\b/);
-                    if (timeMatch) {
-                        attempted = `${timeMatch[1].padStart(2,'0')}:${timeMatch[2]}`;
-                    } else if (/T\d{2}:\d{2}:\d{2}/.test(String(attemptedRaw))) {
-                        const d = new Date(attemptedRaw);
-                        if (!isNaN(d.getTime())) {
-                            const hh = String(d.getHours()).padStart(2,'0');
-                            const mm2 = String(d.getMinutes()).padStart(2,'0');
-                            attempted = `${hh}:${mm2}`;
-                        }
+        const language = MessageTemplates.languageFor(languages, dsp);
+        if (list.length === 0) continue;
+        let table = `${MessageTemplates.phrase(language, 'reattemptTableHeader')}\n`;
+        table += '|----------------|-----------|----------|------------|------|-------------|---------------|\n';
+        for (const row of list) {
+            const icon = reasonIcon(row.reason);
+            const reason = `${icon ? icon + ' ' : ''}${row.reason}`;
+            const tracking = row.trackingId || '-';
+            const route = row.route || '-';
+            const mm = manifestMap[tracking] || {};
+            const address = mm.address ? (String(mm.address).split(',').slice(0, -1).join(',') || mm.address) : MessageTemplates.phrase(language, 'noAddress');
+            const addrType = row.addressType || '-';
+            const attemptedRaw = row.latestAttempt || '';
+            let attempted = 'N/A';
+            try {
+                const timeMatch = String(attemptedRaw).match(/\b(\d{1,2}):(\d{2})\b/);
+                if (timeMatch) {
+                    attempted = `${timeMatch[1].padStart(2,'0')}:${timeMatch[2]}`;
+                } else if (/T\d{2}:\d{2}:\d{2}/.test(String(attemptedRaw))) {
+                    const d = new Date(attemptedRaw);
+                    if (!isNaN(d.getTime())) {
+                        const hh = String(d.getHours()).padStart(2,'0');
+                        const mm2 = String(d.getMinutes()).padStart(2,'0');
+                        attempted = `${hh}:${mm2}`;
                     }
-                } catch {}
-                const timeWindow = mm.timeWindow || 'No Time Window';
-                table += `| ${tracking} | ${reason} | ${route} | ${address} | ${addrType} | ${attempted} | ${timeWindow} |\n`;
-            }
-            const partIndicator = chunks.length > 1 ? ` (Part ${i+1}/${chunks.length})` : '';
-            const message = `/md\n# Failed Shipments to Reattempt | Fehlgeschlagene Sendungen für erneuten Zustellversuch${partIndicator}\n`+
-                `## DSP ${dsp}\n\n`+
-                `Hi <@all|All Members>,\n\n`+
-                `Here are the Failed Deliveries that need reattempt | Hier sind die fehlgeschlagenen Lieferungen, die einen erneuten Zustellversuch benötigen:\n\n`+
-                table + '\n';
-
-            const r = await sendWebhookMessage(dsp, message);
-            if (r?.success) { sent++; }
-            await new Promise(r => setTimeout(r, 400));
-        }
-        if (chunks.length > 0) {
-            dspsNotified++;
-            dspsWithFailures.push(dsp);
+                }
+            } catch {}
+            const timeWindow = mm.timeWindow || MessageTemplates.phrase(language, 'noTimeWindow');
+            table += `| ${tracking} | ${reason} | ${route} | ${address} | ${addrType} | ${attempted} | ${timeWindow} |\n`;
         }
+        // Long tables are split by size and by `chunkSize` rows, with "Part n/m" labels (delivery.js)
+        const message = await MessageTemplates.renderMessage('reattemptReport', { dsp, table, date: reportDate }, language);
+
+        const r = await sendWebhookMessage(dsp, message, station, 'reattempt-report', { maxTableRows: chunkSize });
+        if (r?.success) { sent++; }
+        dspsNotified++;
+        dspsWithFailures.push(dsp);
     }
 
     // Send action plan to DSPs that got tables
     if (dspsWithFailures.length > 0) {
-        const actionPlan =
-`/md\n### Action Guide | Handlungsanleitung\n\n`+
-`**🏢 BUSINESS_CLOSED:**\n`+
-`- Without Time Window | Ohne Zeitfenster:\n`+
-`  → FQA will add the Time Window | FQA fügt das Zeitfenster hinzu\n`+
-`- With Time Window (Inside the TW) | Mit Zeitfenster (Innerhalb Zeitfenster):\n`+
-`  → DSP: Please provide information about the situation and confirm redelivery attempt\n`+
-`  → DSP: Bitte Informationen zur Situation bereitstellen und Zustellversuch bestätigen\n`+
-`- With Time Window (Out of the TW) | Mit Zeitfenster (Ausserhalb Zeitfenster):\n`+
-`  → On Road team will review the routing | On Road Team überprüft die Route\n`+
-`- RESIDENTIAL address | WOHNADRESSE:\n`+
-`  → DSP: Please inform if this is an error and if a second attempt will be made\n`+
-`  → DSP: Bitte informieren Sie, ob es sich um einen Fehler handelt und ob ein zweiter Versuch unternommen wird\n\n`+
-`**🔒 LOCKER_ISSUE:**\n`+
-`→ **DSP**: Please provide details about the issue and indicate if urgent intervention is needed for same-day delivery\n`+
-`→ **DSP**: Bitte Details zum Problem mitteilen und angeben, ob dringende Intervention für Lieferung am selben Tag erforderlich\n\n`+
-`**🗺️ UNABLE_TO_LOCATE ADDRESS / 🚫 UNABLE_TO_ACCESS:**\n`+
-`→ **DSL** will verify if it's a genuine case | **DSL** überprüft, ob es sich um einen echten Fall handelt\n`+
-`- If genuine: **DSL** will provide correct information for redelivery\n`+
-`- If not genuine: **DSP** to arrange redelivery with DA\n`+
-`- Falls echt: **DSL** stellt korrekte Informationen für erneute Zustellung bereit\n`+
-`- Falls nicht echt: **DSP** organisiert erneute Zustellung mit DA\n\n`+
-`**🔑 OTP_NOT_AVAILABLE:**\n`+
-`→ **DSL** will review the case and assist the DSP to complete the delivery\n`+
-`→ **DSL** überprüft den Fall und unterstützt den DSP bei der Zustellung\n\n`+
-`**❓ ITEMS_MISSING:**\n`+
-`→ **DSP**: Please provide information about what happened\n`+
-`→ **DSP**: Bitte Informationen zum Vorfall bereitstellen\n`;
-
         for (const dsp of dspsWithFailures) {
-            const r = await sendWebhookMessage(dsp, actionPlan);
+            const actionPlan = await MessageTemplates.renderMessage('reattemptActionGuide', { dsp, date: reportDate }, MessageTemplates.languageFor(languages, dsp));
+            const r = await sendWebhookMessage(dsp, actionPlan, station, 'reattempt-action-plan');
             if (r?.success) { sent++; }
-            await new Promise(r => setTimeout(r, 400));
         }
     }
 
-    // Clear temp manifest to free memory
-    TEMP_MANIFEST_MAP = {};
     return { sent, dspsNotified };
 }
 
@@ -377,6 +360,7 @@ async function prepareReattemptData() {
         if (!rows.length) {
             // Open or reuse dashboard tab and capture live
             const matches = await browser.tabs.query({ url: backbriefUrl.split('#')[0] + '*' });
+            const navigatedAt = getNavigationSince(matches?.[0]?.url, backbriefUrl);
             let tab;
             if (matches && matches.length > 0) {
                 tab = matches[0];
@@ -384,7 +368,7 @@ async function prepareReattemptData() {
             } else {
                 tab = await browser.tabs.create({ url: backbriefUrl, active: false });
             }
-            await new Promise(r => setTimeout(r, 8000));
+            await waitForPageReady(tab.id, 'mercury', { since: navigatedAt });
             try {
                 const csvResp = await browser.tabs.sendMessage(tab.id, { action: 'getBackbriefCsv' });
                 if (csvResp?.success && csvResp.csv) {
@@ -430,6 +414,7 @@ async function prepareReattemptData() {
                     }
                 } catch {}
                 const matchesRP = await browser.tabs.query({ url: rtpUrl.split('#')[0] + '*' });
+                const navigatedAtRP = Date.now();
                 let tabRP;
                 if (matchesRP && matchesRP.length > 0) {
                     tabRP = matchesRP[0];
@@ -437,13 +422,14 @@ async function prepareReattemptData() {
                 } else {
                     tabRP = await browser.tabs.create({ url: rtpUrl, active: false });
                 }
-                await new Promise(r => setTimeout(r, 7000));
+                await waitForPageReady(tabRP.id, 'routePlanning', { since: navigatedAtRP });
                 const manResp = await browser.tabs.sendMessage(tabRP.id, { action: 'getManifestTrackingMap' });
                 if (manResp?.success && manResp.map) manifestMap = manResp.map;
                 if (!manifestMap || Object.keys(manifestMap).length === 0) {
                     try {
                         let sheetsUrl = rtpUrl.replace('://eu.route.planning.last-mile.a2z.com/route-planning', '://eu.dispatch.planning.last-mile.a2z.com/route-sheets');
                         const matchesRS = await browser.tabs.query({ url: sheetsUrl.split('#')[0] + '*' });
+                        const navigatedAtRS = Date.now();
                         let tabRS;
                         if (matchesRS && matchesRS.length > 0) {
                             tabRS = matchesRS[0];
@@ -451,7 +437,8 @@ async function prepareReattemptData() {
                         } else {
                             tabRS = await browser.tabs.create({ url: sheetsUrl, active: false });
                         }
-                        await new Promise(r => setTimeout(r, 7000));
+                        // Route Sheets has no readiness reporter; wait for the tab to finish loading
+                        await waitForTabLoaded(tabRS.id, { since: navigatedAtRS });
                         const rsResp = await browser.tabs.sendMessage(tabRS.id, { action: 'getSheetsTrackingMap' });
                         if (rsResp?.success && rsResp.map) manifestMap = rsResp.map;
                     } catch (e) { console.warn('Route sheets enrichment failed:', e); }
@@ -2,10 +2,11 @@
 // Risk Alerts (every 30 minutes)
 // -----------------------------
 
-async function getRiskSettings() {
+// Without a station, returns the primary station's settings
+async function getRiskSettings(station) {
     const { settings = {} } = await browser.storage.local.get('settings');
     const defaults = { bc: 10, bcResidential: 5, cna: 25, cnaOutlierFactor: 1.5, missing: 1, uta: 5, utl: 5, rejected: 2 };
-    const st = settings.riskThresholds || {};
+    const st = (station ? station.riskThresholds : settings.riskThresholds) || {};
     const coerce = (v, d) => (Number.isFinite(v) ? v : d);
     const thr = {
         bc: coerce(parseInt(st.bc, 10), defaults.bc),
@@ -19,7 +20,7 @@ async function getRiskSettings() {
     };
     return {
         enabled: settings.riskAlertsEnabled === true,
-        dashboardUrl: settings.riskDashboardUrl || '',
+        dashboardUrl: (station ? station.riskDashboardUrl : settings.riskDashboardUrl) || '',
         slackWebhookUrl: settings.slackWebhookUrl || '',
         slackUseChimeMarkdown: settings.slackUseChimeMarkdown === true,
         thresholds: thr,
@@ -30,10 +31,12 @@ async function getRiskSettings() {
 async function configureRiskAlarm() {
     try {
         const { enabled, dashboardUrl } = await getRiskSettings();
+        const stations = await getStationProfiles({ enabledOnly: true });
+        const anyDashboard = stations.some(s => !!s.riskDashboardUrl);
         // Always clear prior risk alarms
         const alarms = await browser.alarms.getAll();
         await Promise.all(alarms.filter(a => a.name === 'riskScan_30m').map(a => browser.alarms.clear(a.name)));
-        if (enabled) {
+        if (enabled && anyDashboard) {
             await browser.alarms.create('riskScan_30m', { periodInMinutes: 30, when: Date.now() + 5_000 });
             console.log('✅ Risk scan alarm configured (every 30 minutes)');
             // Open dashboard immediately in background
@@ -86,11 +89,23 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
 });
 
 async function runRiskScan() {
+    const stats = { parsed: 0, flagged: 0, notified: 0 };
+    const stations = await getStationProfiles({ enabledOnly: true });
+    for (const station of stations) {
+        const result = await runRiskScanForStation(station);
+        stats.parsed += result.parsed;
+        stats.flagged += result.flagged;
+        stats.notified += result.notified;
+    }
+    return stats;
+}
+
+async function runRiskScanForStation(station) {
     const stats = { parsed: 0, flagged: 0, notified: 0 };
     try {
-        const risk = await getRiskSettings();
+        const risk = await getRiskSettings(station);
         if (!risk.enabled || !risk.dashboardUrl) {
-            console.log('ℹ️ Risk scan skipped (disabled or no URL)');
+            console.log(`ℹ️ Risk scan skipped for ${getStationLabel(station) || station.id} (disabled or no URL)`);
             return stats;
         }
 
@@ -98,6 +113,7 @@ async function runRiskScan() {
 
         // Open or reuse dashboard tab
         const matches = await browser.tabs.query({ url: risk.dashboardUrl.split('#')[0] + '*' });
+        const navigatedAt = getNavigationSince(matches?.[0]?.url, risk.dashboardUrl);
         let tab;
         if (matches && matches.length > 0) {
             tab = matches[0];
@@ -106,8 +122,8 @@ async function runRiskScan() {
             tab = await browser.tabs.create({ url: risk.dashboardUrl, active: false });
         }
 
-        // Wait for loading
-        await new Promise(r => setTimeout(r, 8000));
+        // Wait for the Mercury table to render
+        await waitForPageReady(tab.id, 'mercury', { since: navigatedAt });
 
         let response;
         try {
@@ -123,7 +139,7 @@ async function runRiskScan() {
         const dd = String(today.getDate()).padStart(2, '0');
         const todayStr = `${yyyy}-${mm}-${dd}`;
 
-        const rows = (Array.isArray(response?.rows) ? response.rows : []).map(r => ({ ...r, date: todayStr }));
+        const rows = (Array.isArray(response?.rows) ? response.rows : []).map(r => ({ ...r, date: todayStr, stationId: station.id }));
         stats.parsed = rows.length;
         if (rows.length === 0) return stats;
 
@@ -131,11 +147,11 @@ async function runRiskScan() {
         stats.flagged = flagged.length;
         if (flagged.length === 0) return stats;
 
-        const notifyResults = await notifyRiskAlerts(flagged, risk.slackWebhookUrl, risk.renotifyStep);
+        const notifyResults = await notifyRiskAlerts(flagged, risk.slackWebhookUrl, risk.renotifyStep, station);
         stats.notified = notifyResults.filter(r => r.success).length;
         return stats;
     } catch (e) {
-        console.error('❌ Risk scan failed:', e);
+        console.error(`❌ Risk scan failed for ${getStationLabel(station) || station.id}:`, e);
         return stats;
     }
 }
@@ -179,7 +195,7 @@ function flagRiskRows(rows, thresholds) {
 }
 
 function buildRiskKey(item) {
-    const parts = [item.dsp || item.dspCode || '', item.routeId || '', item.type];
+    const parts = [item.stationId || PRIMARY_STATION_ID, item.dsp || item.dspCode || '', item.routeId || '', item.type];
     return parts.join('|');
 }
 
@@ -210,33 +226,41 @@ async function ensureRiskStateForToday() {
     }
 }
 
-async function notifyRiskAlerts(items, slackWebhookUrl, renotifyStep) {
+async function notifyRiskAlerts(items, slackWebhookUrl, renotifyStep, station) {
     const results = [];
-    const { webhooks = {} } = await browser.storage.local.get('webhooks');
+    const webhooks = station?.webhooks || {};
 
     // Dedupe based on last notified counts
     items = await dedupeRisks(items, renotifyStep);
+    const languages = await MessageTemplates.loadLanguages();
 
     for (const it of items) {
         const dsp = (it.dsp || '').trim().toUpperCase();
-        const dspWebhook = webhooks[dsp];
-        const header = `🚨 Risk Alert: ${it.type}`;
-        const details = `Date: ${it.date}\nDSP: ${dsp}\nRoute: ${it.routeId || '-'}\nTransporter: ${it.transporterId || '-'}\nCount: ${it.count}\nReason: ${it.reason || it.reasonText || '-'}`;
-        const pageHint = (it.pageUrl || '') ? `\n\nLink: ${it.pageUrl}` : '';
-        const chimeMsg = `/md ${header}\n\n${details}${pageHint}`;
+        const hasDspWebhook = WebhookDestinations.forJob(webhooks[dsp], 'risk-alert').length > 0;
+        const values = {
+            type: it.type,
+            date: it.date,
+            dsp,
+            route: it.routeId || '-',
+            transporter: it.transporterId || '-',
+            count: it.count,
+            reason: it.reason || it.reasonText || '-',
+            link: (it.pageUrl || '') ? `\n\nLink: ${it.pageUrl}` : ''
+        };
+        const chimeMsg = await MessageTemplates.renderMessage('riskAlert', values, MessageTemplates.languageFor(languages, dsp));
 
-        if (dspWebhook) {
-            const r = await sendWebhookMessage(dsp, chimeMsg);
+        if (hasDspWebhook) {
+            const r = await sendWebhookMessage(dsp, chimeMsg, station, 'risk-alert');
             results.push({ dsp, success: r.success, error: r.error });
-            await new Promise(r => setTimeout(r, 400));
         } else {
             results.push({ dsp, success: false, error: 'No DSP webhook' });
         }
 
         if (slackWebhookUrl) {
             const { slackUseChimeMarkdown } = await getRiskSettings();
-            const slackMsg = slackUseChimeMarkdown ? chimeMsg : stripChimePrefix(chimeMsg);
-            const sr = await sendSlackMessage(slackWebhookUrl, slackMsg);
+            // The Slack channel is the station's, so it gets the default language
+            const slackSource = await MessageTemplates.renderMessage('riskAlert', values, languages.defaultLanguage);
+            const sr = await sendSlackMessage(slackWebhookUrl, slackSource, 'risk-alert', station, { plain: !slackUseChimeMarkdown });
             results.push({ dsp: 'slack', success: sr.success, error: sr.error });
         }
     }
@@ -244,25 +268,7 @@ async function notifyRiskAlerts(items, slackWebhookUrl, renotifyStep) {
     return results;
 }
 
-async function sendSlackMessage(webhookUrl, text) {
-    try {
-        const resp = await fetch(webhookUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text })
-        });
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-        return { success: true };
-    } catch (e) {
-        console.warn('Slack webhook failed:', e);
-        return { success: false, error: e.message };
-    }
-}
-
-function stripChimePrefix(message) {
-    try {
-        return message.replace(/^\s*\/md\s+/, '');
-    } catch {
-        return message;
-    }
+// `plain` sends the text without the Chime /md prefix
+async function sendSlackMessage(webhookUrl, text, job, station, { plain = false } = {}) {
+    return deliverToWebhook({ url: webhookUrl, provider: 'slack', label: '' }, { job, target: 'Slack', message: text, station, plain });
 }
@@ -0,0 +1,106 @@
+// -----------------------------
+// Station profiles
+// -----------------------------
+// The primary station is the original flat configuration (`settings`, `webhooks`,
+// `serviceTypes`). Additional stations live in the `stations` storage list and
+// carry their own service area, URLs, webhooks, service types, check schedules and thresholds.
+
+const PRIMARY_STATION_ID = 'primary';
+const DEFAULT_SCHEDULING_URL = 'https://logistics.amazon.co.uk/internal/scheduling/dsps';
+
+async function getStationProfiles({ enabledOnly = false } = {}) {
+    const { settings = {}, webhooks = {}, stations = [] } = await browser.storage.local.get(['settings', 'webhooks', 'stations']);
+    const primary = {
+        id: PRIMARY_STATION_ID,
+        name: (settings.stationName || '').trim(),
+        enabled: true,
+        serviceAreaId: settings.serviceAreaId || '',
+        schedulingBaseUrl: settings.schedulingBaseUrl || '',
+        routePlanningBaseUrl: settings.routePlanningBaseUrl || '',
+        riskDashboardUrl: settings.riskDashboardUrl || '',
+        failedBackbriefUrl: settings.failedBackbriefUrl || settings.riskDashboardUrl || '',
+        leadWebhookUrl: settings.stationLeadWebhookUrl || '',
+        webhooks,
+        serviceTypes: await getServiceTypeSettings(),
+        riskThresholds: settings.riskThresholds || {}
+    };
+
+    const extra = (Array.isArray(stations) ? stations : [])
+        .filter(s => s && s.id && s.id !== PRIMARY_STATION_ID)
+        .map(s => ({
+            id: s.id,
+            name: (s.name || '').trim() || s.id,
+            enabled: s.enabled !== false,
+            serviceAreaId: s.serviceAreaId || '',
+            schedulingBaseUrl: s.schedulingBaseUrl || '',
+            routePlanningBaseUrl: s.routePlanningBaseUrl || '',
+            riskDashboardUrl: s.riskDashboardUrl || '',
+            failedBackbriefUrl: s.failedBackbriefUrl || s.riskDashboardUrl || '',
+            leadWebhookUrl: s.leadWebhookUrl || '',
+            webhooks: s.webhooks || {},
+            serviceTypes: s.serviceTypes || {},
+            // Check schedules per service type; types left out follow the primary station's
+            checkSchedules: s.checkSchedules || {},
+            // Blank thresholds inherit the primary station's values
+            riskThresholds: { ...primary.riskThresholds, ...(s.riskThresholds || {}) }
+        }));
+
+    const all = [primary, ...extra];
+    return enabledOnly ? all.filter(s => s.enabled) : all;
+}
+
+async function getStation(stationId) {
+    const stations = await getStationProfiles();
+    return stations.find(s => s.id === (stationId || PRIMARY_STATION_ID)) || stations[0];
+}
+
+// Match a scheduling page tab to the station whose service area it shows
+async function findStationForUrl(url) {
+    const stations = await getStationProfiles();
+    try {
+        const serviceAreaId = new URL(url).searchParams.get('serviceAreaId');
+        const match = serviceAreaId && stations.find(s => s.serviceAreaId === serviceAreaId);
+        if (match) return match;
+    } catch (error) {
+        console.warn('⚠️ Could not parse tab URL for station lookup:', error);
+    }
+    return stations[0];
+}
+
+async function updateStations(stations) {
+    const cleaned = (Array.isArray(stations) ? stations : [])
+        .filter(s => s && s.id && s.id !== PRIMARY_STATION_ID);
+    await browser.storage.local.set({ stations: cleaned });
+
+    const notificationsEnabled = await getNotificationSettings();
+    if (notificationsEnabled) {
+        await createServiceTypeAlarms();
+    }
+    await configureRiskAlarm();
+    console.log(`✅ Stations updated (${cleaned.length} additional)`);
+    return cleaned;
+}
+
+function buildStationSchedulingUrl(station, dateStr) {
+    const serviceAreaId = station?.serviceAreaId || '';
+    const baseUrl = station?.schedulingBaseUrl
+        || DEFAULT_SCHEDULING_URL + (serviceAreaId ? `?serviceAreaId=${encodeURIComponent(serviceAreaId)}` : '');
+    const urlObj = new URL(baseUrl, 'https://logistics.amazon.co.uk');
+    urlObj.searchParams.set('date', dateStr);
+    return urlObj.toString();
+}
+
+function getStationLabel(station) {
+    return (station?.name || '').trim();
+}
+
+// Prefix outgoing messages with the station name so DSPs covering several stations can tell them apart
+function labelMessageForStation(message, station) {
+    const label = getStationLabel(station);
+    if (!label || typeof message !== 'string') return message;
+    const md = message.match(/^\s*\/md\s*/);
+    if (md) {
+        return `${md[0].trimEnd()}\n📍 **Station: ${label}**\n\n${message.slice(md[0].length)}`;
+    }
+    return `[${label}] ${message}`;
+}
@@ -0,0 +1,201 @@
+// -----------------------------
+// Webhook health checks
+// -----------------------------
+// `webhookHealth` keeps the last result per webhook URL. Test sends from options,
+// the health check and every real post update it, so a revoked URL shows up before
+// the next alert fails. A webhook that was OK and starts failing raises one browser
+// notification. Only the manual test posts a message; the health check (daily or
+// "Check All Webhooks") sends a body the chat service rejects, so nothing appears in
+// the rooms. A probe only proves the URL answers, not that the destination's provider
+// accepts our messages, so it records 'reachable'; 'ok' needs a test or real delivery.
+
+const WEBHOOK_HEALTH_KEY = 'webhookHealth';
+const WEBHOOK_HEALTH_ALARM = 'webhookHealth_daily';
+
+async function getWebhookHealth() {
+    const { [WEBHOOK_HEALTH_KEY]: health = {} } = await browser.storage.local.get(WEBHOOK_HEALTH_KEY);
+    return health;
+}
+
+// Read-modify-write calls are chained so concurrent deliveries never overwrite each other's results
+let webhookHealthWrites = Promise.resolve();
+
+function updateWebhookHealth(mutate) {
+    const run = webhookHealthWrites.then(async () => {
+        const health = await getWebhookHealth();
+        const result = mutate(health);
+        await browser.storage.local.set({ [WEBHOOK_HEALTH_KEY]: health });
+        return result;
+    });
+    webhookHealthWrites = run.catch(() => {});
+    return run;
+}
+
+async function recordWebhookHealth(url, { ok, reachable, error, httpStatus }, { target, destination, station } = {}) {
+    if (!url) return;
+    try {
+        const previous = await updateWebhookHealth(health => {
+            const before = health[url];
+            health[url] = {
+                status: ok ? (reachable ? 'reachable' : 'ok') : 'failing',
+                checkedAt: Date.now(),
+                error: ok ? '' : (error || 'Unknown error'),
+                httpStatus: httpStatus || null
+            };
+            return before;
+        });
+
+        if (!ok && (previous?.status === 'ok' || previous?.status === 'reachable')) {
+            await notifyWebhookFailing({ target, destination, station, error });
+        }
+    } catch (healthError) {
+        console.error('❌ Failed to record webhook health:', healthError);
+    }
+}
+
+async function notifyWebhookFailing({ target, destination, station, error }) {
+    const stationLabel = getStationLabel(station);
+    const name = `${target || 'Webhook'}${destination ? ` (${destination})` : ''}`;
+    console.warn(`⚠️ Webhook for ${name} started failing: ${error}`);
+    try {
+        await browser.notifications.create({
+            type: 'basic',
+            iconUrl: browser.runtime.getURL('icons/icon.svg'),
+            title: `Webhook failing – ${name}${stationLabel ? ` (${stationLabel})` : ''}`,
+            message: `This webhook worked before and now fails: ${error || 'Unknown error'}. Check it in Settings.`
+        });
+    } catch (notifyError) {
+        console.error('❌ Error showing webhook failure notification:', notifyError);
+    }
+}
+
+function buildWebhookTestMessage(target, destination) {
+    return `/md #### 🔧 Webhook test
+
+**DSP:** ${target || '-'}${destination ? `\n**Destination:** ${destination}` : ''}
+
+This is a test message from the DSP Management Tool. No action needed.`;
+}
+
+// Posts a test message straight to the URL (no retry queue) and records the result.
+// In dry-run mode the message goes to the outbox and health is left unchanged.
+async function testWebhook({ url, provider, bodyTemplate, target, destination, station }) {
+    try {
+        new URL(url);
+    } catch {
+        return { ok: false, error: 'Invalid webhook URL' };
+    }
+
+    const message = buildWebhookTestMessage(target, destination);
+    if (await isDryRunEnabled()) {
+        await recordDryRunMessage({ job: 'webhook-test', channel: WebhookDestinations.normalizeProvider(provider), target, destination, url, message, station });
+        return { ok: true, dryRun: true };
+    }
+
+    let result;
+    try {
+        const payload = buildProviderPayload({ provider, bodyTemplate }, message, { target, job: 'webhook-test' });
+        const httpStatus = await postWebhook(url, payload);
+        result = { ok: true, httpStatus };
+    } catch (error) {
+        result = { ok: false, error: error.message, httpStatus: error.status };
+    }
+    await recordWebhookHealth(url, result, { target, destination, station });
+    console.log(`${result.ok ? '✅' : '❌'} Webhook test for ${target}${destination ? ` (${destination})` : ''}: ${result.ok ? 'OK' : result.error}`);
+    return result;
+}
+
+// HTTP statuses that show the webhook exists but turned the empty probe body down
+const WEBHOOK_PROBE_ACCEPTED_STATUSES = [400, 415, 422];
+
+// Checks a webhook without posting a message: the body is empty, which Chime, Slack
+// and Teams reject with 400 while a revoked or mistyped URL answers 401/403/404/410.
+// Returns null when the answer says nothing about the webhook (rate limited). A pass is
+// only `reachable`: generic JSON endpoints accept almost any body.
+async function probeWebhook(url) {
+    try {
+        new URL(url);
+    } catch {
+        return { ok: false, error: 'Invalid webhook URL' };
+    }
+    await acquireSendSlot(url);
+    let response;
+    try {
+        response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '' });
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+    if (response.status === 429) {
+        holdDestination(url, parseRetryAfter(response.headers.get('Retry-After')));
+        return null;
+    }
+    if (response.ok || WEBHOOK_PROBE_ACCEPTED_STATUSES.includes(response.status)) {
+        return { ok: true, reachable: true, httpStatus: response.status };
+    }
+    return { ok: false, error: `HTTP ${response.status}: ${response.statusText}`, httpStatus: response.status };
+}
+
+async function runWebhookHealthCheck() {
+    const stations = await getStationProfiles({ enabledOnly: true });
+    let tested = 0; let reachable = 0; let failing = 0;
+    for (const station of stations) {
+        for (const entry of WebhookDestinations.toEntries(station.webhooks)) {
+            const result = await probeWebhook(entry.url);
+            if (!result) continue;
+            await recordWebhookHealth(entry.url, result, { target: entry.dspCode, destination: entry.label, station });
+            tested++;
+            if (result.ok) reachable++;
+            else failing++;
+        }
+    }
+    console.log(`🩺 Webhook health check: ${tested} checked, ${reachable} reachable, ${failing} failing`);
+    return { tested, reachable, failing };
+}
+
+// Per station and DSP: 'failing' if any destination fails, 'reachable' while any was
+// only probed, 'ok' once all tested ones passed a test or delivery, 'never' while none
+// has been tested
+async function getWebhookHealthSummary() {
+    const health = await getWebhookHealth();
+    const stations = {};
+    for (const station of await getStationProfiles()) {
+        const dsps = {};
+        Object.entries(station.webhooks || {}).forEach(([dsp, value]) => {
+            const results = WebhookDestinations.normalize(value).map(d => health[d.url]).filter(Boolean);
+            const failing = results.find(r => r.status === 'failing');
+            const status = failing ? 'failing'
+                : results.some(r => r.status === 'reachable') ? 'reachable'
+                    : (results.length > 0 ? 'ok' : 'never');
+            dsps[dsp] = {
+                status,
+                checkedAt: results.length > 0 ? Math.max(...results.map(r => r.checkedAt)) : null,
+                error: failing?.error || ''
+            };
+        });
+        stations[station.id] = dsps;
+    }
+    return { stations, urls: health };
+}
+
+async function configureWebhookHealthAlarm() {
+    try {
+        const { settings = {} } = await browser.storage.local.get('settings');
+        await browser.alarms.clear(WEBHOOK_HEALTH_ALARM);
+        if (settings.webhookHealthCheckEnabled !== true) {
+            console.log('ℹ️ Daily webhook health check disabled');
+            return;
+        }
+        const [hh, mm] = (settings.webhookHealthCheckTime || '06:00').split(':').map(x => parseInt(x, 10));
+        const when = getNextAlarmTime(Number.isFinite(hh) ? hh : 6, Number.isFinite(mm) ? mm : 0);
+        await browser.alarms.create(WEBHOOK_HEALTH_ALARM, { when, periodInMinutes: 24 * 60 });
+        console.log('✅ Daily webhook health check configured');
+    } catch (e) {
+        console.warn('⚠️ Failed to configure webhook health alarm:', e);
+    }
+}
+
+browser.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === WEBHOOK_HEALTH_ALARM) {
+        await runWebhookHealthCheck();
+    }
+});
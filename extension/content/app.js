@@ -3,6 +3,7 @@ class DSPManagementTool {
     constructor() {
         this.dspParser = new DSPDataParser();
         this.highlighter = new MismatchHighlighter();
+        this.insightPanel = new RosterInsightPanel();
         this.initialized = false;
         this.highlightTimeout = null;
         this._isRoutePlanning = /\.route\.planning\.last-mile\.a2z\.com/.test(location.hostname);
@@ -36,8 +37,8 @@ class DSPManagementTool {
         
         // On Scheduling page, enable mismatch highlighting + inference
         if (!this._isRoutePlanning) {
-            this.dspParser.serviceInferrer.initialize();
-            await this.dspParser.serviceInferrer.updateStorageWithDetected();
+            await this.dspParser.serviceInferrer.initialize();
+            await this.dspParser.serviceInferrer.reportDetectedTypes();
             this.setupHighlighting();
             this.setupTableObserver();
         }
@@ -54,8 +55,16 @@ class DSPManagementTool {
                 setTimeout(() => {
                     console.log(`DSP Tool: Running highlighting after ${delay}ms for all service types`);
                     this.highlighter.highlightMismatches();
+                    this.insightPanel.refresh();
                 }, delay);
             });
+
+            // Re-highlight when service types, the registry or tolerances change in the options page
+            browser.storage.onChanged.addListener((changes, area) => {
+                if (area !== 'local' || !(changes.serviceTypes || changes.settings || changes[ServiceTypeRegistry.STORAGE_KEY])) return;
+                this.highlighter.highlightMismatches();
+                this.insightPanel.refresh();
+            });
         } catch (error) {
             console.error('DSP Tool: Error setting up highlighting:', error);
             // Fallback to basic highlighting
@@ -118,6 +127,7 @@ class DSPManagementTool {
                         try {
                             console.log('DSP Tool: Updating highlights for all service types');
                             this.highlighter.highlightMismatches();
+                            this.insightPanel.refresh();
                         } catch (error) {
                             console.error('DSP Tool: Error updating highlights:', error);
                             this.highlighter.highlightMismatches();
@@ -8,18 +8,18 @@ const CONFIG = {
         PROVIDER_NAME: 'td.providerName',
         CONFIRMED_CELL: 'td span[data-bind*="text: confirmed"]',
         ROSTERED_CELL: 'td[data-bind*="text: totalRostered"]',
+        // Wave / shift start cell of a provider row; rows without one fall back to a time found in the row
+        WAVE_CELL: 'td[data-bind*="wave"], td[data-bind*="startTime"], td[data-bind*="shift"]',
         TABLE: 'table',
         TABLE_ROWS: 'tr'
     },
-    STYLES: {
-        HIGHLIGHT_COLOR: '#ffebee'
-    },
-    SERVICE_TYPES: {
-        STANDARD_PARCEL: 'Standard Parcel',
-        STANDARD_PARCEL_MEDIUM_VAN: 'Standard Parcel Medium Van',
-        MULTI_USE: 'Multi-Use',
-        SAMEDAY_PARCEL: 'Sameday Parcel'
+    // Drivers a DSP may be short (under) or extra (over) before it counts as a mismatch
+    ROSTER_TOLERANCE: {
+        under: 0,
+        over: 0
     },
+    // Service type names, page section labels, highlight colours and default roster
+    // deadlines come from ServiceTypeRegistry (shared/service-types.js)
     SUMMARY: {
         INCLUDED_SERVICE_TYPES: ['Standard Parcel', 'Standard Parcel Medium Van'],
         PAID_TIME_MINUTES: 525
@@ -4,6 +4,7 @@ class DSPDataParser {
         this.dspTotals = {};
         this.currentServiceType = null;
         this.targetServiceType = null;
+        this.serviceTypes = [];
         this.serviceInferrer = new ServiceTypeInferrer();
     }
 
@@ -11,6 +12,7 @@ class DSPDataParser {
         try {
             this.reset();
             this.targetServiceType = serviceType;
+            this.serviceTypes = await Utils.getServiceTypeRegistry();
             
             console.log(`DSP Parser: Parsing data for service type: ${serviceType}`);
             
@@ -71,7 +73,7 @@ class DSPDataParser {
             const text = serviceTypeCell.textContent.trim();
             
             // Check if this row contains any of our target service types
-            const isHeader = Object.values(CONFIG.SERVICE_TYPES).includes(text);
+            const isHeader = ServiceTypeRegistry.findByLabel(this.serviceTypes, text) !== null;
             
             if (isHeader) {
                 console.log(`DSP Parser: Found service type header: ${text}`);
@@ -89,14 +91,7 @@ class DSPDataParser {
         const serviceTypeName = serviceTypeCell.textContent.trim();
         
         // Map service type names to our internal identifiers
-        const serviceTypeMapping = {
-            [CONFIG.SERVICE_TYPES.STANDARD_PARCEL]: 'cycle1',
-            [CONFIG.SERVICE_TYPES.STANDARD_PARCEL_MEDIUM_VAN]: 'cycle1',
-            [CONFIG.SERVICE_TYPES.MULTI_USE]: 'samedayB',
-            [CONFIG.SERVICE_TYPES.SAMEDAY_PARCEL]: 'samedayC'
-        };
-        
-        this.currentServiceType = serviceTypeMapping[serviceTypeName];
+        this.currentServiceType = ServiceTypeRegistry.findByLabel(this.serviceTypes, serviceTypeName)?.id || null;
         console.log(`DSP Parser: Entering service type section: ${serviceTypeName} (${this.currentServiceType})`);
     }
 
@@ -118,48 +113,77 @@ class DSPDataParser {
                 return;
             }
 
-            const dspName = dspNameCell.textContent.trim();
+            const dspName = Utils.getProviderName(dspNameCell);
             if (!dspName) return;
 
             const confirmedValue = Utils.parseInteger(confirmedCell.textContent);
             const rosteredValue = Utils.parseInteger(rosteredCell.textContent);
 
-            console.log(`DSP Parser: ${dspName} (${this.targetServiceType}) - Confirmed: ${confirmedValue}, Rostered: ${rosteredValue}`);
-            this.updateDSPTotals(dspName, confirmedValue, rosteredValue);
+            const existingWaves = this.dspTotals[dspName]?.waves.length || 0;
+            const waveLabel = Utils.getWaveLabel(row, `Row ${existingWaves + 1}`);
+
+            console.log(`DSP Parser: ${dspName} (${this.targetServiceType}) [${waveLabel}] - Confirmed: ${confirmedValue}, Rostered: ${rosteredValue}`);
+            this.updateDSPTotals(dspName, confirmedValue, rosteredValue, waveLabel);
         } catch (error) {
             console.warn('DSP Parser: Error extracting DSP data from row:', error);
         }
     }
 
-    updateDSPTotals(dspName, confirmed, rostered) {
+    updateDSPTotals(dspName, confirmed, rostered, waveLabel) {
         if (!this.dspTotals[dspName]) {
             this.dspTotals[dspName] = {
                 confirmed: 0,
                 rostered: 0,
-                serviceType: this.targetServiceType
+                serviceType: this.targetServiceType,
+                waves: []
             };
         }
 
-        this.dspTotals[dspName].confirmed += confirmed;
-        this.dspTotals[dspName].rostered += rostered;
+        const totals = this.dspTotals[dspName];
+        totals.confirmed += confirmed;
+        totals.rostered += rostered;
+
+        // Per-wave breakdown; rows sharing a wave label are added together
+        const wave = totals.waves.find(w => w.label === waveLabel);
+        if (wave) {
+            wave.confirmed += confirmed;
+            wave.rostered += rostered;
+        } else {
+            totals.waves.push({ label: waveLabel, confirmed, rostered });
+        }
+    }
+
+    // Totals from the last parse, including DSPs that are fully rostered
+    getParsedTotals() {
+        return Object.entries(this.dspTotals).map(([dspName, data]) => ({
+            dspName,
+            confirmed: data.confirmed,
+            rostered: data.rostered,
+            serviceType: data.serviceType,
+            waves: data.waves
+        }));
     }
 
     async getFilteredMismatchedData(serviceType = 'cycle1') {
         const allData = await this.parseTableData(serviceType);
+        const tolerance = await Utils.getRosterTolerance();
         console.log(`DSP Parser: All parsed data for ${serviceType}:`, allData);
 
         const mismatches = [];
 
         Object.entries(allData).forEach(([dspName, data]) => {
-            if (data.confirmed !== data.rostered) {
+            const kind = Utils.classifyRoster(data.confirmed, data.rostered, tolerance);
+            if (kind) {
                 const mismatch = {
                     dspName: dspName,
                     confirmed: data.confirmed,
                     rostered: data.rostered,
-                    serviceType: serviceType
+                    serviceType: serviceType,
+                    kind,
+                    waves: data.waves
                 };
                 mismatches.push(mismatch);
-                console.log(`DSP Parser: Mismatch found - ${dspName} (${serviceType}): ${data.confirmed} vs ${data.rostered}`);
+                console.log(`DSP Parser: ${kind === 'over' ? 'Over' : 'Under'}-rostered - ${dspName} (${serviceType}): ${data.confirmed} vs ${data.rostered}`);
             }
         });
 
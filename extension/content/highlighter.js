@@ -1,39 +1,126 @@
 // Simplified Mismatch Highlighter (like Tampermonkey script)
 class MismatchHighlighter {
-    highlightMismatches() {
+    constructor() {
+        this.rowActions = new RowNotifyActions();
+    }
+
+    async highlightMismatches() {
         try {
             console.log('Highlighter: Starting to highlight mismatched cells...');
+            const tolerance = await Utils.getRosterTolerance();
+            const enabledTypes = new Set(await Utils.getEnabledServiceTypes());
+            const registry = await Utils.getServiceTypeRegistry();
             const rows = document.querySelectorAll('tr');
             let highlightCount = 0;
+            let serviceType = null;
+            // Per service type and DSP totals across its wave rows, so a row's alert
+            // button sends the DSP's totals like the background alert does
+            const dspTotals = new Map();
+            const pendingActions = [];
 
             rows.forEach(row => {
+                // Every section header starts a new section, whether it is expanded or collapsed,
+                // so rows never inherit the previous section's type. Unknown sections map to null.
+                const header = row.querySelector(CONFIG.SELECTORS.SERVICE_TYPE_EXPANDABLE);
+                if (header) {
+                    serviceType = ServiceTypeRegistry.findByLabel(registry, header.textContent)?.id || null;
+                } else if (row.classList.contains('serviceTypeRow')) {
+                    serviceType = null;
+                }
+
                 // Get the confirmed (accepted) and rostered cells
                 const confirmedCell = row.querySelector('td span[data-bind*="text: confirmed"]');
                 const rosteredCell = row.querySelector('td[data-bind*="text: totalRostered"]');
 
                 if (confirmedCell && rosteredCell) {
+                    // Only rows inside an enabled service type section
+                    if (!serviceType || !enabledTypes.has(serviceType)) {
+                        this.clearHighlight(row, confirmedCell, rosteredCell);
+                        return;
+                    }
+
                     const confirmedValue = parseInt(confirmedCell.textContent, 10);
                     const rosteredValue = parseInt(rosteredCell.textContent, 10);
 
-                    if (!isNaN(confirmedValue) && !isNaN(rosteredValue) && confirmedValue !== rosteredValue) {
-                        // Highlight both cells
-                        confirmedCell.parentElement.style.backgroundColor = CONFIG.STYLES.HIGHLIGHT_COLOR;
-                        rosteredCell.style.backgroundColor = CONFIG.STYLES.HIGHLIGHT_COLOR;
+                    if (isNaN(confirmedValue) || isNaN(rosteredValue)) return;
+                    const kind = Utils.classifyRoster(confirmedValue, rosteredValue, tolerance);
+                    const dspCell = row.querySelector(CONFIG.SELECTORS.PROVIDER_NAME);
+                    const dspName = dspCell ? Utils.getProviderName(dspCell) : '';
+                    const totals = dspName ? this.addToDspTotals(dspTotals, serviceType, dspName, row, confirmedValue, rosteredValue) : null;
+
+                    if (kind) {
+                        // Highlight both cells in the service type's colour for short or extra drivers
+                        const entry = registry.find(e => e.id === serviceType);
+                        const color = ServiceTypeRegistry.colorFor(entry, kind);
+                        confirmedCell.parentElement.style.backgroundColor = color;
+                        rosteredCell.style.backgroundColor = color;
 
                         // Add a tooltip showing the mismatch
-                        const tooltip = `Mismatch - Confirmed: ${confirmedValue}, Rostered: ${rosteredValue}`;
+                        const label = kind === 'over' ? 'Over-rostered' : 'Under-rostered';
+                        const typeLabel = entry?.shortName || serviceType;
+                        const waveLabel = Utils.getWaveLabel(row);
+                        const tooltip = `${typeLabel}${waveLabel ? ` ${waveLabel}` : ''} ${label.toLowerCase()} - Confirmed: ${confirmedValue}, Rostered: ${rosteredValue}`;
                         confirmedCell.parentElement.title = tooltip;
                         rosteredCell.title = tooltip;
-                        
+                        confirmedCell.parentElement.dataset.dspHighlight = kind;
+
+                        if (totals) pendingActions.push({ row, kind, totals });
+
                         highlightCount++;
-                        console.log(`Highlighter: Highlighted mismatch - Confirmed: ${confirmedValue}, Rostered: ${rosteredValue}`);
+                        console.log(`Highlighter: Highlighted ${label.toLowerCase()} ${serviceType} row - Confirmed: ${confirmedValue}, Rostered: ${rosteredValue}`);
+                    } else {
+                        // Clear a highlight left over from before the roster was fixed
+                        this.clearHighlight(row, confirmedCell, rosteredCell);
                     }
                 }
             });
-            
+
+            // Attach once every row is counted; a DSP whose waves even out still gets the row's kind
+            pendingActions.forEach(({ row, kind, totals }) => {
+                this.rowActions.attach(row, {
+                    dspName: totals.dspName,
+                    confirmed: totals.confirmed,
+                    rostered: totals.rostered,
+                    kind: Utils.classifyRoster(totals.confirmed, totals.rostered, tolerance) || kind,
+                    serviceType: totals.serviceType,
+                    waves: totals.waves
+                });
+            });
+
             console.log(`Highlighter: Highlighted ${highlightCount} mismatched rows`);
         } catch (error) {
             console.error('Highlighter: Error highlighting mismatches:', error);
         }
     }
+
+    // Same wave labels and merging as DSPDataParser.updateDSPTotals
+    addToDspTotals(dspTotals, serviceType, dspName, row, confirmed, rostered) {
+        const key = `${serviceType}|${dspName}`;
+        if (!dspTotals.has(key)) {
+            dspTotals.set(key, { dspName, serviceType, confirmed: 0, rostered: 0, waves: [] });
+        }
+        const totals = dspTotals.get(key);
+        totals.confirmed += confirmed;
+        totals.rostered += rostered;
+
+        const label = Utils.getWaveLabel(row, `Row ${totals.waves.length + 1}`);
+        const wave = totals.waves.find(w => w.label === label);
+        if (wave) {
+            wave.confirmed += confirmed;
+            wave.rostered += rostered;
+        } else {
+            totals.waves.push({ label, confirmed, rostered });
+        }
+        return totals;
+    }
+
+    clearHighlight(row, confirmedCell, rosteredCell) {
+        if (!confirmedCell.parentElement.dataset.dspHighlight) return;
+        delete confirmedCell.parentElement.dataset.dspHighlight;
+        confirmedCell.parentElement.style.backgroundColor = '';
+        rosteredCell.style.backgroundColor = '';
+        confirmedCell.parentElement.title = '';
+        rosteredCell.title = '';
+        this.rowActions.detach(row);
+    }
 }
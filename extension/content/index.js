@@ -3,6 +3,11 @@
 browser.runtime.onMessage.addListener(async (request, sender) => {
     console.log('DSP Tool: Content script received message:', request);
     
+    // Report whether this page's data table has rendered (polled by the background)
+    if (request.action === 'getPageReadiness') {
+        return Promise.resolve({ success: true, ...pageReadiness.getStatus() });
+    }
+
     if (request.action === "checkMismatches") {
         try {
             console.log('DSP Tool: Starting mismatch check...');
@@ -11,13 +16,14 @@ browser.runtime.onMessage.addListener(async (request, sender) => {
             const serviceType = request.serviceType || 'cycle1';
             console.log(`DSP Tool: Checking mismatches for service type: ${serviceType}`);
             
-            // Give the page a moment to fully load
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            // Make sure the scheduling table has rendered before parsing
+            await pageReadiness.whenReady(5000);
             
             const mismatches = await app.dspParser.getFilteredMismatchedData(serviceType);
+            const totals = app.dspParser.getParsedTotals();
             console.log(`DSP Tool: Returning mismatches for ${serviceType}:`, mismatches);
             
-            return Promise.resolve({ mismatches, serviceType });
+            return Promise.resolve({ mismatches, totals, serviceType });
         } catch (error) {
             console.error('DSP Tool: Error checking mismatches:', error);
             return Promise.resolve({ mismatches: [], error: error.message, serviceType: request.serviceType });
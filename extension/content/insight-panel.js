@@ -0,0 +1,326 @@
+// Floating roster insight panel for the Scheduling page
+const INSIGHT_COLUMNS = [
+    { key: 'dspName', label: 'DSP' },
+    { key: 'confirmed', label: 'Accepted' },
+    { key: 'rostered', label: 'Rostered' },
+    { key: 'delta', label: 'Δ' },
+    { key: 'percent', label: '%' },
+    { key: 'waveGaps', label: 'Waves' }
+];
+
+const INSIGHT_STYLES = {
+    panel: {
+        position: 'fixed',
+        right: '16px',
+        bottom: '16px',
+        width: '380px',
+        maxHeight: '60vh',
+        display: 'flex',
+        flexDirection: 'column',
+        background: '#ffffff',
+        border: '1px solid #d0d7de',
+        borderRadius: '8px',
+        boxShadow: '0 8px 24px rgba(0, 0, 0, 0.15)',
+        font: '12px/1.4 system-ui, sans-serif',
+        color: '#1f2328',
+        zIndex: '2147483000'
+    },
+    header: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        padding: '8px 10px',
+        background: '#6366f1',
+        color: '#ffffff',
+        borderRadius: '8px 8px 0 0',
+        fontWeight: '600',
+        cursor: 'pointer'
+    },
+    body: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        padding: '8px 10px',
+        overflow: 'hidden'
+    },
+    tabs: { display: 'flex', gap: '4px', flexWrap: 'wrap' },
+    tab: {
+        padding: '2px 8px',
+        border: '1px solid #d0d7de',
+        borderRadius: '12px',
+        background: '#f6f8fa',
+        cursor: 'pointer',
+        font: 'inherit'
+    },
+    activeTab: { background: '#6366f1', color: '#ffffff', borderColor: '#6366f1' },
+    controls: { display: 'flex', gap: '8px', alignItems: 'center' },
+    filter: { flex: '1', padding: '3px 6px', border: '1px solid #d0d7de', borderRadius: '4px', font: 'inherit' },
+    countdown: { fontWeight: '600' },
+    tableWrap: { overflow: 'auto', maxHeight: '40vh' },
+    table: { width: '100%', borderCollapse: 'collapse' },
+    th: { position: 'sticky', top: '0', background: '#f6f8fa', textAlign: 'left', padding: '3px 4px', cursor: 'pointer', whiteSpace: 'nowrap' },
+    td: { padding: '3px 4px', borderTop: '1px solid #eaeef2', whiteSpace: 'nowrap' }
+};
+
+class RosterInsightPanel {
+    constructor() {
+        // Own parser so panel refreshes never interleave with a background mismatch check
+        this.parser = new DSPDataParser();
+        this.data = {};
+        this.tolerance = { ...CONFIG.ROSTER_TOLERANCE };
+        this.deadlines = {};
+        this.serviceTypes = [];
+        this.activeServiceType = 'cycle1';
+        this.sortKey = 'delta';
+        this.sortAsc = true;
+        this.filterText = '';
+        this.onlyMismatches = false;
+        this.collapsed = false;
+        this.elements = {};
+        this.countdownTimer = null;
+        this.refreshing = false;
+    }
+
+    mount() {
+        if (this.elements.panel || !document.body) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'dsp-tool-insight-panel';
+        Utils.applyStyles(panel, INSIGHT_STYLES.panel);
+
+        const header = document.createElement('div');
+        Utils.applyStyles(header, INSIGHT_STYLES.header);
+        const title = document.createElement('span');
+        title.textContent = '📊 Roster Insights';
+        const toggle = document.createElement('span');
+        toggle.textContent = '▾';
+        header.appendChild(title);
+        header.appendChild(toggle);
+        header.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+
+        const body = document.createElement('div');
+        Utils.applyStyles(body, INSIGHT_STYLES.body);
+
+        const tabs = document.createElement('div');
+        Utils.applyStyles(tabs, INSIGHT_STYLES.tabs);
+
+        const countdown = document.createElement('div');
+        Utils.applyStyles(countdown, INSIGHT_STYLES.countdown);
+
+        const controls = document.createElement('div');
+        Utils.applyStyles(controls, INSIGHT_STYLES.controls);
+        const filter = document.createElement('input');
+        filter.type = 'search';
+        filter.placeholder = 'Filter DSPs...';
+        Utils.applyStyles(filter, INSIGHT_STYLES.filter);
+        filter.addEventListener('input', () => {
+            this.filterText = filter.value.trim().toUpperCase();
+            this.renderTable();
+        });
+        const onlyLabel = document.createElement('label');
+        const onlyCheckbox = document.createElement('input');
+        onlyCheckbox.type = 'checkbox';
+        onlyCheckbox.addEventListener('change', () => {
+            this.onlyMismatches = onlyCheckbox.checked;
+            this.renderTable();
+        });
+        onlyLabel.appendChild(onlyCheckbox);
+        onlyLabel.appendChild(document.createTextNode(' Mismatches only'));
+        controls.appendChild(filter);
+        controls.appendChild(onlyLabel);
+
+        const tableWrap = document.createElement('div');
+        Utils.applyStyles(tableWrap, INSIGHT_STYLES.tableWrap);
+
+        body.appendChild(tabs);
+        body.appendChild(countdown);
+        body.appendChild(controls);
+        body.appendChild(tableWrap);
+        panel.appendChild(header);
+        panel.appendChild(body);
+        document.body.appendChild(panel);
+
+        this.elements = { panel, toggle, body, tabs, countdown, tableWrap };
+        this.countdownTimer = setInterval(() => this.updateCountdown(), 1000);
+        console.log('DSP Tool: Roster insight panel mounted');
+    }
+
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        this.elements.body.style.display = collapsed ? 'none' : 'flex';
+        this.elements.toggle.textContent = collapsed ? '▸' : '▾';
+    }
+
+    async refresh() {
+        // Wait for the scheduling table so the panel's own table is never mistaken for it
+        if (this.refreshing || !document.querySelector(CONFIG.SELECTORS.PROVIDER_NAME)) return;
+        this.refreshing = true;
+        try {
+            if (!this.elements.panel) this.mount();
+            this.tolerance = await Utils.getRosterTolerance();
+            this.deadlines = await Utils.getRosterDeadlines();
+            this.serviceTypes = await Utils.getServiceTypeRegistry();
+
+            const data = {};
+            for (const { id } of this.serviceTypes) {
+                await this.parser.parseTableData(id);
+                data[id] = this.parser.getParsedTotals().map(item => this.toRow(item));
+            }
+            this.data = data;
+
+            // Switch to a service type that is actually on the page
+            if (!this.data[this.activeServiceType]?.length) {
+                const firstWithRows = Object.keys(this.data).find(type => this.data[type].length > 0);
+                this.activeServiceType = firstWithRows || this.serviceTypes[0]?.id;
+            }
+
+            this.renderTabs();
+            this.renderTable();
+            this.updateCountdown();
+        } catch (error) {
+            console.error('DSP Tool: Error refreshing insight panel:', error);
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    toRow(item) {
+        const confirmed = Number(item.confirmed) || 0;
+        const rostered = Number(item.rostered) || 0;
+        const kind = Utils.classifyRoster(confirmed, rostered, this.tolerance);
+        return {
+            dspName: item.dspName,
+            confirmed,
+            rostered,
+            delta: rostered - confirmed,
+            percent: confirmed > 0 ? Math.round((rostered / confirmed) * 100) : null,
+            kind,
+            // Waves that explain the mismatch, e.g. "10:20 −2, 11:05 −1"
+            waveGaps: kind ? Utils.formatWaveGaps(item.waves, kind) : ''
+        };
+    }
+
+    renderTabs() {
+        const container = this.elements.tabs;
+        container.innerHTML = '';
+        this.serviceTypes.forEach(({ id: serviceType, shortName: label }) => {
+            const rows = this.data[serviceType] || [];
+            if (rows.length === 0 && serviceType !== this.activeServiceType) return;
+
+            const flagged = rows.filter(row => row.kind).length;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = flagged > 0 ? `${label} (${flagged})` : label;
+            Utils.applyStyles(button, INSIGHT_STYLES.tab);
+            if (serviceType === this.activeServiceType) {
+                Utils.applyStyles(button, INSIGHT_STYLES.activeTab);
+            }
+            button.addEventListener('click', () => {
+                this.activeServiceType = serviceType;
+                this.renderTabs();
+                this.renderTable();
+                this.updateCountdown();
+            });
+            container.appendChild(button);
+        });
+    }
+
+    getVisibleRows() {
+        const rows = (this.data[this.activeServiceType] || []).filter(row =>
+            (!this.filterText || row.dspName.toUpperCase().includes(this.filterText)) &&
+            (!this.onlyMismatches || row.kind)
+        );
+        const dir = this.sortAsc ? 1 : -1;
+        return rows.sort((a, b) => {
+            const av = a[this.sortKey];
+            const bv = b[this.sortKey];
+            if (typeof av === 'string') return av.localeCompare(bv) * dir;
+            return ((av ?? -Infinity) - (bv ?? -Infinity)) * dir;
+        });
+    }
+
+    renderTable() {
+        const container = this.elements.tableWrap;
+        if (!container) return;
+        container.innerHTML = '';
+
+        const rows = this.getVisibleRows();
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No DSPs to show';
+            container.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        Utils.applyStyles(table, INSIGHT_STYLES.table);
+
+        const headRow = document.createElement('tr');
+        INSIGHT_COLUMNS.forEach(({ key, label }) => {
+            const th = document.createElement('th');
+            th.textContent = label + (this.sortKey === key ? (this.sortAsc ? ' ▲' : ' ▼') : '');
+            Utils.applyStyles(th, INSIGHT_STYLES.th);
+            th.addEventListener('click', () => {
+                this.sortAsc = this.sortKey === key ? !this.sortAsc : true;
+                this.sortKey = key;
+                this.renderTable();
+            });
+            headRow.appendChild(th);
+        });
+        table.createTHead().appendChild(headRow);
+
+        const body = table.createTBody();
+        const activeEntry = this.serviceTypes.find(entry => entry.id === this.activeServiceType);
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            if (row.kind) {
+                tr.style.backgroundColor = ServiceTypeRegistry.colorFor(activeEntry, row.kind);
+            }
+            const cells = [
+                row.dspName,
+                row.confirmed,
+                row.rostered,
+                row.delta > 0 ? `+${row.delta}` : row.delta,
+                row.percent === null ? '–' : `${row.percent}%`,
+                row.waveGaps || '–'
+            ];
+            cells.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = String(value);
+                Utils.applyStyles(td, INSIGHT_STYLES.td);
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+        container.appendChild(table);
+    }
+
+    updateCountdown() {
+        const el = this.elements.countdown;
+        if (!el) return;
+        const deadline = this.deadlines[this.activeServiceType];
+        if (!deadline) {
+            el.textContent = 'No roster deadline set';
+            el.style.color = '#57606a';
+            return;
+        }
+
+        const [hours, minutes] = deadline.split(':').map(x => parseInt(x, 10));
+        const due = new Date();
+        due.setHours(hours, minutes, 0, 0);
+        const remaining = due.getTime() - Date.now();
+        if (remaining <= 0) {
+            el.textContent = `⏰ Roster deadline ${deadline} has passed`;
+            el.style.color = '#cf222e';
+            return;
+        }
+
+        const totalSeconds = Math.floor(remaining / 1000);
+        const h = Math.floor(totalSeconds / 3600);
+        const m = Math.floor((totalSeconds % 3600) / 60);
+        const s = totalSeconds % 60;
+        const parts = h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m ${String(s).padStart(2, '0')}s`;
+        el.textContent = `⏰ Roster deadline ${deadline} · ${parts} left`;
+        el.style.color = remaining < 30 * 60 * 1000 ? '#cf222e' : '#1f2328';
+    }
+}
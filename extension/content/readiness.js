@@ -0,0 +1,103 @@
+// -------------------------------
+// Page readiness reporting
+// -------------------------------
+
+// Each page type is "ready" once its data table has rows and has stopped changing
+const PAGE_READINESS_TYPES = {
+    scheduling: {
+        matches: () => /logistics\.amazon\.co\.uk/.test(location.hostname) && location.pathname.includes('/internal/scheduling/dsps'),
+        hasData: () => !!document.querySelector(`${CONFIG.SELECTORS.TABLE} ${CONFIG.SELECTORS.PROVIDER_NAME}`)
+    },
+    mercury: {
+        matches: () => /c3\.amazon\.com/.test(location.hostname),
+        hasData: () => Array.from(document.querySelectorAll('table')).some(table => table.querySelectorAll('tr td').length > 0)
+    },
+    routePlanning: {
+        matches: () => /\.route\.planning\.last-mile\.a2z\.com/.test(location.hostname),
+        hasData: () => !!document.querySelector('table tbody > tr td')
+    }
+};
+
+const PAGE_READY_SETTLE_MS = 750;
+
+class PageReadinessReporter {
+    constructor() {
+        this.pageType = this.detectPageType();
+        this.ready = false;
+        this.readyAt = null;
+        this.settleTimeout = null;
+        this.observer = null;
+        this.waiters = [];
+    }
+
+    detectPageType() {
+        const entry = Object.entries(PAGE_READINESS_TYPES).find(([, type]) => {
+            try { return type.matches(); } catch { return false; }
+        });
+        return entry ? entry[0] : null;
+    }
+
+    start() {
+        if (!this.pageType) return;
+        console.log(`DSP Tool: Watching ${this.pageType} page for data readiness`);
+
+        const begin = () => {
+            this.observer = new MutationObserver(() => this.scheduleSettleCheck());
+            this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+            this.scheduleSettleCheck();
+        };
+
+        if (document.body) {
+            begin();
+        } else {
+            document.addEventListener('DOMContentLoaded', begin, { once: true });
+        }
+    }
+
+    scheduleSettleCheck() {
+        if (this.ready) return;
+        clearTimeout(this.settleTimeout);
+        this.settleTimeout = setTimeout(() => this.checkReady(), PAGE_READY_SETTLE_MS);
+    }
+
+    checkReady() {
+        if (this.ready) return;
+        let hasData = false;
+        try {
+            hasData = PAGE_READINESS_TYPES[this.pageType].hasData();
+        } catch (error) {
+            console.warn('DSP Tool: Readiness check failed:', error);
+        }
+        if (!hasData) return;
+
+        this.ready = true;
+        this.readyAt = Date.now();
+        if (this.observer) this.observer.disconnect();
+        this.waiters.splice(0).forEach(resolve => resolve(true));
+
+        console.log(`DSP Tool: ${this.pageType} page data ready`);
+        browser.runtime.sendMessage({ action: 'pageReady', ...this.getStatus() }).catch(() => {});
+    }
+
+    getStatus() {
+        return {
+            pageType: this.pageType,
+            ready: this.ready,
+            readyAt: this.readyAt,
+            // Navigation start of this document, so callers can ignore a page that was about to be replaced
+            loadedAt: Math.round(performance.timeOrigin || 0),
+            url: location.href
+        };
+    }
+
+    whenReady(timeout = 5000) {
+        if (this.ready || !this.pageType) return Promise.resolve(this.ready);
+        return new Promise(resolve => {
+            this.waiters.push(resolve);
+            setTimeout(() => resolve(this.ready), timeout);
+        });
+    }
+}
+
+const pageReadiness = new PageReadinessReporter();
+pageReadiness.start();
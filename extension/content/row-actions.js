@@ -0,0 +1,209 @@
+// Per-row "notify this DSP" actions for mismatched provider rows on the Scheduling page
+const ROW_ACTION_STYLES = {
+    container: {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '4px',
+        marginLeft: '6px',
+        verticalAlign: 'middle',
+        font: '12px/1.4 system-ui, sans-serif'
+    },
+    button: {
+        padding: '1px 6px',
+        border: '1px solid #d0d7de',
+        borderRadius: '4px',
+        background: '#ffffff',
+        color: '#1f2328',
+        cursor: 'pointer',
+        font: 'inherit'
+    },
+    menu: {
+        display: 'none',
+        alignItems: 'center',
+        gap: '4px'
+    },
+    note: {
+        width: '180px',
+        padding: '1px 4px',
+        border: '1px solid #d0d7de',
+        borderRadius: '4px',
+        font: 'inherit'
+    },
+    snooze: {
+        padding: '1px 2px',
+        border: '1px solid #d0d7de',
+        borderRadius: '4px',
+        font: 'inherit'
+    },
+    status: { whiteSpace: 'nowrap' }
+};
+
+const ROW_SNOOZE_OPTIONS = [
+    { minutes: 30, label: '30 min' },
+    { minutes: 60, label: '1 h' },
+    { minutes: 120, label: '2 h' },
+    { minutes: 240, label: '4 h' }
+];
+
+class RowNotifyActions {
+    // Add the notify controls to a mismatched row, or refresh the data behind existing ones
+    attach(row, mismatch) {
+        const cell = row.querySelector(CONFIG.SELECTORS.PROVIDER_NAME);
+        if (!cell) return;
+
+        let container = cell.querySelector('.dsp-tool-row-actions');
+        if (!container) {
+            container = this.createControls();
+            cell.appendChild(container);
+        }
+        // Stored as a property so refreshing it does not trigger the table observer
+        container.dspMismatch = mismatch;
+    }
+
+    detach(row) {
+        const container = row.querySelector('.dsp-tool-row-actions');
+        if (container) container.remove();
+    }
+
+    createControls() {
+        const container = document.createElement('span');
+        container.className = 'dsp-tool-row-actions';
+        Utils.applyStyles(container, ROW_ACTION_STYLES.container);
+        // Keep clicks from toggling or selecting the scheduling row underneath
+        container.addEventListener('click', event => event.stopPropagation());
+
+        const toggle = this.createButton('📣 Notify', 'Notify this DSP');
+
+        const menu = document.createElement('span');
+        Utils.applyStyles(menu, ROW_ACTION_STYLES.menu);
+
+        const alertButton = this.createButton('Send alert', 'Send the standard mismatch alert with the DSP\'s totals for this service type');
+        const noteInput = document.createElement('input');
+        noteInput.type = 'text';
+        noteInput.placeholder = 'Quick note...';
+        Utils.applyStyles(noteInput, ROW_ACTION_STYLES.note);
+        const noteButton = this.createButton('Send note', 'Send this note to the DSP');
+
+        const snoozeSelect = document.createElement('select');
+        snoozeSelect.title = 'Snooze follow-ups for';
+        Utils.applyStyles(snoozeSelect, ROW_ACTION_STYLES.snooze);
+        ROW_SNOOZE_OPTIONS.forEach(({ minutes, label }) => {
+            const option = document.createElement('option');
+            option.value = String(minutes);
+            option.textContent = label;
+            snoozeSelect.appendChild(option);
+        });
+        snoozeSelect.value = '60';
+        const ackButton = this.createButton('🔕 Ack', 'DSP is on it: snooze follow-ups for this service type');
+
+        const status = document.createElement('span');
+        Utils.applyStyles(status, ROW_ACTION_STYLES.status);
+        const buttons = [alertButton, noteButton, ackButton];
+
+        toggle.addEventListener('click', () => {
+            const open = menu.style.display !== 'none';
+            menu.style.display = open ? 'none' : 'inline-flex';
+            if (!open) noteInput.focus();
+        });
+        alertButton.addEventListener('click', () => {
+            this.send(container, { mismatch: container.dspMismatch }, buttons, status);
+        });
+        const sendNote = () => {
+            const note = noteInput.value.trim();
+            if (!note) {
+                this.setStatus(status, '⚠️ Type a note first', '#9a6700');
+                return;
+            }
+            this.send(container, { message: note }, buttons, status, () => {
+                noteInput.value = '';
+            });
+        };
+        noteButton.addEventListener('click', sendNote);
+        ackButton.addEventListener('click', () => {
+            this.acknowledge(container, parseInt(snoozeSelect.value, 10), buttons, status);
+        });
+        noteInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                sendNote();
+            }
+        });
+
+        menu.appendChild(alertButton);
+        menu.appendChild(noteInput);
+        menu.appendChild(noteButton);
+        menu.appendChild(snoozeSelect);
+        menu.appendChild(ackButton);
+        container.appendChild(toggle);
+        container.appendChild(menu);
+        container.appendChild(status);
+        return container;
+    }
+
+    createButton(text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = title;
+        Utils.applyStyles(button, ROW_ACTION_STYLES.button);
+        return button;
+    }
+
+    async send(container, payload, buttons, status, onSuccess) {
+        const mismatch = container.dspMismatch;
+        if (!mismatch) return;
+        const dsp = mismatch.dspName.split(' ')[0];
+
+        buttons.forEach(button => { button.disabled = true; });
+        this.setStatus(status, '⏳ Sending...', '#57606a');
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'sendMessage',
+                dsp,
+                serviceType: mismatch.serviceType,
+                ...payload
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || 'No response from background');
+            }
+            this.setStatus(status, `✅ Sent to ${dsp}`, '#1a7f37');
+            if (onSuccess) onSuccess();
+        } catch (error) {
+            console.error(`DSP Tool: Failed to notify ${dsp}:`, error);
+            this.setStatus(status, `❌ ${error.message}`, '#cf222e');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    async acknowledge(container, minutes, buttons, status) {
+        const mismatch = container.dspMismatch;
+        if (!mismatch) return;
+        const dsp = mismatch.dspName.split(' ')[0];
+
+        buttons.forEach(button => { button.disabled = true; });
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'acknowledgeDsp',
+                dsp,
+                serviceType: mismatch.serviceType,
+                minutes
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || 'No response from background');
+            }
+            const until = new Date(response.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            this.setStatus(status, `🔕 Snoozed until ${until}`, '#57606a');
+        } catch (error) {
+            console.error(`DSP Tool: Failed to acknowledge ${dsp}:`, error);
+            this.setStatus(status, `❌ ${error.message}`, '#cf222e');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    setStatus(status, text, color) {
+        status.textContent = text;
+        status.style.color = color;
+    }
+}
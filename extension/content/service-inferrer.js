@@ -4,14 +4,26 @@ class ServiceTypeInferrer {
         this.availableServiceTypes = new Set();
         this.currentPageServiceTypes = new Set();
         this.urlParams = null;
+        this.serviceTypes = [];
     }
 
-    initialize() {
+    async initialize() {
         // Extract URL parameters (similar to amzl-scripts approach)
         this.urlParams = new URLSearchParams(window.location.search);
+        this.serviceTypes = await Utils.getServiceTypeRegistry();
         this.inferServiceTypesFromPage();
     }
 
+    // Registry entry for a section name: exact page label first, then a label or short name it contains
+    matchServiceType(text) {
+        const exact = ServiceTypeRegistry.findByLabel(this.serviceTypes, text);
+        if (exact) return exact;
+        const lower = String(text || '').toLowerCase();
+        return this.serviceTypes.find(entry =>
+            [...entry.pageLabels, entry.shortName].some(label => lower.includes(label.toLowerCase()))
+        ) || null;
+    }
+
     inferServiceTypesFromPage() {
         try {
             console.log('ServiceTypeInferrer: Analyzing page for available service types...');
@@ -41,9 +53,7 @@ class ServiceTypeInferrer {
         if (serviceAreaId || date) {
             console.log('ServiceTypeInferrer: Found URL parameters, likely a scheduling page');
             // Default assumption - all service types might be available
-            this.availableServiceTypes.add('cycle1');
-            this.availableServiceTypes.add('samedayB');
-            this.availableServiceTypes.add('samedayC');
+            this.serviceTypes.forEach(entry => this.availableServiceTypes.add(entry.id));
         }
     }
 
@@ -57,12 +67,9 @@ class ServiceTypeInferrer {
                 console.log('ServiceTypeInferrer: Found service type element:', serviceTypeName);
                 
                 // Map display names to internal types (similar to amzl-scripts waveType mapping)
-                if (serviceTypeName.includes('Standard Parcel') || serviceTypeName.includes('Cycle 1')) {
-                    this.currentPageServiceTypes.add('cycle1');
-                } else if (serviceTypeName.includes('Multi-Use') || serviceTypeName.includes('Sameday B')) {
-                    this.currentPageServiceTypes.add('samedayB');
-                } else if (serviceTypeName.includes('Sameday Parcel') || serviceTypeName.includes('Sameday C')) {
-                    this.currentPageServiceTypes.add('samedayC');
+                const match = this.matchServiceType(serviceTypeName);
+                if (match) {
+                    this.currentPageServiceTypes.add(match.id);
                 }
             });
         } catch (error) {
@@ -82,12 +89,9 @@ class ServiceTypeInferrer {
                     const text = serviceTypeCell.textContent.trim();
                     
                     // Infer service type from text content
-                    if (text.match(/(Standard.*Parcel|Cycle.*1)/i)) {
-                        this.currentPageServiceTypes.add('cycle1');
-                    } else if (text.match(/(Multi.?Use|Sameday.*B)/i)) {
-                        this.currentPageServiceTypes.add('samedayB');
-                    } else if (text.match(/(Sameday.*Parcel|Sameday.*C)/i)) {
-                        this.currentPageServiceTypes.add('samedayC');
+                    const match = this.matchServiceType(text);
+                    if (match) {
+                        this.currentPageServiceTypes.add(match.id);
                     }
                 }
             });
@@ -104,8 +108,9 @@ class ServiceTypeInferrer {
         return this.currentPageServiceTypes.has(serviceType);
     }
 
-    // Auto-update service type settings based on page detection
-    async updateStorageWithDetected() {
+    // Report detections to the background, which applies, suggests or ignores them
+    // according to the inference mode and never touches pinned service types
+    async reportDetectedTypes() {
         try {
             const detectedTypes = this.getDetectedServiceTypes();
             
@@ -114,42 +119,18 @@ class ServiceTypeInferrer {
                 return;
             }
 
-            // Get current settings
-            const { serviceTypes = {} } = await browser.storage.local.get('serviceTypes');
-            
-            // Create updated settings based on detection
-            const updatedServiceTypes = {
-                cycle1: detectedTypes.includes('cycle1'),
-                samedayB: detectedTypes.includes('samedayB'),
-                samedayC: detectedTypes.includes('samedayC')
-            };
-
-            // Only update if different from current
-            const hasChanges = Object.keys(updatedServiceTypes).some(
-                key => updatedServiceTypes[key] !== serviceTypes[key]
-            );
-
-            if (hasChanges) {
-                console.log('ServiceTypeInferrer: Auto-updating service type settings:', updatedServiceTypes);
-                await browser.storage.local.set({ 
-                    serviceTypes: updatedServiceTypes,
-                    lastInferredTypes: detectedTypes,
-                    inferenceTimestamp: Date.now()
-                });
-
-                // Notify background script of the change
-                try {
-                    browser.runtime.sendMessage({
-                        action: 'serviceTypesInferred',
-                        detectedTypes: detectedTypes,
-                        updatedSettings: updatedServiceTypes
-                    });
-                } catch (e) {
-                    console.warn('ServiceTypeInferrer: Could not notify background script:', e);
-                }
+            // Only the primary station's settings follow the page; null stands for the primary station
+            const { station } = await Utils.getPageStation();
+            const response = await browser.runtime.sendMessage({
+                action: 'serviceTypesInferred',
+                detectedTypes,
+                stationId: station?.id || null
+            });
+            if (response?.success && Object.keys(response.changes || {}).length > 0) {
+                console.log(`ServiceTypeInferrer: Inference (${response.mode}) proposed changes:`, response.changes);
             }
         } catch (error) {
-            console.error('ServiceTypeInferrer: Error updating storage with detected types:', error);
+            console.warn('ServiceTypeInferrer: Could not report detected types to background script:', error);
         }
     }
 }
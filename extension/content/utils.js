@@ -39,5 +39,109 @@ const Utils = {
                 reject(new Error(`Element ${selector} not found within ${timeout}ms`));
             }, timeout);
         });
+    },
+
+    // Provider cell text without the notify controls the extension adds to it
+    getProviderName(cell) {
+        if (!cell) return '';
+        return Array.from(cell.childNodes)
+            .filter(node => !(node.classList && node.classList.contains('dsp-tool-row-actions')))
+            .map(node => node.textContent)
+            .join('')
+            .trim();
+    },
+
+    // Wave or shift start label of a provider row: the wave cell, else the first HH:MM in the row
+    getWaveLabel(row, fallback = '') {
+        const waveCell = row.querySelector(CONFIG.SELECTORS.WAVE_CELL);
+        const waveText = waveCell ? waveCell.textContent.replace(/\s+/g, ' ').trim() : '';
+        if (waveText) return waveText;
+        const providerCell = row.querySelector(CONFIG.SELECTORS.PROVIDER_NAME);
+        for (const cell of row.querySelectorAll('td')) {
+            if (cell === providerCell) continue;
+            const time = cell.textContent.match(/\b\d{1,2}:\d{2}\b/);
+            if (time) return time[0];
+        }
+        return fallback;
+    },
+
+    // Waves short of (under) or beyond (over) their accepted routes, as "10:20 −2, 11:05 −1"
+    formatWaveGaps(waves, kind) {
+        return (waves || [])
+            .map(wave => ({ label: wave.label, delta: wave.rostered - wave.confirmed }))
+            .filter(({ delta }) => (kind === 'over' ? delta > 0 : delta < 0))
+            .map(({ label, delta }) => `${label} ${delta > 0 ? '+' : '−'}${Math.abs(delta)}`)
+            .join(', ');
+    },
+
+    // Service types defined in the registry (built-in ones until edited in options)
+    async getServiceTypeRegistry() {
+        return ServiceTypeRegistry.load();
+    },
+
+    // Station profile the page belongs to, matched on the serviceAreaId in the URL as
+    // findStationForUrl (background/stations.js) does. `station` is the additional
+    // station's stored profile, or null for the primary station.
+    async getPageStation() {
+        const { settings = {}, stations = [] } = await browser.storage.local.get(['settings', 'stations']);
+        let serviceAreaId = null;
+        try {
+            serviceAreaId = new URL(location.href).searchParams.get('serviceAreaId');
+        } catch (error) {
+            console.warn('DSP Tool: Could not parse page URL for station lookup:', error);
+        }
+        const station = serviceAreaId && serviceAreaId !== settings.serviceAreaId
+            ? (Array.isArray(stations) ? stations : []).find(s => s?.id && s.serviceAreaId === serviceAreaId) || null
+            : null;
+        return { settings, station };
+    },
+
+    // Service types ticked for the page's station, falling back to the registry's default-enabled ones
+    async getEnabledServiceTypes() {
+        try {
+            const { station } = await this.getPageStation();
+            const { serviceTypes } = station
+                ? { serviceTypes: station.serviceTypes || {} }
+                : await browser.storage.local.get('serviceTypes');
+            const enabled = serviceTypes || ServiceTypeRegistry.defaultEnabledMap(await this.getServiceTypeRegistry());
+            return Object.keys(enabled).filter(type => enabled[type] === true);
+        } catch (error) {
+            console.warn('DSP Tool: Could not load service type settings, using Cycle 1:', error);
+            return ['cycle1'];
+        }
+    },
+
+    // Roster deadline per service type (HH:MM, or missing when none is set); types without
+    // a stored deadline use their registry default
+    async getRosterDeadlines() {
+        const registry = await this.getServiceTypeRegistry();
+        let stored = {};
+        try {
+            ({ rosterDeadlines: stored = {} } = await browser.storage.local.get('rosterDeadlines'));
+        } catch (error) {
+            console.warn('DSP Tool: Could not load roster deadlines, using defaults:', error);
+        }
+        return Object.fromEntries(registry
+            .map(entry => [entry.id, stored[entry.id] ? stored[entry.id].time : entry.deadline])
+            .filter(([, time]) => time));
+    },
+
+    // Tolerance of the page's station; an additional station inherits the values it leaves blank
+    async getRosterTolerance() {
+        try {
+            const { settings, station } = await this.getPageStation();
+            return { ...CONFIG.ROSTER_TOLERANCE, ...(settings.rosterTolerance || {}), ...(station?.rosterTolerance || {}) };
+        } catch (error) {
+            console.warn('DSP Tool: Could not load roster tolerance, using defaults:', error);
+            return { ...CONFIG.ROSTER_TOLERANCE };
+        }
+    },
+
+    // 'under', 'over', or null when the difference is within tolerance
+    classifyRoster(confirmed, rostered, tolerance = CONFIG.ROSTER_TOLERANCE) {
+        const diff = rostered - confirmed;
+        if (diff < 0 && -diff > (Number(tolerance.under) || 0)) return 'under';
+        if (diff > 0 && diff > (Number(tolerance.over) || 0)) return 'over';
+        return null;
     }
 };
@@ -0,0 +1,152 @@
+// Message audit log (stored in the background history database)
+const AUDIT_SOURCE_LABELS = {
+    manual: 'Manual',
+    mismatch: 'Mismatch',
+    'follow-up': 'Follow-up',
+    risk: 'Risk',
+    reattempt: 'Reattempt',
+    summary: 'Summary',
+    other: 'Other'
+};
+
+const AUDIT_STATUS_LABELS = {
+    delivered: 'Delivered',
+    queued: 'Queued for retry',
+    failed: 'Failed',
+    discarded: 'Discarded',
+    'dry-run': 'Dry run'
+};
+
+function getAuditFilters() {
+    return {
+        target: (elements.auditTarget?.value || '').trim(),
+        source: elements.auditSource?.value || '',
+        search: (elements.auditSearch?.value || '').trim(),
+        from: elements.auditFrom?.value || '',
+        to: elements.auditTo?.value || ''
+    };
+}
+
+async function fetchMessageAudit() {
+    const response = await browser.runtime.sendMessage({
+        action: 'getMessageAudit',
+        filters: getAuditFilters()
+    });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Audit log unavailable');
+    }
+    return response;
+}
+
+async function loadMessageAudit() {
+    try {
+        const { entries = [], truncated } = await fetchMessageAudit();
+        renderMessageAudit(entries, truncated);
+    } catch (error) {
+        console.error('❌ Error loading message audit log:', error);
+        showToast('Failed to load message audit log', 'error');
+    }
+}
+
+function formatAuditOutcome(entry) {
+    const parts = [AUDIT_STATUS_LABELS[entry.status] || entry.status];
+    if (entry.httpStatus) parts.push(`HTTP ${entry.httpStatus}`);
+    if (entry.attempts > 1) parts.push(`${entry.attempts} attempts`);
+    return parts.join(' · ');
+}
+
+function renderMessageAudit(entries, truncated) {
+    const container = elements.auditResults;
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (entries.length === 0) {
+        const span = document.createElement('span');
+        span.textContent = 'No messages recorded for these filters';
+        container.appendChild(span);
+        return;
+    }
+
+    const rows = entries.map(entry => [
+        new Date(entry.timestamp).toLocaleString(),
+        entry.destination ? `${entry.target} (${entry.destination})` : entry.target,
+        AUDIT_SOURCE_LABELS[entry.source] || entry.source,
+        entry.stationName || (entry.stationId === 'primary' ? 'Primary' : entry.stationId),
+        formatAuditOutcome(entry),
+        entry.message
+    ]);
+    const table = buildHistoryTable(['Sent at', 'Recipient', 'Source', 'Station', 'Outcome', 'Message'], rows);
+    entries.forEach((entry, i) => {
+        const row = table.tBodies[0].rows[i];
+        const messageCell = row.cells[5];
+        messageCell.className = 'audit-message';
+        messageCell.title = entry.message;
+        if (entry.error) row.cells[4].title = entry.error;
+        if (entry.status === 'failed' || entry.status === 'discarded') row.classList.add('mismatch');
+    });
+    container.appendChild(table);
+
+    if (truncated) {
+        const note = document.createElement('small');
+        note.textContent = `Showing the latest ${entries.length} messages. Narrow the filters to see older ones.`;
+        container.appendChild(note);
+    }
+}
+
+function toCsvValue(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Exports the rows matching the current filters, with the full message text
+async function exportMessageAudit() {
+    try {
+        const { entries = [] } = await fetchMessageAudit();
+        if (entries.length === 0) {
+            showToast('No messages to export for these filters', 'warning');
+            return;
+        }
+
+        const header = ['Sent at', 'Recipient', 'Destination', 'Channel', 'Source', 'Job', 'Station', 'Status', 'HTTP status', 'Attempts', 'Error', 'Message'];
+        const lines = entries.map(entry => [
+            new Date(entry.timestamp).toISOString(),
+            entry.target,
+            entry.destination,
+            entry.channel,
+            entry.source,
+            entry.job,
+            entry.stationName || entry.stationId,
+            entry.status,
+            entry.httpStatus || '',
+            entry.attempts,
+            entry.error,
+            entry.message
+        ].map(toCsvValue).join(','));
+        const csv = [header.join(','), ...lines].join('\r\n');
+
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `message-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast(`Exported ${entries.length} messages`, 'success');
+    } catch (error) {
+        console.error('❌ Error exporting message audit log:', error);
+        showToast('Failed to export message audit log', 'error');
+    }
+}
+
+async function clearMessageAuditLog() {
+    if (!confirm('Delete the whole message audit log? This cannot be undone.')) return;
+    try {
+        await browser.runtime.sendMessage({ action: 'clearMessageAudit' });
+        showToast('Message audit log cleared', 'success');
+        await loadMessageAudit();
+    } catch (error) {
+        console.error('❌ Error clearing message audit log:', error);
+        showToast('Failed to clear message audit log', 'error');
+    }
+}
@@ -162,18 +162,20 @@ async function processBatchInput() {
         }
 
         let addedCount = 0;
-        for (const { dspCode, webhookUrl } of webhooks) {
-            const existingEntries = document.querySelectorAll('.webhook-entry .dsp-code');
-            const isDuplicate = Array.from(existingEntries).some(input =>
-                input.value.trim().toUpperCase() === dspCode.toUpperCase()
+        for (const { dspCode, webhookUrl, label, categories, provider } of webhooks) {
+            // A DSP may have several destinations; only the same DSP and URL is a duplicate
+            const existingEntries = document.querySelectorAll('.webhook-entry');
+            const isDuplicate = Array.from(existingEntries).some(entry =>
+                entry.querySelector('.dsp-code')?.value.trim().toUpperCase() === dspCode.toUpperCase()
+                && entry.querySelector('.webhook-url')?.value.trim() === webhookUrl
             );
 
             if (!isDuplicate) {
-                addWebhookEntry(dspCode, webhookUrl);
+                addWebhookEntry(dspCode, webhookUrl, label, categories, provider);
                 addedCount++;
                 console.log(`✅ Added webhook entry: ${dspCode} -> ${webhookUrl.substring(0, 50)}...`);
             } else {
-                console.warn(`⚠️ Skipping duplicate DSP code: ${dspCode}`);
+                console.warn(`⚠️ Skipping duplicate webhook for ${dspCode}: ${webhookUrl.substring(0, 50)}...`);
             }
         }
 
@@ -191,6 +193,7 @@ async function processBatchInput() {
     }
 }
 
+// Lines are: DSP code, webhook URL[, destination label[, categories like roster|risk[, provider]]]
 function parseBatchText(text) {
     console.log('📊 Parsing batch text');
     const webhooks = [];
@@ -203,24 +206,24 @@ function parseBatchText(text) {
 
         let dspCode = '';
         let webhookUrl = '';
+        let label = '';
+        let categoryText = '';
+        let providerText = '';
 
         if (line.includes(',')) {
             const parts = line.split(',').map(part => part.trim());
             if (parts.length >= 2) {
-                dspCode = parts[0];
-                webhookUrl = parts[1];
+                [dspCode, webhookUrl, label = '', categoryText = '', providerText = ''] = parts;
             }
         } else if (line.includes('\t')) {
             const parts = line.split('\t').map(part => part.trim());
             if (parts.length >= 2) {
-                dspCode = parts[0];
-                webhookUrl = parts[1];
+                [dspCode, webhookUrl, label = '', categoryText = '', providerText = ''] = parts;
             }
         } else if (line.includes('  ')) {
             const parts = line.split(/\s{2,}/).map(part => part.trim());
             if (parts.length >= 2) {
-                dspCode = parts[0];
-                webhookUrl = parts[1];
+                [dspCode, webhookUrl, label = '', categoryText = '', providerText = ''] = parts;
             }
         }
 
@@ -236,9 +239,23 @@ function parseBatchText(text) {
                 continue;
             }
 
+            const categories = WebhookDestinations.parseCategories(categoryText);
+            if (categories.length === 0) {
+                console.warn(`⚠️ No known message category in: ${categoryText}`);
+                continue;
+            }
+
+            if (providerText && !WebhookDestinations.isKnownProvider(providerText)) {
+                console.warn(`⚠️ Unknown provider: ${providerText}`);
+                continue;
+            }
+
             webhooks.push({
                 dspCode: dspCode.toUpperCase(),
-                webhookUrl: webhookUrl
+                webhookUrl: webhookUrl,
+                label,
+                categories,
+                provider: WebhookDestinations.normalizeProvider(providerText)
             });
         } else {
             console.warn(`⚠️ Could not parse line: ${line}`);
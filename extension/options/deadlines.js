@@ -0,0 +1,94 @@
+async function loadRosterDeadlines() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getRosterDeadlines' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return roster deadlines');
+        }
+        rosterDeadlines = response.deadlines || {};
+    } catch (error) {
+        console.error('❌ Error loading roster deadlines:', error);
+        rosterDeadlines = {};
+    }
+    renderRosterDeadlines();
+    // Schedule rows note checks that fall after a deadline
+    Object.keys(SERVICE_TYPES).forEach(renderScheduleEditor);
+}
+
+function renderRosterDeadlines() {
+    const container = elements.rosterDeadlines;
+    if (!container) return;
+    container.innerHTML = '';
+
+    Object.entries(SERVICE_TYPES).forEach(([serviceType, config]) => {
+        const deadline = rosterDeadlines[serviceType] || { time: '', reminders: [] };
+        rosterDeadlines[serviceType] = deadline;
+
+        const row = document.createElement('div');
+        row.className = 'deadline-row';
+
+        const name = document.createElement('span');
+        name.className = 'deadline-name';
+        name.textContent = config.name;
+        row.appendChild(name);
+
+        const timeField = document.createElement('div');
+        timeField.className = 'webhook-field';
+        const timeLabel = document.createElement('label');
+        timeLabel.textContent = 'Deadline';
+        const timeInput = document.createElement('input');
+        timeInput.type = 'time';
+        timeInput.value = deadline.time || '';
+        timeInput.addEventListener('change', () => {
+            deadline.time = timeInput.value;
+            saveRosterDeadlines(serviceType);
+        });
+        const timeHint = document.createElement('small');
+        timeHint.textContent = deadline.isDefault && deadline.time
+            ? 'Default: quoted in messages only. Save a deadline here to also stop alerts once it passes.'
+            : 'Leave empty for no deadline';
+        timeField.appendChild(timeLabel);
+        timeField.appendChild(timeInput);
+        timeField.appendChild(timeHint);
+        row.appendChild(timeField);
+
+        const remindersField = document.createElement('div');
+        remindersField.className = 'webhook-field';
+        const remindersLabel = document.createElement('label');
+        remindersLabel.textContent = 'Reminders (minutes before)';
+        const remindersInput = document.createElement('input');
+        remindersInput.type = 'text';
+        remindersInput.placeholder = 'e.g. 30, 10';
+        remindersInput.value = (deadline.reminders || []).join(', ');
+        remindersInput.disabled = !deadline.time;
+        remindersInput.addEventListener('change', () => {
+            deadline.reminders = remindersInput.value.split(/[\s,]+/).map(m => parseInt(m, 10)).filter(m => m > 0);
+            saveRosterDeadlines(serviceType);
+        });
+        const remindersHint = document.createElement('small');
+        remindersHint.textContent = 'Sent to DSPs still short. Leave empty for none.';
+        remindersField.appendChild(remindersLabel);
+        remindersField.appendChild(remindersInput);
+        remindersField.appendChild(remindersHint);
+        row.appendChild(remindersField);
+
+        container.appendChild(row);
+    });
+}
+
+async function saveRosterDeadlines(serviceType) {
+    try {
+        // Only this service type is stored, so the others keep their defaults
+        const { isDefault, ...deadline } = rosterDeadlines[serviceType];
+        const response = await browser.runtime.sendMessage({ action: 'updateRosterDeadlines', deadlines: { [serviceType]: deadline } });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not accept roster deadlines');
+        }
+        rosterDeadlines = response.deadlines || rosterDeadlines;
+        showToast(`${SERVICE_TYPES[serviceType]?.name || serviceType} deadline saved`, 'success');
+    } catch (error) {
+        console.error('❌ Error saving roster deadlines:', error);
+        showToast('Failed to save roster deadline', 'error');
+    }
+    renderRosterDeadlines();
+    Object.keys(SERVICE_TYPES).forEach(renderScheduleEditor);
+}
@@ -2,14 +2,20 @@ function cacheElements() {
     elements = {
         webhookEntries: document.getElementById('webhookEntries'),
         addWebhookBtn: document.getElementById('addWebhook'),
+        webhookHealthCheckEnabled: document.getElementById('webhookHealthCheckEnabled'),
+        webhookHealthCheckTime: document.getElementById('webhookHealthCheckTime'),
+        testAllWebhooks: document.getElementById('testAllWebhooks'),
         enableNotifications: document.getElementById('enableNotifications'),
         toast: document.getElementById('status'),
+        stationName: document.getElementById('stationName'),
         serviceAreaId: document.getElementById('serviceAreaId'),
         schedulingUrl: document.getElementById('schedulingUrl'),
         routePlanningUrl: document.getElementById('routePlanningUrl'),
         urlPreviews: document.getElementById('urlPreviews'),
         paidTimeMinutes: document.getElementById('paidTimeMinutes'),
         formatChimeManual: document.getElementById('formatChimeManual'),
+        pageReadyTimeoutSeconds: document.getElementById('pageReadyTimeoutSeconds'),
+        pageReadyRetries: document.getElementById('pageReadyRetries'),
         // Risk alerts
         enableRiskAlerts: document.getElementById('enableRiskAlerts'),
         riskDashboardUrl: document.getElementById('riskDashboardUrl'),
@@ -38,13 +44,21 @@ function cacheElements() {
         fr_UNABLE_TO_ACCESS: document.getElementById('fr_UNABLE_TO_ACCESS'),
         fr_OTP_NOT_AVAILABLE: document.getElementById('fr_OTP_NOT_AVAILABLE'),
         fr_ITEMS_MISSING: document.getElementById('fr_ITEMS_MISSING'),
-        // Service type elements
-        enableCycle1: document.getElementById('enableCycle1'),
-        enableSamedayB: document.getElementById('enableSamedayB'),
-        enableSamedayC: document.getElementById('enableSamedayC'),
-        cycle1Timing: document.getElementById('cycle1Timing'),
-        samedayBTiming: document.getElementById('samedayBTiming'),
-        samedayCTiming: document.getElementById('samedayCTiming'),
+        // Service type elements (per-type toggles are registered by renderServiceTypeSettings)
+        serviceTypeSettings: document.getElementById('serviceTypeSettings'),
+        serviceTypeRegistry: document.getElementById('serviceTypeRegistry'),
+        addServiceType: document.getElementById('addServiceType'),
+        saveServiceTypeRegistry: document.getElementById('saveServiceTypeRegistry'),
+        serviceTypeInference: document.getElementById('serviceTypeInference'),
+        inferenceSuggestion: document.getElementById('inferenceSuggestion'),
+        inferenceSuggestionText: document.getElementById('inferenceSuggestionText'),
+        inferenceSuggestionTime: document.getElementById('inferenceSuggestionTime'),
+        acceptInferenceSuggestion: document.getElementById('acceptInferenceSuggestion'),
+        dismissInferenceSuggestion: document.getElementById('dismissInferenceSuggestion'),
+        inferenceStatus: document.getElementById('inferenceStatus'),
+        detectedTypes: document.getElementById('detectedTypes'),
+        inferenceTime: document.getElementById('inferenceTime'),
+        inferenceLog: document.getElementById('inferenceLog'),
         // Batch input elements
         batchDropZone: document.getElementById('batchDropZone'),
         batchTextInput: document.getElementById('batchTextInput'),
@@ -58,7 +72,55 @@ function cacheElements() {
         backbriefUpload: document.getElementById('backbriefUpload'),
         backbriefStatus: document.getElementById('backbriefStatus'),
         sendBackbriefBtn: document.getElementById('sendBackbrief'),
-        sendManifestBtn: document.getElementById('sendManifest')
+        sendManifestBtn: document.getElementById('sendManifest'),
+        // Roster history
+        historyDsp: document.getElementById('historyDsp'),
+        historyServiceType: document.getElementById('historyServiceType'),
+        historyFrom: document.getElementById('historyFrom'),
+        historyTo: document.getElementById('historyTo'),
+        applyHistoryFilters: document.getElementById('applyHistoryFilters'),
+        historySummary: document.getElementById('historySummary'),
+        stationLeadWebhookUrl: document.getElementById('stationLeadWebhookUrl'),
+        rosterToleranceUnder: document.getElementById('rosterToleranceUnder'),
+        rosterToleranceOver: document.getElementById('rosterToleranceOver'),
+        overRosterFollowUpMinutes: document.getElementById('overRosterFollowUpMinutes'),
+        escalationStages: document.getElementById('escalationStages'),
+        rosterDeadlines: document.getElementById('rosterDeadlines'),
+        addEscalationStage: document.getElementById('addEscalationStage'),
+        saveEscalationLadder: document.getElementById('saveEscalationLadder'),
+        stationList: document.getElementById('stationList'),
+        addStation: document.getElementById('addStation'),
+        saveStations: document.getElementById('saveStations'),
+        historyResults: document.getElementById('historyResults'),
+        historyRetentionDays: document.getElementById('historyRetentionDays'),
+        clearRosterHistory: document.getElementById('clearRosterHistory'),
+        templateType: document.getElementById('templateType'),
+        templateDescription: document.getElementById('templateDescription'),
+        templateLanguage: document.getElementById('templateLanguage'),
+        templateText: document.getElementById('templateText'),
+        defaultMessageLanguage: document.getElementById('defaultMessageLanguage'),
+        dspLanguages: document.getElementById('dspLanguages'),
+        templateState: document.getElementById('templateState'),
+        templateVariables: document.getElementById('templateVariables'),
+        templatePreview: document.getElementById('templatePreview'),
+        saveTemplate: document.getElementById('saveTemplate'),
+        resetTemplate: document.getElementById('resetTemplate'),
+        enableDryRun: document.getElementById('enableDryRun'),
+        dryRunOutbox: document.getElementById('dryRunOutbox'),
+        refreshOutbox: document.getElementById('refreshOutbox'),
+        clearOutbox: document.getElementById('clearOutbox'),
+        // Message audit log
+        auditTarget: document.getElementById('auditTarget'),
+        auditSource: document.getElementById('auditSource'),
+        auditFrom: document.getElementById('auditFrom'),
+        auditTo: document.getElementById('auditTo'),
+        auditSearch: document.getElementById('auditSearch'),
+        applyAuditFilters: document.getElementById('applyAuditFilters'),
+        auditResults: document.getElementById('auditResults'),
+        exportAudit: document.getElementById('exportAudit'),
+        clearAudit: document.getElementById('clearAudit'),
+        ackHistoryResults: document.getElementById('ackHistoryResults'),
+        refreshAckHistory: document.getElementById('refreshAckHistory')
     };
 
     const requiredElements = ['webhookEntries', 'addWebhookBtn', 'enableNotifications'];
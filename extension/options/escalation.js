@@ -0,0 +1,147 @@
+const ESCALATION_RECIPIENT_OPTIONS = [
+    { value: 'dsp', label: 'DSP' },
+    { value: 'lead', label: 'Station lead' },
+    { value: 'both', label: 'DSP and station lead' }
+];
+
+async function loadEscalationLadder() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getEscalationLadder' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return the escalation ladder');
+        }
+        escalationStages = response.stages || [];
+    } catch (error) {
+        console.error('❌ Error loading escalation ladder:', error);
+        escalationStages = [];
+    }
+    renderEscalationStages();
+}
+
+function renderEscalationStages() {
+    const container = elements.escalationStages;
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (escalationStages.length === 0) {
+        const span = document.createElement('span');
+        span.className = 'escalation-hint';
+        span.textContent = 'No stages. Only the initial mismatch alert is sent.';
+        container.appendChild(span);
+        return;
+    }
+
+    escalationStages.forEach(stage => {
+        container.appendChild(createEscalationStageEditor(stage));
+    });
+}
+
+function createEscalationStageEditor(stage) {
+    const editor = document.createElement('div');
+    editor.className = 'escalation-stage' + (stage.enabled === false ? ' disabled' : '');
+
+    const row = document.createElement('div');
+    row.className = 'escalation-stage-row';
+
+    row.appendChild(createEscalationInput('Stage', 'text', stage.name, value => { stage.name = value.trim(); }));
+    row.appendChild(createEscalationInput('Minutes after alert', 'number', stage.delayMinutes, value => {
+        stage.delayMinutes = parseInt(value, 10) || stage.delayMinutes;
+    }));
+    row.appendChild(createEscalationInput('Below % rostered', 'number', stage.rosteredPercent, value => {
+        stage.rosteredPercent = parseInt(value, 10) || stage.rosteredPercent;
+    }));
+
+    const recipientsField = document.createElement('div');
+    recipientsField.className = 'webhook-field';
+    const recipientsLabel = document.createElement('label');
+    recipientsLabel.textContent = 'Send to';
+    const recipientsSelect = document.createElement('select');
+    ESCALATION_RECIPIENT_OPTIONS.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        recipientsSelect.appendChild(option);
+    });
+    recipientsSelect.value = stage.recipients;
+    recipientsSelect.addEventListener('change', () => { stage.recipients = recipientsSelect.value; });
+    recipientsField.appendChild(recipientsLabel);
+    recipientsField.appendChild(recipientsSelect);
+    row.appendChild(recipientsField);
+
+    const enabledLabel = document.createElement('label');
+    enabledLabel.className = 'station-toggle';
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = stage.enabled !== false;
+    enabledInput.addEventListener('change', () => {
+        stage.enabled = enabledInput.checked;
+        editor.classList.toggle('disabled', !stage.enabled);
+    });
+    const enabledText = document.createElement('span');
+    enabledText.textContent = 'Enabled';
+    enabledLabel.appendChild(enabledInput);
+    enabledLabel.appendChild(enabledText);
+    row.appendChild(enabledLabel);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-compact';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeEscalationStage(stage.id));
+    row.appendChild(removeButton);
+    editor.appendChild(row);
+    return editor;
+}
+
+function createEscalationInput(labelText, type, value, onChange) {
+    const field = document.createElement('div');
+    field.className = 'webhook-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value ?? '';
+    if (type === 'number') {
+        input.min = '1';
+        input.style.width = '120px';
+    }
+    input.addEventListener('change', () => onChange(input.value));
+    field.appendChild(label);
+    field.appendChild(input);
+    return field;
+}
+
+function addEscalationStage() {
+    const last = escalationStages[escalationStages.length - 1];
+    escalationStages.push({
+        id: Date.now().toString(36),
+        name: 'Reminder',
+        enabled: true,
+        delayMinutes: (last?.delayMinutes || 0) + 15,
+        rosteredPercent: 100,
+        recipients: 'dsp'
+    });
+    renderEscalationStages();
+}
+
+function removeEscalationStage(stageId) {
+    escalationStages = escalationStages.filter(stage => stage.id !== stageId);
+    renderEscalationStages();
+}
+
+async function saveEscalationLadder() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'updateEscalationLadder', stages: escalationStages });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not accept the escalation ladder');
+        }
+        escalationStages = response.stages || [];
+        renderEscalationStages();
+        // Removed stages lose their templates and new ones get theirs
+        await loadMessageTemplates();
+        showToast('Escalation ladder saved', 'success');
+    } catch (error) {
+        console.error('❌ Error saving escalation ladder:', error);
+        showToast('Failed to save escalation ladder', 'error');
+    }
+}
@@ -38,40 +38,16 @@ function setupEventListeners() {
         });
     }
 
-    Object.entries(SERVICE_TYPES).forEach(([serviceType, config]) => {
-        const element = elements[config.elementId];
-        const timingElement = elements[config.timingId];
-        if (!element) return;
-        element.addEventListener('change', async (e) => {
-            if (isLoading) return;
-            const enabled = e.target.checked;
-            if (timingElement) {
-                timingElement.style.display = enabled ? 'block' : 'none';
-            }
-            try {
-                await saveServiceTypeSettings();
-                showToast(`${config.name} ${enabled ? 'enabled' : 'disabled'}`, 'success');
-                setTimeout(() => loadAlarmStatus(), 1000);
-            } catch (error) {
-                console.error(`❌ Error updating ${serviceType} settings:`, error);
-                showToast(`Failed to update ${config.name} settings`, 'error');
-                e.target.checked = !enabled;
-                if (timingElement) {
-                    timingElement.style.display = !enabled ? 'block' : 'none';
-                }
-            }
-        });
-    });
-
     setupBatchInputListeners();
 
-    [elements.paidTimeMinutes, elements.formatChimeManual, elements.serviceAreaId]
+    [elements.paidTimeMinutes, elements.formatChimeManual, elements.stationName, elements.serviceAreaId, elements.pageReadyTimeoutSeconds, elements.pageReadyRetries,
+        elements.rosterToleranceUnder, elements.rosterToleranceOver, elements.overRosterFollowUpMinutes]
         .filter(Boolean)
         .forEach(el => {
             el.addEventListener('change', saveGeneralSettings);
             el.addEventListener('blur', saveGeneralSettings);
         });
-    [elements.schedulingUrl, elements.routePlanningUrl]
+    [elements.schedulingUrl, elements.routePlanningUrl, elements.stationLeadWebhookUrl]
         .filter(Boolean)
         .forEach(el => {
             el.addEventListener('change', saveGeneralSettings);
@@ -110,6 +86,21 @@ function setupEventListeners() {
         elements.failedChunkSize.addEventListener('change', saveGeneralSettings);
         elements.failedChunkSize.addEventListener('blur', saveGeneralSettings);
     }
+    if (elements.webhookHealthCheckEnabled) {
+        elements.webhookHealthCheckEnabled.addEventListener('change', async () => {
+            await saveGeneralSettings();
+            try { await browser.runtime.sendMessage({ action: 'configureWebhookHealthAlarm' }); } catch {}
+        });
+    }
+    if (elements.webhookHealthCheckTime) {
+        elements.webhookHealthCheckTime.addEventListener('change', async () => {
+            await saveGeneralSettings();
+            try { await browser.runtime.sendMessage({ action: 'configureWebhookHealthAlarm' }); } catch {}
+        });
+    }
+    if (elements.testAllWebhooks) {
+        elements.testAllWebhooks.addEventListener('click', testAllWebhooks);
+    }
     if (elements.failedAutoEnabled) {
         elements.failedAutoEnabled.addEventListener('change', async (e) => {
             await saveGeneralSettings();
@@ -191,6 +182,88 @@ function setupEventListeners() {
         sendBackbriefNowBtn.addEventListener('click', sendReattemptsUsingBackbrief);
     }
 
+    if (elements.applyHistoryFilters) {
+        elements.applyHistoryFilters.addEventListener('click', loadRosterHistory);
+    }
+    if (elements.historyRetentionDays) {
+        elements.historyRetentionDays.addEventListener('change', saveGeneralSettings);
+        elements.historyRetentionDays.addEventListener('blur', saveGeneralSettings);
+    }
+    if (elements.applyAuditFilters) {
+        elements.applyAuditFilters.addEventListener('click', loadMessageAudit);
+    }
+    if (elements.auditSearch) {
+        elements.auditSearch.addEventListener('keydown', event => {
+            if (event.key === 'Enter') loadMessageAudit();
+        });
+    }
+    if (elements.exportAudit) {
+        elements.exportAudit.addEventListener('click', exportMessageAudit);
+    }
+    if (elements.clearAudit) {
+        elements.clearAudit.addEventListener('click', clearMessageAuditLog);
+    }
+    if (elements.refreshAckHistory) {
+        elements.refreshAckHistory.addEventListener('click', loadAcknowledgementHistory);
+    }
+    if (elements.clearRosterHistory) {
+        elements.clearRosterHistory.addEventListener('click', async () => {
+            if (!confirm('Delete all stored roster check history?')) return;
+            try {
+                await browser.runtime.sendMessage({ action: 'clearRosterHistory' });
+                showToast('Roster history cleared', 'success');
+                await loadRosterHistory();
+            } catch (e) {
+                showToast('Clear failed: ' + (e.message || 'unknown error'), 'error');
+            }
+        });
+    }
+
+    if (elements.addEscalationStage) {
+        elements.addEscalationStage.addEventListener('click', addEscalationStage);
+    }
+    if (elements.saveEscalationLadder) {
+        elements.saveEscalationLadder.addEventListener('click', saveEscalationLadder);
+    }
+    if (elements.serviceTypeInference) {
+        elements.serviceTypeInference.addEventListener('change', saveGeneralSettings);
+    }
+    if (elements.acceptInferenceSuggestion) {
+        elements.acceptInferenceSuggestion.addEventListener('click', acceptInferenceSuggestion);
+    }
+    if (elements.dismissInferenceSuggestion) {
+        elements.dismissInferenceSuggestion.addEventListener('click', dismissInferenceSuggestion);
+    }
+    if (elements.templateType) {
+        elements.templateType.addEventListener('change', renderMessageTemplate);
+        elements.templateLanguage.addEventListener('change', renderMessageTemplate);
+        elements.defaultMessageLanguage.addEventListener('change', saveMessageLanguages);
+        elements.templateText.addEventListener('input', renderTemplatePreview);
+        elements.saveTemplate.addEventListener('click', saveMessageTemplate);
+        elements.resetTemplate.addEventListener('click', resetMessageTemplate);
+    }
+    if (elements.enableDryRun) {
+        elements.enableDryRun.addEventListener('change', saveDryRunSetting);
+    }
+    if (elements.refreshOutbox) {
+        elements.refreshOutbox.addEventListener('click', loadDryRunOutbox);
+    }
+    if (elements.clearOutbox) {
+        elements.clearOutbox.addEventListener('click', clearDryRunOutbox);
+    }
+    if (elements.addServiceType) {
+        elements.addServiceType.addEventListener('click', addServiceType);
+    }
+    if (elements.saveServiceTypeRegistry) {
+        elements.saveServiceTypeRegistry.addEventListener('click', saveServiceTypeRegistry);
+    }
+    if (elements.addStation) {
+        elements.addStation.addEventListener('click', addStation);
+    }
+    if (elements.saveStations) {
+        elements.saveStations.addEventListener('click', saveStations);
+    }
+
     document.addEventListener('keydown', (e) => {
         if ((e.ctrlKey || e.metaKey) && e.key === 's') {
             e.preventDefault();
@@ -0,0 +1,158 @@
+const HISTORY_CHECK_LABELS = {
+    scheduled: 'Scheduled',
+    manual: 'Manual',
+    followUp: 'Follow-up',
+    reminder: 'Deadline reminder'
+};
+
+function getHistoryFilters() {
+    return {
+        dsp: (elements.historyDsp?.value || '').trim(),
+        serviceType: elements.historyServiceType?.value || '',
+        from: elements.historyFrom?.value || '',
+        to: elements.historyTo?.value || ''
+    };
+}
+
+async function loadRosterHistory() {
+    try {
+        const response = await browser.runtime.sendMessage({
+            action: 'getRosterHistory',
+            filters: getHistoryFilters()
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || 'History unavailable');
+        }
+        renderHistorySummary(response.entries || []);
+        renderHistoryTable(response.entries || [], response.truncated);
+    } catch (error) {
+        console.error('❌ Error loading roster history:', error);
+        showToast('Failed to load roster history', 'error');
+    }
+}
+
+function renderHistorySummary(entries) {
+    const container = elements.historySummary;
+    if (!container) return;
+    container.innerHTML = '';
+    if (entries.length === 0) return;
+
+    const byDsp = {};
+    entries.forEach(entry => {
+        const stats = byDsp[entry.dsp] || (byDsp[entry.dsp] = { checks: 0, mismatched: 0, alerts: 0 });
+        stats.checks++;
+        if (entry.mismatch) stats.mismatched++;
+        if (entry.alertSent) stats.alerts++;
+    });
+
+    const rows = Object.entries(byDsp)
+        .map(([dsp, stats]) => [
+            dsp,
+            stats.checks,
+            stats.mismatched,
+            `${Math.round((stats.mismatched / stats.checks) * 100)}%`,
+            stats.alerts
+        ])
+        .sort((a, b) => b[2] - a[2] || a[0].localeCompare(b[0]));
+
+    container.appendChild(buildHistoryTable(['DSP', 'Checks', 'Mismatched', 'Mismatch rate', 'Alerts sent'], rows));
+}
+
+function renderHistoryTable(entries, truncated) {
+    const container = elements.historyResults;
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (entries.length === 0) {
+        const span = document.createElement('span');
+        span.textContent = 'No checks recorded for these filters';
+        container.appendChild(span);
+        return;
+    }
+
+    const rows = entries.map(entry => [
+        new Date(entry.timestamp).toLocaleString(),
+        entry.date,
+        SERVICE_TYPES[entry.serviceType]?.name || entry.serviceType,
+        HISTORY_CHECK_LABELS[entry.checkType] || entry.checkType,
+        entry.dspName || entry.dsp,
+        entry.confirmed,
+        entry.rostered,
+        entry.alertSent ? 'Yes' : 'No'
+    ]);
+    const table = buildHistoryTable(['Checked at', 'Roster date', 'Service type', 'Check', 'DSP', 'Accepted', 'Rostered', 'Alert sent'], rows);
+    entries.forEach((entry, i) => {
+        if (entry.mismatch) table.tBodies[0].rows[i].classList.add('mismatch');
+    });
+    container.appendChild(table);
+
+    if (truncated) {
+        const note = document.createElement('small');
+        note.textContent = `Showing the latest ${entries.length} rows. Narrow the filters to see older checks.`;
+        container.appendChild(note);
+    }
+}
+
+const ACK_SOURCE_LABELS = {
+    popup: 'Popup',
+    notification: 'Notification',
+    table: 'Scheduling table'
+};
+
+async function loadAcknowledgementHistory() {
+    const container = elements.ackHistoryResults;
+    if (!container) return;
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getAcknowledgementHistory' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Acknowledgements unavailable');
+        }
+        container.innerHTML = '';
+        const entries = response.entries || [];
+        if (entries.length === 0) {
+            const span = document.createElement('span');
+            span.textContent = 'No DSP has been acknowledged yet';
+            container.appendChild(span);
+            return;
+        }
+
+        const rows = entries.map(entry => [
+            new Date(entry.acknowledgedAt).toLocaleString(),
+            entry.dsp,
+            SERVICE_TYPES[entry.serviceType]?.name || entry.serviceType,
+            entry.stationId === 'primary' ? 'Primary' : entry.stationId,
+            `${entry.snoozeMinutes} min`,
+            new Date(entry.until).toLocaleTimeString(),
+            ACK_SOURCE_LABELS[entry.source] || entry.source
+        ]);
+        container.appendChild(buildHistoryTable(['Acknowledged at', 'DSP', 'Service type', 'Station', 'Snooze', 'Until', 'From'], rows));
+    } catch (error) {
+        console.error('❌ Error loading acknowledgements:', error);
+        showToast('Failed to load acknowledgements', 'error');
+    }
+}
+
+function buildHistoryTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'history-table';
+
+    const headRow = document.createElement('tr');
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    table.createTHead().appendChild(headRow);
+
+    const body = table.createTBody();
+    rows.forEach(cells => {
+        const tr = document.createElement('tr');
+        cells.forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = String(value ?? '');
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+    return table;
+}
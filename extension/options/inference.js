@@ -0,0 +1,131 @@
+const INFERENCE_SOURCE_LABELS = {
+    auto: 'Applied automatically',
+    accepted: 'Suggestion accepted',
+    dismissed: 'Suggestion dismissed'
+};
+
+async function loadServiceTypeInference() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getServiceTypeInference' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return inference state');
+        }
+        serviceTypePins = response.pins || {};
+        renderServiceTypePins();
+        renderInferenceSuggestion(response.suggestion);
+        renderInferenceStatus(response.lastInferredTypes, response.inferenceTimestamp);
+        renderInferenceLog(response.log || []);
+    } catch (error) {
+        console.error('❌ Error loading service type inference:', error);
+    }
+}
+
+function describeServiceTypes(ids) {
+    return ids.map(id => serviceTypeRegistry.find(entry => entry.id === id)?.shortName || id).join(', ');
+}
+
+function describeInferenceChanges(changes) {
+    const enable = Object.keys(changes).filter(id => changes[id]);
+    const disable = Object.keys(changes).filter(id => !changes[id]);
+    const parts = [];
+    if (enable.length) parts.push(`enable ${describeServiceTypes(enable)}`);
+    if (disable.length) parts.push(`disable ${describeServiceTypes(disable)}`);
+    return parts.join('; ') || 'no change';
+}
+
+function renderServiceTypePins() {
+    Object.entries(SERVICE_TYPES).forEach(([serviceType, config]) => {
+        const pin = elements[config.pinId];
+        if (pin) pin.style.display = serviceTypePins[serviceType] ? 'inline-block' : 'none';
+    });
+}
+
+function renderInferenceSuggestion(suggestion) {
+    const container = elements.inferenceSuggestion;
+    if (!container) return;
+    if (!suggestion || Object.keys(suggestion.changes || {}).length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    elements.inferenceSuggestionText.textContent =
+        `Detected ${describeServiceTypes(suggestion.detectedTypes)} on the Scheduling page. Suggested: ${describeInferenceChanges(suggestion.changes)}.`;
+    elements.inferenceSuggestionTime.textContent = suggestion.skipped?.length
+        ? `Pinned and left alone: ${describeServiceTypes(suggestion.skipped)}`
+        : `Detected ${new Date(suggestion.detectedAt).toLocaleString()}`;
+    container.style.display = 'block';
+}
+
+function renderInferenceStatus(lastInferredTypes, inferenceTimestamp) {
+    const container = elements.inferenceStatus;
+    if (!container) return;
+    if (!Array.isArray(lastInferredTypes) || lastInferredTypes.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    elements.detectedTypes.textContent = describeServiceTypes(lastInferredTypes);
+    elements.inferenceTime.textContent = `Last checked: ${inferenceTimestamp ? new Date(inferenceTimestamp).toLocaleString() : 'recently'}`;
+    container.style.display = 'block';
+}
+
+function renderInferenceLog(log) {
+    const container = elements.inferenceLog;
+    if (!container) return;
+    container.innerHTML = '';
+    if (log.length === 0) {
+        const span = document.createElement('span');
+        span.textContent = 'Auto-detection has not changed any service type yet';
+        container.appendChild(span);
+        return;
+    }
+    const rows = log.map(entry => [
+        new Date(entry.at).toLocaleString(),
+        INFERENCE_SOURCE_LABELS[entry.source] || entry.source,
+        describeServiceTypes(entry.detectedTypes || []),
+        entry.source === 'dismissed' ? '—' : describeInferenceChanges(entry.changes || {}),
+        describeServiceTypes(entry.skipped || []) || '—'
+    ]);
+    container.appendChild(buildHistoryTable(['When', 'Action', 'Detected', 'Changes', 'Pinned (skipped)'], rows));
+}
+
+async function setServiceTypePinned(serviceType, pinned) {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'setServiceTypePinned', serviceType, pinned });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not update the pin');
+        }
+        serviceTypePins = response.pins || {};
+        renderServiceTypePins();
+        if (!pinned) {
+            showToast(`${SERVICE_TYPES[serviceType]?.name || serviceType} unpinned`, 'success');
+        }
+    } catch (error) {
+        console.error('❌ Error updating service type pin:', error);
+        showToast('Failed to update pin', 'error');
+    }
+}
+
+async function acceptInferenceSuggestion() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'acceptServiceTypeSuggestion' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not apply the suggestion');
+        }
+        await loadServiceTypeSettings();
+        await loadServiceTypeInference();
+        showToast('Detected service types applied', 'success');
+        setTimeout(() => loadAlarmStatus(), 1000);
+    } catch (error) {
+        console.error('❌ Error accepting service type suggestion:', error);
+        showToast('Failed to apply suggestion: ' + (error.message || 'unknown error'), 'error');
+    }
+}
+
+async function dismissInferenceSuggestion() {
+    try {
+        await browser.runtime.sendMessage({ action: 'dismissServiceTypeSuggestion' });
+        await loadServiceTypeInference();
+    } catch (error) {
+        console.error('❌ Error dismissing service type suggestion:', error);
+        showToast('Failed to dismiss suggestion', 'error');
+    }
+}
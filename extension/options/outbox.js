@@ -0,0 +1,72 @@
+async function loadDryRunOutbox() {
+    const container = elements.dryRunOutbox;
+    if (!container) return;
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getDryRunOutbox' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Outbox unavailable');
+        }
+        if (elements.enableDryRun) elements.enableDryRun.checked = response.enabled === true;
+        renderDryRunOutbox(response.entries || []);
+    } catch (error) {
+        console.error('❌ Error loading dry-run outbox:', error);
+        showToast('Failed to load outbox', 'error');
+    }
+}
+
+function renderDryRunOutbox(entries) {
+    const container = elements.dryRunOutbox;
+    container.innerHTML = '';
+    if (entries.length === 0) {
+        const span = document.createElement('span');
+        span.textContent = 'Outbox is empty';
+        container.appendChild(span);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'outbox-entry';
+
+        const title = document.createElement('strong');
+        const station = entry.stationName || (entry.stationId === 'primary' ? 'Primary' : entry.stationId);
+        title.textContent = `${WebhookDestinations.PROVIDERS.find(p => p.id === entry.channel)?.name || entry.channel} → ${entry.target}${entry.destination ? ` (${entry.destination})` : ''} · ${station}`;
+        const meta = document.createElement('small');
+        meta.textContent = `${new Date(entry.at).toLocaleString()} · ${entry.jobLabel}`;
+        const url = document.createElement('small');
+        url.textContent = entry.url;
+        const body = document.createElement('pre');
+        body.textContent = entry.message;
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.appendChild(url);
+        item.appendChild(body);
+        container.appendChild(item);
+    });
+}
+
+async function saveDryRunSetting(e) {
+    if (isLoading) return;
+    const enabled = e.target.checked;
+    try {
+        await browser.storage.local.set({ dryRunEnabled: enabled });
+        showToast(enabled ? 'Dry run on: messages go to the outbox' : 'Dry run off: messages are sent for real', enabled ? 'warning' : 'success');
+    } catch (error) {
+        console.error('❌ Error saving dry-run setting:', error);
+        showToast('Failed to update dry run', 'error');
+        e.target.checked = !enabled;
+    }
+}
+
+async function clearDryRunOutbox() {
+    if (!confirm('Delete every message in the dry-run outbox?')) return;
+    try {
+        await browser.runtime.sendMessage({ action: 'clearDryRunOutbox' });
+        renderDryRunOutbox([]);
+        showToast('Outbox cleared', 'success');
+    } catch (error) {
+        console.error('❌ Error clearing dry-run outbox:', error);
+        showToast('Failed to clear outbox', 'error');
+    }
+}
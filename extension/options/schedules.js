@@ -0,0 +1,189 @@
+// Weekday order shown in the editor (Monday first); values use Date#getDay() numbering
+const WEEKDAY_OPTIONS = [
+    { day: 1, label: 'Mon' },
+    { day: 2, label: 'Tue' },
+    { day: 3, label: 'Wed' },
+    { day: 4, label: 'Thu' },
+    { day: 5, label: 'Fri' },
+    { day: 6, label: 'Sat' },
+    { day: 0, label: 'Sun' }
+];
+
+async function loadCheckSchedules() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getCheckSchedules' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return schedules');
+        }
+        checkSchedules = response.schedules || {};
+    } catch (error) {
+        console.warn('⚠️ Could not load check schedules from background, using stored copy:', error);
+        const { checkSchedules: stored = {} } = await browser.storage.local.get('checkSchedules');
+        checkSchedules = stored;
+    }
+
+    Object.keys(SERVICE_TYPES).forEach(serviceType => {
+        if (!Array.isArray(checkSchedules[serviceType])) {
+            checkSchedules[serviceType] = [];
+        }
+        renderScheduleEditor(serviceType);
+    });
+}
+
+function renderScheduleEditor(serviceType) {
+    const config = SERVICE_TYPES[serviceType];
+    const container = config && elements[config.scheduleId];
+    if (!container) return;
+
+    while (container.firstChild) {
+        container.removeChild(container.firstChild);
+    }
+
+    const entries = checkSchedules[serviceType] || [];
+    entries.forEach(entry => {
+        container.appendChild(createScheduleRow(serviceType, entry));
+    });
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn btn-compact';
+    addButton.textContent = '+ Add check';
+    addButton.addEventListener('click', () => addScheduleCheck(serviceType));
+    container.appendChild(addButton);
+
+    updateScheduleLabels(serviceType);
+}
+
+function createScheduleRow(serviceType, entry) {
+    const row = document.createElement('div');
+    row.className = 'schedule-row';
+    row.setAttribute('data-check-id', entry.id);
+
+    const timeInput = document.createElement('input');
+    timeInput.type = 'time';
+    timeInput.value = entry.time;
+    timeInput.setAttribute('aria-label', 'Check time');
+    timeInput.addEventListener('change', async () => {
+        if (!timeInput.value) return;
+        entry.time = timeInput.value;
+        await saveCheckSchedules(serviceType);
+    });
+    row.appendChild(timeInput);
+
+    const days = document.createElement('div');
+    days.className = 'weekday-toggles';
+    WEEKDAY_OPTIONS.forEach(({ day, label }) => {
+        const dayLabel = document.createElement('label');
+        dayLabel.className = 'weekday-toggle';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = entry.days.includes(day);
+        checkbox.addEventListener('change', async () => {
+            entry.days = checkbox.checked
+                ? [...entry.days, day]
+                : entry.days.filter(d => d !== day);
+            await saveCheckSchedules(serviceType);
+        });
+
+        const text = document.createElement('span');
+        text.textContent = label;
+
+        dayLabel.appendChild(checkbox);
+        dayLabel.appendChild(text);
+        days.appendChild(dayLabel);
+    });
+    row.appendChild(days);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-compact';
+    removeButton.textContent = 'Remove';
+    removeButton.setAttribute('aria-label', `Remove ${entry.time} check`);
+    removeButton.addEventListener('click', () => removeScheduleCheck(serviceType, entry.id));
+    row.appendChild(removeButton);
+
+    // Checks at or after a deadline the user set still record mismatches but alert no one
+    const deadline = rosterDeadlines[serviceType];
+    if (deadline?.time && !deadline.isDefault && entry.time >= deadline.time) {
+        const note = document.createElement('small');
+        note.className = 'schedule-note';
+        note.textContent = `After the ${deadline.time} roster deadline: mismatches are recorded but no alerts are sent`;
+        row.appendChild(note);
+    }
+
+    return row;
+}
+
+async function addScheduleCheck(serviceType) {
+    const entries = checkSchedules[serviceType] || [];
+    entries.push({
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        time: '12:00',
+        days: WEEKDAY_OPTIONS.map(o => o.day)
+    });
+    checkSchedules[serviceType] = entries;
+    await saveCheckSchedules(serviceType);
+}
+
+async function removeScheduleCheck(serviceType, checkId) {
+    checkSchedules[serviceType] = (checkSchedules[serviceType] || []).filter(entry => entry.id !== checkId);
+    await saveCheckSchedules(serviceType);
+}
+
+async function saveCheckSchedules(serviceType) {
+    try {
+        console.log('💾 Saving check schedules...', checkSchedules);
+        const response = await browser.runtime.sendMessage({
+            action: 'updateCheckSchedules',
+            schedules: checkSchedules
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background rejected schedules');
+        }
+        checkSchedules = response.schedules || checkSchedules;
+        showToast(`${SERVICE_TYPES[serviceType]?.name || serviceType} schedule saved`, 'success');
+        setTimeout(() => loadAlarmStatus(), 500);
+    } catch (error) {
+        console.error('❌ Error saving check schedules:', error);
+        showToast('Failed to save check schedule', 'error');
+    }
+    renderScheduleEditor(serviceType);
+}
+
+function updateScheduleLabels(serviceType) {
+    const config = SERVICE_TYPES[serviceType];
+    if (!config) return;
+    const entries = (checkSchedules[serviceType] || []).slice().sort((a, b) => a.time.localeCompare(b.time));
+
+    const timingLabel = elements[config.timingLabelId];
+    if (timingLabel) {
+        timingLabel.textContent = entries.length
+            ? `Notifications: ${entries.map(e => `${e.time} (${formatWeekdays(e.days)})`).join(', ')}`
+            : 'Notifications: none scheduled';
+    }
+
+    const summary = elements[config.summaryId];
+    if (summary) {
+        summary.textContent = describeSchedule(entries);
+    }
+}
+
+function describeSchedule(entries) {
+    if (!entries.length) return 'No automatic checks scheduled';
+    const times = entries.map(e => e.time);
+    const timeText = times.length > 1
+        ? `${times.slice(0, -1).join(', ')} and ${times[times.length - 1]}`
+        : times[0];
+    const dayLabels = new Set(entries.map(e => formatWeekdays(e.days)));
+    const dayText = dayLabels.size === 1 ? Array.from(dayLabels)[0] : 'on varying days';
+    return `Automatic check${entries.length > 1 ? 's' : ''} at ${timeText} ${dayText}`;
+}
+
+function formatWeekdays(days) {
+    if (!Array.isArray(days) || days.length === 0) return 'no days';
+    if (days.length === 7) return 'daily';
+    const weekdays = [1, 2, 3, 4, 5];
+    if (days.length === 5 && weekdays.every(d => days.includes(d))) return 'Mon–Fri';
+    return WEEKDAY_OPTIONS.filter(o => days.includes(o.day)).map(o => o.label).join(', ');
+}
@@ -0,0 +1,328 @@
+const SERVICE_TYPE_DATE_OPTIONS = [
+    { offset: 0, label: 'Today' },
+    { offset: 1, label: 'Tomorrow' }
+];
+
+// Element ids per service type; built-in types keep the ids the page has always used
+function buildServiceTypeConfig(entries) {
+    return Object.fromEntries(entries.map(entry => [entry.id, {
+        name: entry.displayName,
+        elementId: `enable${entry.id.charAt(0).toUpperCase()}${entry.id.slice(1)}`,
+        timingId: `${entry.id}Timing`,
+        timingLabelId: `${entry.id}TimingLabel`,
+        summaryId: `${entry.id}ScheduleSummary`,
+        scheduleId: `${entry.id}Schedule`,
+        pinId: `${entry.id}Pin`
+    }]));
+}
+
+async function loadServiceTypeRegistry() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getServiceTypeRegistry' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return the service type registry');
+        }
+        serviceTypeRegistry = ServiceTypeRegistry.normalizeList(response.serviceTypes);
+    } catch (error) {
+        console.warn('⚠️ Could not load service type registry from background, using stored copy:', error);
+        serviceTypeRegistry = await ServiceTypeRegistry.load();
+    }
+    applyServiceTypeRegistry();
+}
+
+function applyServiceTypeRegistry() {
+    SERVICE_TYPES = buildServiceTypeConfig(serviceTypeRegistry);
+    renderServiceTypeSettings();
+    renderHistoryServiceTypeOptions();
+    renderServiceTypeRegistry();
+}
+
+// Enable toggle, schedule summary and schedule editor for each registry entry
+function renderServiceTypeSettings() {
+    const container = elements.serviceTypeSettings;
+    if (!container) return;
+    container.innerHTML = '';
+
+    Object.entries(SERVICE_TYPES).forEach(([serviceType, config]) => {
+        const block = document.createElement('div');
+        block.className = 'service-type-setting';
+
+        const toggleSetting = document.createElement('div');
+        toggleSetting.className = 'toggle-setting';
+        const info = document.createElement('div');
+        info.className = 'toggle-info';
+        const label = document.createElement('label');
+        label.className = 'toggle-label';
+        label.htmlFor = config.elementId;
+        label.textContent = config.name;
+        const summary = document.createElement('p');
+        summary.className = 'toggle-description';
+        summary.id = config.summaryId;
+        const pin = document.createElement('button');
+        pin.type = 'button';
+        pin.className = 'service-type-pin';
+        pin.textContent = '📌 Pinned · unpin';
+        pin.title = 'Set by hand, so auto-detection leaves it alone. Click to let detection change it again.';
+        pin.style.display = 'none';
+        pin.addEventListener('click', () => setServiceTypePinned(serviceType, false));
+        info.appendChild(label);
+        info.appendChild(summary);
+        info.appendChild(pin);
+
+        const toggleSwitch = document.createElement('div');
+        toggleSwitch.className = 'toggle-switch';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = config.elementId;
+        const switchLabel = document.createElement('label');
+        switchLabel.htmlFor = config.elementId;
+        switchLabel.className = 'switch';
+        toggleSwitch.appendChild(checkbox);
+        toggleSwitch.appendChild(switchLabel);
+        toggleSetting.appendChild(info);
+        toggleSetting.appendChild(toggleSwitch);
+
+        const timing = document.createElement('div');
+        timing.className = 'service-timing';
+        timing.id = config.timingId;
+        timing.style.display = 'none';
+        const timingInfo = document.createElement('div');
+        timingInfo.className = 'timing-info';
+        timingInfo.appendChild(createClockIcon());
+        const timingLabel = document.createElement('span');
+        timingLabel.id = config.timingLabelId;
+        timingInfo.appendChild(timingLabel);
+        const schedule = document.createElement('div');
+        schedule.className = 'schedule-editor';
+        schedule.id = config.scheduleId;
+        schedule.setAttribute('data-service-type', serviceType);
+        timing.appendChild(timingInfo);
+        timing.appendChild(schedule);
+
+        block.appendChild(toggleSetting);
+        block.appendChild(timing);
+        container.appendChild(block);
+
+        elements[config.elementId] = checkbox;
+        elements[config.timingId] = timing;
+        elements[config.timingLabelId] = timingLabel;
+        elements[config.summaryId] = summary;
+        elements[config.scheduleId] = schedule;
+        elements[config.pinId] = pin;
+        attachServiceTypeToggle(serviceType, config);
+    });
+    renderServiceTypePins();
+}
+
+function createClockIcon() {
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('width', '14');
+    svg.setAttribute('height', '14');
+    svg.setAttribute('viewBox', '0 0 24 24');
+    svg.setAttribute('fill', 'none');
+    const circle = document.createElementNS(ns, 'circle');
+    circle.setAttribute('cx', '12');
+    circle.setAttribute('cy', '12');
+    circle.setAttribute('r', '10');
+    circle.setAttribute('stroke', 'currentColor');
+    circle.setAttribute('stroke-width', '2');
+    const hands = document.createElementNS(ns, 'path');
+    hands.setAttribute('d', 'M12 6v6l4 2');
+    hands.setAttribute('stroke', 'currentColor');
+    hands.setAttribute('stroke-width', '2');
+    hands.setAttribute('stroke-linecap', 'round');
+    svg.appendChild(circle);
+    svg.appendChild(hands);
+    return svg;
+}
+
+function attachServiceTypeToggle(serviceType, config) {
+    const element = elements[config.elementId];
+    const timingElement = elements[config.timingId];
+    if (!element) return;
+    element.addEventListener('change', async (e) => {
+        if (isLoading) return;
+        const enabled = e.target.checked;
+        if (timingElement) {
+            timingElement.style.display = enabled ? 'block' : 'none';
+        }
+        try {
+            await saveServiceTypeSettings();
+            // A choice made by hand is pinned so auto-detection never reverts it
+            await setServiceTypePinned(serviceType, true);
+            showToast(`${config.name} ${enabled ? 'enabled' : 'disabled'}`, 'success');
+            setTimeout(() => loadAlarmStatus(), 1000);
+        } catch (error) {
+            console.error(`❌ Error updating ${serviceType} settings:`, error);
+            showToast(`Failed to update ${config.name} settings`, 'error');
+            e.target.checked = !enabled;
+            if (timingElement) {
+                timingElement.style.display = !enabled ? 'block' : 'none';
+            }
+        }
+    });
+}
+
+function renderHistoryServiceTypeOptions() {
+    const select = elements.historyServiceType;
+    if (!select) return;
+    const current = select.value;
+    while (select.options.length > 1) {
+        select.remove(1);
+    }
+    serviceTypeRegistry.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.displayName;
+        select.appendChild(option);
+    });
+    select.value = SERVICE_TYPES[current] ? current : '';
+}
+
+// Registry editor; edits stay local until "Save Service Types"
+function renderServiceTypeRegistry() {
+    const container = elements.serviceTypeRegistry;
+    if (!container) return;
+    container.innerHTML = '';
+
+    serviceTypeRegistry.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'escalation-stage';
+
+        const fields = document.createElement('div');
+        fields.className = 'escalation-stage-row';
+        const idField = createRegistryField('ID', entry.id, value => { entry.id = value.trim(); });
+        // Ids of saved types are referenced by schedules, stations and history
+        idField.querySelector('input').disabled = !entry.isNew;
+        fields.appendChild(idField);
+        fields.appendChild(createRegistryField('Display name', entry.displayName, value => { entry.displayName = value; }));
+        fields.appendChild(createRegistryField('Short name', entry.shortName, value => { entry.shortName = value; }));
+        fields.appendChild(createRegistryField('Page labels', entry.pageLabels.join(', '), value => {
+            entry.pageLabels = value.split(',').map(label => label.trim()).filter(Boolean);
+        }, 'Comma-separated Scheduling page section names'));
+
+        const dateField = document.createElement('div');
+        dateField.className = 'webhook-field';
+        const dateLabel = document.createElement('label');
+        dateLabel.textContent = 'Roster date';
+        const dateSelect = document.createElement('select');
+        SERVICE_TYPE_DATE_OPTIONS.forEach(({ offset, label }) => {
+            const option = document.createElement('option');
+            option.value = String(offset);
+            option.textContent = label;
+            dateSelect.appendChild(option);
+        });
+        dateSelect.value = String(entry.dateOffset);
+        dateSelect.addEventListener('change', () => { entry.dateOffset = parseInt(dateSelect.value, 10); });
+        dateField.appendChild(dateLabel);
+        dateField.appendChild(dateSelect);
+        fields.appendChild(dateField);
+
+        fields.appendChild(createRegistryField('Short colour', entry.colors.under, value => {
+            entry.colors.under = value;
+        }, 'Row highlight when a DSP is short', 'color'));
+        fields.appendChild(createRegistryField('Extra colour', entry.colors.over, value => {
+            entry.colors.over = value;
+        }, 'Row highlight when a DSP rosters too many', 'color'));
+        // Defaults only: a deadline or schedule saved in the sections above takes precedence
+        fields.appendChild(createRegistryField('Default deadline', entry.deadline, value => {
+            entry.deadline = value.trim();
+        }, 'HH:MM, empty for none. Quoted in messages; only a deadline set under Roster Deadlines stops alerts'));
+        fields.appendChild(createRegistryField('Default check times', entry.checkTimes.join(', '), value => {
+            entry.checkTimes = value.split(',').map(time => time.trim()).filter(Boolean);
+        }, 'Comma-separated HH:MM, checked every day'));
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn btn-secondary';
+        removeButton.textContent = 'Remove';
+        removeButton.disabled = serviceTypeRegistry.length <= 1;
+        removeButton.addEventListener('click', () => {
+            if (!confirm(`Remove ${entry.displayName || entry.id}? Its schedule and deadline stop applying once saved.`)) return;
+            serviceTypeRegistry.splice(index, 1);
+            renderServiceTypeRegistry();
+        });
+        fields.appendChild(removeButton);
+
+        row.appendChild(fields);
+        container.appendChild(row);
+    });
+}
+
+function createRegistryField(labelText, value, onChange, hint, type = 'text') {
+    const field = document.createElement('div');
+    field.className = 'webhook-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value || '';
+    input.addEventListener('change', () => onChange(input.value));
+    field.appendChild(label);
+    field.appendChild(input);
+    if (hint) {
+        const small = document.createElement('small');
+        small.textContent = hint;
+        field.appendChild(small);
+    }
+    return field;
+}
+
+function addServiceType() {
+    serviceTypeRegistry.push({
+        id: '',
+        name: '',
+        displayName: '',
+        shortName: '',
+        pageLabels: [],
+        dateOffset: 0,
+        defaultEnabled: false,
+        colors: { ...ServiceTypeRegistry.DEFAULT_COLORS },
+        deadline: '',
+        checkTimes: [],
+        isNew: true
+    });
+    renderServiceTypeRegistry();
+}
+
+async function saveServiceTypeRegistry() {
+    const unnamed = serviceTypeRegistry.find(entry => !String(entry.id).replace(/[^A-Za-z0-9]/g, ''));
+    if (unnamed) {
+        showToast('Every service type needs an ID (letters and digits)', 'error');
+        return;
+    }
+    const unlabelled = serviceTypeRegistry.find(entry => entry.pageLabels.length === 0);
+    if (unlabelled) {
+        showToast(`${unlabelled.displayName || unlabelled.id} needs at least one page label`, 'error');
+        return;
+    }
+    const badTimes = serviceTypeRegistry.find(entry => (entry.deadline && !ServiceTypeRegistry.normalizeTime(entry.deadline))
+        || entry.checkTimes.some(time => !ServiceTypeRegistry.normalizeTime(time)));
+    if (badTimes) {
+        showToast(`${badTimes.displayName || badTimes.id} has a deadline or check time that is not HH:MM`, 'error');
+        return;
+    }
+
+    try {
+        const entries = serviceTypeRegistry.map(({ isNew, ...entry }) => ({
+            ...entry,
+            name: entry.name || entry.pageLabels[0]
+        }));
+        const response = await browser.runtime.sendMessage({ action: 'updateServiceTypeRegistry', serviceTypes: entries });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not accept the service type registry');
+        }
+        serviceTypeRegistry = ServiceTypeRegistry.normalizeList(response.serviceTypes);
+        applyServiceTypeRegistry();
+        await loadServiceTypeSettings();
+        await loadCheckSchedules();
+        await loadRosterDeadlines();
+        renderStationList();
+        showToast('Service types saved', 'success');
+        setTimeout(() => loadAlarmStatus(), 1000);
+    } catch (error) {
+        console.error('❌ Error saving service type registry:', error);
+        showToast('Failed to save service types: ' + (error.message || 'unknown error'), 'error');
+    }
+}
@@ -17,12 +17,23 @@ async function loadSettings() {
             elements.enableNotifications.checked = notificationsEnabled;
         }
 
+        await loadServiceTypeRegistry();
         await loadServiceTypeSettings();
+        await loadCheckSchedules();
         await loadGeneralSettings();
         await renderUrlPreviews();
         await loadWebhooks();
         await loadUploadedManifestStatus();
         await loadUploadedBackbriefStatus();
+        await loadRosterHistory();
+        await loadMessageAudit();
+        await loadAcknowledgementHistory();
+        await loadStations();
+        await loadEscalationLadder();
+        await loadRosterDeadlines();
+        await loadServiceTypeInference();
+        await loadDryRunOutbox();
+        await loadMessageTemplates();
 
         if (notificationsEnabled) {
             await loadAlarmStatus();
@@ -53,6 +64,15 @@ async function loadGeneralSettings() {
 
         if (elements.paidTimeMinutes) elements.paidTimeMinutes.value = paidTime;
         if (elements.formatChimeManual) elements.formatChimeManual.checked = chimeFmt;
+        if (elements.pageReadyTimeoutSeconds) elements.pageReadyTimeoutSeconds.value = Number.isFinite(settings.pageReadyTimeoutSeconds) ? settings.pageReadyTimeoutSeconds : 30;
+        if (elements.pageReadyRetries) elements.pageReadyRetries.value = Number.isFinite(settings.pageReadyRetries) ? settings.pageReadyRetries : 1;
+        if (elements.stationName) elements.stationName.value = settings.stationName || '';
+        if (elements.stationLeadWebhookUrl) elements.stationLeadWebhookUrl.value = settings.stationLeadWebhookUrl || '';
+        const tolerance = settings.rosterTolerance || {};
+        if (elements.rosterToleranceUnder) elements.rosterToleranceUnder.value = Number.isFinite(tolerance.under) ? tolerance.under : 0;
+        if (elements.rosterToleranceOver) elements.rosterToleranceOver.value = Number.isFinite(tolerance.over) ? tolerance.over : 0;
+        if (elements.overRosterFollowUpMinutes) elements.overRosterFollowUpMinutes.value = Number.isFinite(settings.overRosterFollowUpMinutes) ? settings.overRosterFollowUpMinutes : 0;
+        if (elements.serviceTypeInference) elements.serviceTypeInference.value = settings.serviceTypeInference || 'auto';
         if (elements.serviceAreaId) elements.serviceAreaId.value = serviceAreaId;
         if (elements.schedulingUrl) elements.schedulingUrl.value = schedulingBaseUrl;
         if (elements.routePlanningUrl) elements.routePlanningUrl.value = routePlanningBaseUrl;
@@ -78,6 +98,9 @@ async function loadGeneralSettings() {
         if (elements.failedChunkSize) elements.failedChunkSize.value = Number.isFinite(settings.failedChunkSize) ? settings.failedChunkSize : 20;
         if (elements.failedAutoEnabled) elements.failedAutoEnabled.checked = settings.failedAutoEnabled === true;
         if (elements.failedSendTime) elements.failedSendTime.value = settings.failedSendTime || '09:00';
+        if (elements.webhookHealthCheckEnabled) elements.webhookHealthCheckEnabled.checked = settings.webhookHealthCheckEnabled === true;
+        if (elements.webhookHealthCheckTime) elements.webhookHealthCheckTime.value = settings.webhookHealthCheckTime || '06:00';
+        if (elements.historyRetentionDays) elements.historyRetentionDays.value = Number.isFinite(settings.historyRetentionDays) ? settings.historyRetentionDays : 90;
         ['BUSINESS_CLOSED','LOCKER_ISSUE','UNABLE_TO_LOCATE_ADDRESS','UNABLE_TO_ACCESS','OTP_NOT_AVAILABLE','ITEMS_MISSING'].forEach(rid => {
             const el = elements['fr_' + rid]; if (el) el.checked = failedReasons.includes(rid);
         });
@@ -85,6 +108,14 @@ async function loadGeneralSettings() {
         console.warn('⚠️ Failed to load general settings, using defaults');
         if (elements.paidTimeMinutes) elements.paidTimeMinutes.value = 525;
         if (elements.formatChimeManual) elements.formatChimeManual.checked = true;
+        if (elements.pageReadyTimeoutSeconds) elements.pageReadyTimeoutSeconds.value = 30;
+        if (elements.pageReadyRetries) elements.pageReadyRetries.value = 1;
+        if (elements.stationName) elements.stationName.value = '';
+        if (elements.stationLeadWebhookUrl) elements.stationLeadWebhookUrl.value = '';
+        if (elements.rosterToleranceUnder) elements.rosterToleranceUnder.value = 0;
+        if (elements.rosterToleranceOver) elements.rosterToleranceOver.value = 0;
+        if (elements.overRosterFollowUpMinutes) elements.overRosterFollowUpMinutes.value = 0;
+        if (elements.serviceTypeInference) elements.serviceTypeInference.value = 'auto';
         if (elements.serviceAreaId) elements.serviceAreaId.value = '';
         if (elements.schedulingUrl) elements.schedulingUrl.value = '';
         if (elements.routePlanningUrl) elements.routePlanningUrl.value = '';
@@ -106,6 +137,9 @@ async function loadGeneralSettings() {
         if (elements.failedChunkSize) elements.failedChunkSize.value = 20;
         if (elements.failedAutoEnabled) elements.failedAutoEnabled.checked = false;
         if (elements.failedSendTime) elements.failedSendTime.value = '09:00';
+        if (elements.webhookHealthCheckEnabled) elements.webhookHealthCheckEnabled.checked = false;
+        if (elements.webhookHealthCheckTime) elements.webhookHealthCheckTime.value = '06:00';
+        if (elements.historyRetentionDays) elements.historyRetentionDays.value = 90;
         ['BUSINESS_CLOSED','LOCKER_ISSUE','UNABLE_TO_LOCATE_ADDRESS','UNABLE_TO_ACCESS','OTP_NOT_AVAILABLE','ITEMS_MISSING'].forEach(rid => {
             const el = elements['fr_' + rid]; if (el) el.checked = true;
         });
@@ -115,12 +149,8 @@ async function loadGeneralSettings() {
 async function loadServiceTypeSettings() {
     try {
         console.log('📡 Loading service type settings...');
-        const result = await browser.storage.local.get(['serviceTypes', 'lastInferredTypes', 'inferenceTimestamp']);
-        const serviceTypes = result.serviceTypes || {
-            cycle1: true,
-            samedayB: false,
-            samedayC: false
-        };
+        const result = await browser.storage.local.get(['serviceTypes']);
+        const serviceTypes = result.serviceTypes || ServiceTypeRegistry.defaultEnabledMap(serviceTypeRegistry);
 
         console.log('✅ Loaded service type settings:', serviceTypes);
 
@@ -134,40 +164,17 @@ async function loadServiceTypeSettings() {
                 timingElement.style.display = serviceTypes[serviceType] ? 'block' : 'none';
             }
         });
-
-        await displayInferenceStatus(result.lastInferredTypes, result.inferenceTimestamp);
     } catch (error) {
         console.error('❌ Error loading service type settings:', error);
-        Object.entries(SERVICE_TYPES).forEach(([serviceType, config]) => {
-            const element = elements[config.elementId];
+        serviceTypeRegistry.forEach(entry => {
+            const element = elements[SERVICE_TYPES[entry.id]?.elementId];
             if (element) {
-                element.checked = serviceType === 'cycle1';
+                element.checked = entry.defaultEnabled;
             }
         });
     }
 }
 
-async function displayInferenceStatus(lastInferredTypes, inferenceTimestamp) {
-    try {
-        const statusEl = document.getElementById('serviceTypeInferenceStatus');
-        if (!statusEl) return;
-        statusEl.textContent = '';
-
-        if (!Array.isArray(lastInferredTypes) || lastInferredTypes.length === 0) {
-            statusEl.textContent = 'No automatic detections yet';
-            statusEl.className = 'inference-status';
-            return;
-        }
-
-        const date = inferenceTimestamp ? new Date(inferenceTimestamp) : null;
-        const dateText = date ? date.toLocaleString() : 'recently';
-        statusEl.textContent = `Auto-detected ${lastInferredTypes.join(', ')} on ${dateText}`;
-        statusEl.className = 'inference-status detected';
-    } catch (error) {
-        console.error('❌ Error displaying inference status:', error);
-    }
-}
-
 async function saveGeneralSettings() {
     try {
         const paid = parseInt(elements.paidTimeMinutes?.value || '525', 10);
@@ -192,6 +199,8 @@ async function saveGeneralSettings() {
         const newSettings = {
             paidTimeMinutes,
             formatManualMessagesForChime,
+            stationName: (elements.stationName?.value || '').trim(),
+            stationLeadWebhookUrl: (elements.stationLeadWebhookUrl?.value || '').trim(),
             serviceAreaId,
             riskAlertsEnabled,
             riskDashboardUrl,
@@ -213,7 +222,18 @@ async function saveGeneralSettings() {
             failedChunkSize: pInt(elements.failedChunkSize?.value, 20),
             failedAutoEnabled: !!elements.failedAutoEnabled?.checked,
             failedSendTime: (elements.failedSendTime?.value || '09:00').trim(),
-            failedReasons: ['BUSINESS_CLOSED','LOCKER_ISSUE','UNABLE_TO_LOCATE_ADDRESS','UNABLE_TO_ACCESS','OTP_NOT_AVAILABLE','ITEMS_MISSING'].filter(rid => elements['fr_' + rid]?.checked)
+            webhookHealthCheckEnabled: !!elements.webhookHealthCheckEnabled?.checked,
+            webhookHealthCheckTime: (elements.webhookHealthCheckTime?.value || '06:00').trim(),
+            failedReasons: ['BUSINESS_CLOSED','LOCKER_ISSUE','UNABLE_TO_LOCATE_ADDRESS','UNABLE_TO_ACCESS','OTP_NOT_AVAILABLE','ITEMS_MISSING'].filter(rid => elements['fr_' + rid]?.checked),
+            historyRetentionDays: Math.max(1, pInt(elements.historyRetentionDays?.value, 90)),
+            pageReadyTimeoutSeconds: Math.max(5, pInt(elements.pageReadyTimeoutSeconds?.value, 30)),
+            pageReadyRetries: Math.max(0, pInt(elements.pageReadyRetries?.value, 1)),
+            rosterTolerance: {
+                under: Math.max(0, pInt(elements.rosterToleranceUnder?.value, 0)),
+                over: Math.max(0, pInt(elements.rosterToleranceOver?.value, 0))
+            },
+            overRosterFollowUpMinutes: Math.max(0, pInt(elements.overRosterFollowUpMinutes?.value, 0)),
+            serviceTypeInference: elements.serviceTypeInference?.value || 'auto'
         };
 
         const { schedulingBaseUrl, parsedServiceAreaId } = normalizeSchedulingUrl(schedulingRaw, serviceAreaId);
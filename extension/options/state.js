@@ -6,28 +6,20 @@ if (typeof browser === 'undefined' && typeof chrome !== 'undefined') {
 let isLoading = false;
 let webhookEntryCount = 0;
 let lastParsedManifestMap = null;
+let checkSchedules = {};
+let stationProfiles = [];
+let escalationStages = [];
+let rosterDeadlines = {};
+let serviceTypePins = {};
+let messageTemplates = {};
+let messageLanguages = { defaultLanguage: 'en', dsps: {} };
+// Last test result per webhook URL, from the background `webhookHealth` store
+let webhookHealth = {};
 
 // DOM cache
 let elements = {};
 
-// Service type configuration
-const SERVICE_TYPES = {
-    cycle1: {
-        name: 'Cycle 1 (Standard Parcel)',
-        times: ['14:00', '15:00'],
-        elementId: 'enableCycle1',
-        timingId: 'cycle1Timing'
-    },
-    samedayB: {
-        name: 'Sameday B (Multi-Use)',
-        times: ['10:00'],
-        elementId: 'enableSamedayB',
-        timingId: 'samedayBTiming'
-    },
-    samedayC: {
-        name: 'Sameday C (Sameday Parcel)',
-        times: ['14:15'],
-        elementId: 'enableSamedayC',
-        timingId: 'samedayCTiming'
-    }
-};
+// Service type registry entries and the per-type element ids derived from them
+// (see buildServiceTypeConfig in service-types.js)
+let serviceTypeRegistry = [];
+let SERVICE_TYPES = {};
@@ -0,0 +1,288 @@
+// Additional station profiles. The primary station keeps using the General,
+// Thresholds, Service Types and Webhooks tabs.
+const STATION_URL_FIELDS = [
+    { key: 'serviceAreaId', label: 'Service Area ID', type: 'text', placeholder: 'cb8028c6-af99-4e6d-a7d0-85c157e48f86' },
+    { key: 'schedulingBaseUrl', label: 'Scheduling Page URL (base)', type: 'url', placeholder: 'https://logistics.amazon.co.uk/internal/scheduling/dsps?serviceAreaId=...' },
+    { key: 'routePlanningBaseUrl', label: 'Route Planning URL (base)', type: 'url', placeholder: 'https://eu.route.planning.last-mile.a2z.com/route-planning/DHH1/7615...' },
+    { key: 'riskDashboardUrl', label: 'Mercury Dashboard URL', type: 'url', placeholder: 'https://c3.amazon.com/eu/mercury_amzl/#/dashboard/...' },
+    { key: 'failedBackbriefUrl', label: 'Backbrief Dashboard URL', type: 'url', placeholder: 'Defaults to the Mercury Dashboard URL' },
+    { key: 'leadWebhookUrl', label: 'Station Lead Webhook URL', type: 'url', placeholder: 'https://hooks.chime.aws/incomingwebhooks/...' }
+];
+
+// Drivers short / extra before a DSP counts as a mismatch on this station's page
+const STATION_TOLERANCE_FIELDS = [
+    { key: 'under', label: 'Short Tolerance (drivers)' },
+    { key: 'over', label: 'Extra Tolerance (drivers)' }
+];
+
+const STATION_THRESHOLD_FIELDS = [
+    { key: 'bc', label: 'Business Closed', float: false },
+    { key: 'bcResidential', label: 'BC Residential', float: false },
+    { key: 'cna', label: 'Customer Not Available', float: false },
+    { key: 'cnaOutlierFactor', label: 'CNA Outlier Factor', float: true },
+    { key: 'missing', label: 'Missing', float: false },
+    { key: 'uta', label: 'Unable to Access', float: false },
+    { key: 'utl', label: 'Unable to Locate', float: false },
+    { key: 'rejected', label: 'Rejected', float: false }
+];
+
+async function loadStations() {
+    try {
+        const { stations = [] } = await browser.storage.local.get('stations');
+        stationProfiles = Array.isArray(stations) ? stations : [];
+    } catch (error) {
+        console.error('❌ Error loading stations:', error);
+        stationProfiles = [];
+    }
+    renderStationList();
+}
+
+function renderStationList() {
+    const container = elements.stationList;
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (stationProfiles.length === 0) {
+        const span = document.createElement('span');
+        span.className = 'station-empty';
+        span.textContent = 'No additional stations. Checks, risk scans and reports run for the primary station only.';
+        container.appendChild(span);
+        return;
+    }
+
+    stationProfiles.forEach(station => {
+        container.appendChild(createStationEditor(station));
+    });
+}
+
+function createStationEditor(station) {
+    const editor = document.createElement('div');
+    editor.className = 'station-editor';
+    editor.setAttribute('data-station-id', station.id);
+
+    const header = document.createElement('div');
+    header.className = 'station-editor-header';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'station-name';
+    nameInput.placeholder = 'Station name (e.g. DHH2)';
+    nameInput.value = station.name || '';
+    nameInput.setAttribute('aria-label', 'Station name');
+    nameInput.addEventListener('input', () => { station.name = nameInput.value; });
+    header.appendChild(nameInput);
+
+    const enabledLabel = document.createElement('label');
+    enabledLabel.className = 'station-toggle';
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = station.enabled !== false;
+    enabledInput.addEventListener('change', () => { station.enabled = enabledInput.checked; });
+    const enabledText = document.createElement('span');
+    enabledText.textContent = 'Enabled';
+    enabledLabel.appendChild(enabledInput);
+    enabledLabel.appendChild(enabledText);
+    header.appendChild(enabledLabel);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-compact';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeStation(station.id));
+    header.appendChild(removeButton);
+    editor.appendChild(header);
+
+    const urlGrid = document.createElement('div');
+    urlGrid.className = 'station-grid';
+    STATION_URL_FIELDS.forEach(field => {
+        urlGrid.appendChild(createStationField(field.label, field.type, field.placeholder, station[field.key] || '', value => {
+            station[field.key] = value.trim();
+        }));
+    });
+    editor.appendChild(urlGrid);
+
+    const typeRow = document.createElement('div');
+    typeRow.className = 'station-service-types';
+    const typeTitle = document.createElement('small');
+    typeTitle.textContent = 'Service types checked for this station';
+    typeRow.appendChild(typeTitle);
+    station.serviceTypes = station.serviceTypes || ServiceTypeRegistry.defaultEnabledMap(serviceTypeRegistry);
+    Object.entries(SERVICE_TYPES).forEach(([serviceType, config]) => {
+        const label = document.createElement('label');
+        label.className = 'station-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = station.serviceTypes[serviceType] === true;
+        checkbox.addEventListener('change', () => { station.serviceTypes[serviceType] = checkbox.checked; });
+        const text = document.createElement('span');
+        text.textContent = config.name;
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        typeRow.appendChild(label);
+    });
+    editor.appendChild(typeRow);
+
+    // Daily check times per service type; blank follows the primary station's schedule
+    const scheduleGrid = document.createElement('div');
+    scheduleGrid.className = 'station-grid';
+    station.checkSchedules = station.checkSchedules || {};
+    Object.entries(SERVICE_TYPES).forEach(([serviceType, config]) => {
+        const current = station.checkSchedules[serviceType];
+        const field = createStationField(`${config.name} Check Times`, 'text', 'Primary station\'s schedule',
+            Array.isArray(current) ? current.map(entry => entry.time).join(', ') : '', value => {
+                const times = Array.from(new Set(value.split(',').map(time => ServiceTypeRegistry.normalizeTime(time)).filter(Boolean))).sort();
+                if (times.length === 0) {
+                    delete station.checkSchedules[serviceType];
+                } else {
+                    const previous = station.checkSchedules[serviceType] || [];
+                    station.checkSchedules[serviceType] = times.map((time, index) => ({
+                        id: String.fromCharCode(97 + index),
+                        time,
+                        days: previous.find(entry => entry.time === time)?.days || WEEKDAY_OPTIONS.map(option => option.day)
+                    }));
+                }
+                field.querySelector('input').value = times.join(', ');
+            });
+        scheduleGrid.appendChild(field);
+    });
+    editor.appendChild(scheduleGrid);
+
+    const thresholdGrid = document.createElement('div');
+    thresholdGrid.className = 'station-grid station-thresholds';
+    station.riskThresholds = station.riskThresholds || {};
+    STATION_THRESHOLD_FIELDS.forEach(field => {
+        const current = station.riskThresholds[field.key];
+        thresholdGrid.appendChild(createStationField(field.label, 'number', 'Inherit', current ?? '', value => {
+            const parsed = field.float ? parseFloat(value) : parseInt(value, 10);
+            if (Number.isFinite(parsed)) {
+                station.riskThresholds[field.key] = parsed;
+            } else {
+                delete station.riskThresholds[field.key];
+            }
+        }));
+    });
+    editor.appendChild(thresholdGrid);
+
+    const toleranceGrid = document.createElement('div');
+    toleranceGrid.className = 'station-grid station-thresholds';
+    station.rosterTolerance = station.rosterTolerance || {};
+    STATION_TOLERANCE_FIELDS.forEach(field => {
+        const current = station.rosterTolerance[field.key];
+        toleranceGrid.appendChild(createStationField(field.label, 'number', 'Inherit', current ?? '', value => {
+            const parsed = parseInt(value, 10);
+            if (Number.isFinite(parsed) && parsed >= 0) {
+                station.rosterTolerance[field.key] = parsed;
+            } else {
+                delete station.rosterTolerance[field.key];
+            }
+        }));
+    });
+    editor.appendChild(toleranceGrid);
+
+    const webhookField = document.createElement('div');
+    webhookField.className = 'webhook-field';
+    const webhookLabel = document.createElement('label');
+    webhookLabel.textContent = 'DSP Webhooks';
+    const webhookInput = document.createElement('textarea');
+    webhookInput.className = 'station-webhooks';
+    webhookInput.rows = 4;
+    webhookInput.placeholder = 'DSP1,https://hooks.chime.aws/incomingwebhooks/...';
+    webhookInput.value = WebhookDestinations.toEntries(station.webhooks)
+        .map(({ dspCode, url, label, categories, provider }) => {
+            const extra = [label, WebhookDestinations.formatCategories(categories), provider === WebhookDestinations.DEFAULT_PROVIDER ? '' : provider];
+            while (extra.length > 0 && !extra[extra.length - 1]) extra.pop();
+            return [dspCode, url, ...extra].join(',');
+        })
+        .join('\n');
+    webhookInput.addEventListener('change', () => {
+        // JSON body templates cannot be edited here, so they are carried over by DSP and URL
+        const previous = WebhookDestinations.toEntries(station.webhooks);
+        const parsed = parseBatchText(webhookInput.value);
+        station.webhooks = WebhookDestinations.fromEntries(parsed.map(({ dspCode, webhookUrl, label, categories, provider }) => ({
+            dspCode,
+            url: webhookUrl,
+            label,
+            categories,
+            provider,
+            bodyTemplate: previous.find(entry => entry.dspCode === dspCode && entry.url === webhookUrl)?.bodyTemplate
+        })));
+    });
+    const webhookHint = document.createElement('small');
+    webhookHint.textContent = 'One destination per line: DSP code, webhook URL, optional room name, optional categories (roster|risk|reattempts|summary|broadcast), optional provider (chime, slack, teams, json)';
+    webhookField.appendChild(webhookLabel);
+    webhookField.appendChild(webhookInput);
+    webhookField.appendChild(webhookHint);
+    editor.appendChild(webhookField);
+
+    return editor;
+}
+
+function createStationField(labelText, type, placeholder, value, onChange) {
+    const field = document.createElement('div');
+    field.className = 'webhook-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    const input = document.createElement('input');
+    input.type = type;
+    input.placeholder = placeholder;
+    input.value = value;
+    if (type === 'number') input.step = 'any';
+    input.addEventListener('change', () => onChange(input.value));
+    field.appendChild(label);
+    field.appendChild(input);
+    return field;
+}
+
+function addStation() {
+    stationProfiles.push({
+        id: 'st' + Date.now().toString(36),
+        name: '',
+        enabled: true,
+        serviceTypes: ServiceTypeRegistry.defaultEnabledMap(serviceTypeRegistry),
+        riskThresholds: {},
+        rosterTolerance: {},
+        checkSchedules: {},
+        webhooks: {}
+    });
+    renderStationList();
+}
+
+function removeStation(stationId) {
+    const station = stationProfiles.find(s => s.id === stationId);
+    if (station && !confirm(`Remove station ${station.name || stationId}?`)) return;
+    stationProfiles = stationProfiles.filter(s => s.id !== stationId);
+    renderStationList();
+}
+
+async function saveStations() {
+    const unnamed = stationProfiles.find(s => !(s.name || '').trim());
+    if (unnamed) {
+        showToast('Every additional station needs a name', 'error');
+        return;
+    }
+
+    try {
+        const stations = stationProfiles.map(station => {
+            const { schedulingBaseUrl, parsedServiceAreaId } = normalizeSchedulingUrl(station.schedulingBaseUrl || '', station.serviceAreaId || '');
+            const { routePlanningBaseUrl } = normalizeRoutePlanningUrl(station.routePlanningBaseUrl || '');
+            return {
+                ...station,
+                name: station.name.trim(),
+                serviceAreaId: parsedServiceAreaId,
+                schedulingBaseUrl,
+                routePlanningBaseUrl
+            };
+        });
+
+        const response = await browser.runtime.sendMessage({ action: 'updateStations', stations });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not accept stations');
+        }
+        stationProfiles = response.stations || stations;
+        renderStationList();
+        showToast(`Saved ${stationProfiles.length} additional station${stationProfiles.length !== 1 ? 's' : ''}`, 'success');
+    } catch (error) {
+        console.error('❌ Error saving stations:', error);
+        showToast('Failed to save stations', 'error');
+    }
+}
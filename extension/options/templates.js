@@ -0,0 +1,206 @@
+// Message template editor (templates themselves live in shared/message-templates.js)
+async function loadMessageTemplates() {
+    if (!elements.templateType) return;
+    messageTemplates = await MessageTemplates.loadCustom();
+    messageLanguages = await MessageTemplates.loadLanguages();
+
+    renderTemplateTypeOptions();
+    fillLanguageSelect(elements.templateLanguage, elements.templateLanguage.value || MessageTemplates.DEFAULT_LANGUAGE);
+    fillLanguageSelect(elements.defaultMessageLanguage, messageLanguages.defaultLanguage);
+    renderMessageTemplate();
+    await renderDspLanguages();
+}
+
+// Per-stage types get one entry for each saved escalation stage that sends them
+function renderTemplateTypeOptions() {
+    if (!elements.templateType) return;
+    const selected = elements.templateType.value;
+    elements.templateType.innerHTML = '';
+    const addOption = (value, text) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        elements.templateType.appendChild(option);
+    };
+    MessageTemplates.TYPES.forEach(type => {
+        if (!type.perStage) {
+            addOption(type.id, type.name);
+            return;
+        }
+        const recipient = type.id === 'escalationLead' ? 'lead' : 'dsp';
+        escalationStages
+            .filter(stage => stage.recipients === recipient || stage.recipients === 'both')
+            .forEach(stage => addOption(MessageTemplates.stageTemplateId(type.id, stage.id), `${type.name} – ${stage.name}`));
+    });
+    if (selected && Array.from(elements.templateType.options).some(option => option.value === selected)) {
+        elements.templateType.value = selected;
+    }
+}
+
+function fillLanguageSelect(select, value, defaultLabel) {
+    select.innerHTML = '';
+    const options = defaultLabel ? [['', defaultLabel], ...Object.entries(MessageTemplates.LANGUAGES)] : Object.entries(MessageTemplates.LANGUAGES);
+    options.forEach(([code, name]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = value;
+}
+
+function renderMessageTemplate() {
+    const id = elements.templateType.value;
+    const language = elements.templateLanguage.value;
+    const type = MessageTemplates.getType(id);
+    if (!type) return;
+
+    const custom = messageTemplates[id]?.[language];
+    elements.templateDescription.textContent = type.description;
+    elements.templateText.value = custom || MessageTemplates.getDefault(id, language);
+    elements.templateState.textContent = custom ? '(customised)' : '(default)';
+
+    elements.templateVariables.innerHTML = '';
+    elements.templateVariables.appendChild(document.createTextNode('Placeholders (click to insert): '));
+    Object.entries(MessageTemplates.getVariables(id)).forEach(([name, description]) => {
+        const code = document.createElement('code');
+        code.textContent = `{${name}}`;
+        code.title = description;
+        code.addEventListener('click', () => insertTemplateVariable(name));
+        elements.templateVariables.appendChild(code);
+    });
+
+    renderTemplatePreview();
+}
+
+function renderTemplatePreview() {
+    const sample = MessageTemplates.getSample(elements.templateType.value, elements.templateLanguage.value);
+    elements.templatePreview.textContent = MessageTemplates.render(elements.templateText.value, sample);
+}
+
+function insertTemplateVariable(name) {
+    const textarea = elements.templateText;
+    const token = `{${name}}`;
+    const start = textarea.selectionStart ?? textarea.value.length;
+    const end = textarea.selectionEnd ?? start;
+    textarea.value = textarea.value.slice(0, start) + token + textarea.value.slice(end);
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = start + token.length;
+    renderTemplatePreview();
+}
+
+function setCustomTemplates(id, texts) {
+    if (Object.keys(texts).length > 0) {
+        messageTemplates[id] = texts;
+    } else {
+        delete messageTemplates[id];
+    }
+}
+
+async function saveMessageTemplates() {
+    await browser.storage.local.set({ [MessageTemplates.STORAGE_KEY]: messageTemplates });
+}
+
+async function saveMessageTemplate() {
+    const id = elements.templateType.value;
+    const language = elements.templateLanguage.value;
+    const type = MessageTemplates.getType(id);
+    const text = elements.templateText.value;
+    if (!type) return;
+    if (!text.trim()) {
+        showToast('Template cannot be empty – use Reset to Default instead', 'error');
+        return;
+    }
+    try {
+        // Saving the default text unchanged keeps the type on the default
+        const texts = { ...(messageTemplates[id] || {}) };
+        if (text === MessageTemplates.getDefault(id, language)) {
+            delete texts[language];
+        } else {
+            texts[language] = text;
+        }
+        setCustomTemplates(id, texts);
+        await saveMessageTemplates();
+        renderMessageTemplate();
+        showToast(`${type.name} template saved`, 'success');
+    } catch (error) {
+        console.error('❌ Error saving message template:', error);
+        showToast('Failed to save template', 'error');
+    }
+}
+
+async function resetMessageTemplate() {
+    const id = elements.templateType.value;
+    const language = elements.templateLanguage.value;
+    const type = MessageTemplates.getType(id);
+    if (!type || !confirm(`Reset the ${MessageTemplates.LANGUAGES[language]} ${type.name} template to the default?`)) return;
+    try {
+        const texts = { ...(messageTemplates[id] || {}) };
+        delete texts[language];
+        setCustomTemplates(id, texts);
+        await saveMessageTemplates();
+        renderMessageTemplate();
+        showToast(`${type.name} template reset`, 'success');
+    } catch (error) {
+        console.error('❌ Error resetting message template:', error);
+        showToast('Failed to reset template', 'error');
+    }
+}
+
+// Every DSP with a webhook at the primary or an additional station
+async function getKnownDspCodes() {
+    const { webhooks = {}, stations = [] } = await browser.storage.local.get(['webhooks', 'stations']);
+    const codes = [
+        ...Object.keys(webhooks),
+        ...(Array.isArray(stations) ? stations : []).flatMap(station => Object.keys(station.webhooks || {})),
+        ...Object.keys(messageLanguages.dsps)
+    ];
+    return Array.from(new Set(codes.map(code => code.toUpperCase()))).sort();
+}
+
+async function renderDspLanguages() {
+    const container = elements.dspLanguages;
+    if (!container) return;
+    container.innerHTML = '';
+    const codes = await getKnownDspCodes();
+    if (codes.length === 0) {
+        const span = document.createElement('span');
+        span.textContent = 'No DSP webhooks configured yet';
+        container.appendChild(span);
+        return;
+    }
+
+    const defaultName = MessageTemplates.LANGUAGES[messageLanguages.defaultLanguage];
+    codes.forEach(code => {
+        const field = document.createElement('div');
+        field.className = 'webhook-field';
+        const label = document.createElement('label');
+        label.textContent = code;
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `Message language for ${code}`);
+        fillLanguageSelect(select, messageLanguages.dsps[code] || '', `Default (${defaultName})`);
+        select.addEventListener('change', () => {
+            if (select.value) {
+                messageLanguages.dsps[code] = select.value;
+            } else {
+                delete messageLanguages.dsps[code];
+            }
+            saveMessageLanguages();
+        });
+        field.appendChild(label);
+        field.appendChild(select);
+        container.appendChild(field);
+    });
+}
+
+async function saveMessageLanguages() {
+    try {
+        messageLanguages.defaultLanguage = elements.defaultMessageLanguage.value;
+        await browser.storage.local.set({ [MessageTemplates.LANGUAGES_KEY]: messageLanguages });
+        await renderDspLanguages();
+        showToast('Message languages saved', 'success');
+    } catch (error) {
+        console.error('❌ Error saving message languages:', error);
+        showToast('Failed to save message languages', 'error');
+    }
+}
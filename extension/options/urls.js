@@ -1,13 +1,7 @@
+// Roster date for a service type; unknown types (e.g. 'other') use today
 function computeDateParam(serviceType) {
-    const now = new Date();
-    const date = new Date(now);
-    if (serviceType === 'cycle1') {
-        date.setDate(date.getDate() + 1);
-    }
-    const yyyy = date.getFullYear();
-    const mm = String(date.getMonth() + 1).padStart(2, '0');
-    const dd = String(date.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
+    const entry = serviceTypeRegistry.find(e => e.id === serviceType);
+    return ServiceTypeRegistry.formatDate(entry?.dateOffset);
 }
 
 function buildSchedulingUrl(settings, isCycle1, dateStr) {
@@ -22,7 +16,7 @@ function buildSchedulingUrl(settings, isCycle1, dateStr) {
     try {
         const url = new URL(base, 'https://logistics.amazon.co.uk');
         if (isCycle1) {
-            const tomorrow = computeDateParam('cycle1');
+            const tomorrow = ServiceTypeRegistry.formatDate(1);
             url.searchParams.set('date', tomorrow);
         } else {
             url.searchParams.set('date', dateStr);
@@ -51,7 +45,7 @@ async function renderUrlPreviews() {
     try {
         const { settings = {} } = await browser.storage.local.get('settings');
         const today = computeDateParam('other');
-        const tomorrow = computeDateParam('cycle1');
+        const tomorrow = ServiceTypeRegistry.formatDate(1);
         const schedCycle1 = buildSchedulingUrl(settings, true, tomorrow);
         const schedToday = buildSchedulingUrl(settings, false, today);
         const routeToday = buildRoutePlanningUrl(settings, today);
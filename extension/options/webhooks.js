@@ -11,17 +11,19 @@ async function loadWebhooks() {
         clearWebhookEntries();
         webhookEntryCount = 0;
 
-        const webhookKeys = Object.keys(webhooks);
-        console.log(`Found ${webhookKeys.length} webhooks:`, webhooks);
+        // One entry per destination; a DSP with several destinations gets several entries
+        const destinations = WebhookDestinations.toEntries(webhooks);
+        console.log(`Found ${destinations.length} webhook destinations for ${Object.keys(webhooks).length} DSPs`);
 
-        if (webhookKeys.length === 0) {
+        if (destinations.length === 0) {
             showEmptyState();
         } else {
-            webhookKeys.forEach(dspCode => {
-                addWebhookEntry(dspCode, webhooks[dspCode]);
+            destinations.forEach(destination => {
+                addWebhookEntry(destination.dspCode, destination.url, destination.label, destination.categories, destination.provider, destination.bodyTemplate);
             });
         }
 
+        await loadWebhookHealth();
         console.log('✅ Webhooks loaded successfully');
     } catch (error) {
         console.error('❌ Error loading webhooks:', error);
@@ -78,7 +80,7 @@ function showEmptyState() {
     elements.webhookEntries.appendChild(emptyDiv);
 }
 
-function addWebhookEntry(dspCode = '', webhookUrl = '') {
+function addWebhookEntry(dspCode = '', webhookUrl = '', destinationLabel = '', categories = WebhookDestinations.categoryIds(), provider = WebhookDestinations.DEFAULT_PROVIDER, bodyTemplate = '') {
     if (!elements.webhookEntries) {
         console.error('❌ Webhook container not found');
         return;
@@ -135,6 +137,90 @@ function addWebhookEntry(dspCode = '', webhookUrl = '') {
     urlField.appendChild(urlLabel);
     urlField.appendChild(urlInput);
 
+    const labelField = document.createElement('div');
+    labelField.className = 'webhook-field';
+
+    const labelLabel = document.createElement('label');
+    labelLabel.htmlFor = `${entryId}-label`;
+    labelLabel.textContent = 'Destination';
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.id = `${entryId}-label`;
+    labelInput.className = 'webhook-label';
+    labelInput.placeholder = 'e.g., Owner room';
+    labelInput.value = destinationLabel;
+    labelInput.maxLength = 40;
+
+    labelField.appendChild(labelLabel);
+    labelField.appendChild(labelInput);
+
+    const providerField = document.createElement('div');
+    providerField.className = 'webhook-field';
+
+    const providerLabel = document.createElement('label');
+    providerLabel.htmlFor = `${entryId}-provider`;
+    providerLabel.textContent = 'Provider';
+
+    const providerSelect = document.createElement('select');
+    providerSelect.id = `${entryId}-provider`;
+    providerSelect.className = 'webhook-provider';
+    WebhookDestinations.PROVIDERS.forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.id;
+        element.textContent = option.name;
+        providerSelect.appendChild(element);
+    });
+    providerSelect.value = WebhookDestinations.normalizeProvider(provider);
+
+    providerField.appendChild(providerLabel);
+    providerField.appendChild(providerSelect);
+
+    // Body template, only for generic JSON destinations
+    const templateField = document.createElement('div');
+    templateField.className = 'webhook-field webhook-body-field';
+
+    const templateLabel = document.createElement('label');
+    templateLabel.htmlFor = `${entryId}-body`;
+    templateLabel.textContent = 'JSON Body Template';
+
+    const templateInput = document.createElement('textarea');
+    templateInput.id = `${entryId}-body`;
+    templateInput.className = 'webhook-body-template';
+    templateInput.rows = 3;
+    templateInput.value = bodyTemplate || WebhookDestinations.DEFAULT_BODY_TEMPLATE;
+
+    const templateHint = document.createElement('small');
+    templateHint.textContent = `Placeholders (no quotes needed): ${Object.keys(WebhookDestinations.BODY_TEMPLATE_VARIABLES).map(name => `{${name}}`).join(' ')}`;
+
+    templateField.appendChild(templateLabel);
+    templateField.appendChild(templateInput);
+    templateField.appendChild(templateHint);
+
+    const updateTemplateVisibility = () => {
+        templateField.style.display = providerSelect.value === 'json' ? 'flex' : 'none';
+    };
+    providerSelect.addEventListener('change', () => {
+        updateTemplateVisibility();
+        saveWebhooks();
+    });
+    templateInput.addEventListener('blur', () => saveWebhooks());
+    updateTemplateVisibility();
+
+    // Message categories this destination receives
+    const categoryField = document.createElement('div');
+    categoryField.className = 'webhook-categories';
+    WebhookDestinations.CATEGORIES.forEach(category => {
+        const option = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = category.id;
+        checkbox.checked = categories.includes(category.id);
+        option.appendChild(checkbox);
+        option.appendChild(document.createTextNode(category.name));
+        categoryField.appendChild(option);
+    });
+
     const actionsField = document.createElement('div');
     actionsField.className = 'webhook-actions';
 
@@ -170,13 +256,29 @@ function addWebhookEntry(dspCode = '', webhookUrl = '') {
 
     removeButton.appendChild(removeSvg);
     removeButton.appendChild(removeText);
+    const healthBadge = document.createElement('span');
+    healthBadge.className = 'health-badge';
+    actionsField.appendChild(healthBadge);
+
+    const testButton = document.createElement('button');
+    testButton.type = 'button';
+    testButton.className = 'btn btn-secondary test-webhook';
+    testButton.textContent = 'Test';
+    testButton.addEventListener('click', () => testWebhookEntry(entryDiv, testButton));
+    actionsField.appendChild(testButton);
+
     actionsField.appendChild(removeButton);
 
     entryDiv.appendChild(dspField);
     entryDiv.appendChild(urlField);
+    entryDiv.appendChild(labelField);
+    entryDiv.appendChild(providerField);
     entryDiv.appendChild(actionsField);
+    entryDiv.appendChild(categoryField);
+    entryDiv.appendChild(templateField);
 
     elements.webhookEntries.appendChild(entryDiv);
+    updateHealthBadge(entryDiv);
 
     setupWebhookEntryListeners(entryDiv);
 
@@ -236,6 +338,11 @@ function setupWebhookEntryListeners(entryDiv) {
 
     inputs.forEach(input => {
         if (!input) return;
+        if (input.type === 'checkbox') {
+            input.addEventListener('change', () => saveWebhooks());
+            return;
+        }
+
         input.addEventListener('blur', () => {
             console.log('💾 Input blur event, saving webhooks immediately');
             saveWebhooks();
@@ -265,6 +372,9 @@ function setupWebhookEntryListeners(entryDiv) {
             if (field && e.target.checkValidity()) {
                 field.classList.remove('error');
             }
+            if (e.target.classList.contains('webhook-url')) {
+                updateHealthBadge(entryDiv);
+            }
         });
     });
 }
@@ -285,7 +395,7 @@ async function saveWebhooks() {
         setLoading(true);
         console.log('💾 Saving webhooks...');
 
-        const webhooks = {};
+        const destinations = [];
         const entries = document.querySelectorAll('.webhook-entry');
         const errors = [];
 
@@ -331,9 +441,37 @@ async function saveWebhooks() {
                 return;
             }
 
-            webhooks[dspCode] = webhookUrl;
+            const categories = Array.from(entry.querySelectorAll('.webhook-categories input:checked')).map(cb => cb.value);
+            if (categories.length === 0) {
+                errors.push(`Entry ${index + 1}: Pick at least one message category for ${dspCode}`);
+                return;
+            }
+
+            const provider = entry.querySelector('.webhook-provider')?.value || WebhookDestinations.DEFAULT_PROVIDER;
+            const bodyTemplate = provider === 'json' ? entry.querySelector('.webhook-body-template')?.value.trim() || '' : '';
+            if (bodyTemplate) {
+                try {
+                    WebhookDestinations.renderBodyTemplate(bodyTemplate, {});
+                } catch (error) {
+                    errors.push(`Entry ${index + 1}: ${error.message}`);
+                    const bodyField = entry.querySelector('.webhook-body-field');
+                    if (bodyField) bodyField.classList.add('error');
+                    return;
+                }
+            }
+
+            destinations.push({
+                dspCode,
+                url: webhookUrl,
+                label: entry.querySelector('.webhook-label')?.value.trim() || '',
+                categories,
+                provider,
+                bodyTemplate
+            });
         });
 
+        const webhooks = WebhookDestinations.fromEntries(destinations);
+
         if (errors.length > 0) {
             showToast(errors[0], 'error');
         }
@@ -348,3 +486,87 @@ async function saveWebhooks() {
         setLoading(false);
     }
 }
+
+// -----------------------------
+// Webhook health badges and test sends
+// -----------------------------
+const HEALTH_LABELS = { ok: 'OK', reachable: 'Reachable', failing: 'Failing', never: 'Never tested' };
+
+async function loadWebhookHealth() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getWebhookHealth' });
+        if (!response?.success) throw new Error(response?.error || 'Health unavailable');
+        webhookHealth = response.urls || {};
+        document.querySelectorAll('.webhook-entry').forEach(updateHealthBadge);
+    } catch (error) {
+        console.error('❌ Error loading webhook health:', error);
+    }
+}
+
+function updateHealthBadge(entryDiv) {
+    const badge = entryDiv.querySelector('.health-badge');
+    if (!badge) return;
+    const url = entryDiv.querySelector('.webhook-url')?.value.trim() || '';
+    const result = webhookHealth[url];
+    const status = result?.status || 'never';
+    badge.className = `health-badge ${status}`;
+    badge.textContent = HEALTH_LABELS[status];
+    badge.title = result
+        ? `Last checked ${new Date(result.checkedAt).toLocaleString()}${result.error ? `: ${result.error}` : ''}${status === 'reachable' ? ' – the URL answers; send a test to confirm the destination accepts messages' : ''}`
+        : 'No test or message sent yet';
+}
+
+async function testWebhookEntry(entryDiv, button) {
+    const dspCode = entryDiv.querySelector('.dsp-code')?.value.trim().toUpperCase() || '';
+    const url = entryDiv.querySelector('.webhook-url')?.value.trim() || '';
+    if (!url) {
+        showToast('Enter a webhook URL first', 'error');
+        return;
+    }
+
+    const provider = entryDiv.querySelector('.webhook-provider')?.value || WebhookDestinations.DEFAULT_PROVIDER;
+    button.disabled = true;
+    try {
+        const response = await browser.runtime.sendMessage({
+            action: 'testWebhook',
+            destination: {
+                url,
+                provider,
+                bodyTemplate: provider === 'json' ? entryDiv.querySelector('.webhook-body-template')?.value.trim() : '',
+                target: dspCode,
+                destination: entryDiv.querySelector('.webhook-label')?.value.trim() || ''
+            }
+        });
+        if (!response?.success) throw new Error(response?.error || 'Test failed');
+        if (response.dryRun) {
+            showToast('Dry run is on: the test message went to the outbox', 'warning');
+        } else if (response.ok) {
+            showToast(`Test message delivered to ${dspCode || 'webhook'}`, 'success');
+        } else {
+            showToast(`Test failed: ${response.error}`, 'error');
+        }
+        await loadWebhookHealth();
+    } catch (error) {
+        console.error('❌ Error testing webhook:', error);
+        showToast(`Test failed: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function testAllWebhooks() {
+    const button = elements.testAllWebhooks;
+    if (button) button.disabled = true;
+    try {
+        showToast('Checking webhooks...', 'loading');
+        const response = await browser.runtime.sendMessage({ action: 'runWebhookHealthCheck' });
+        if (!response?.success) throw new Error(response?.error || 'Health check failed');
+        showToast(`Checked ${response.tested} webhook${response.tested === 1 ? '' : 's'}: ${response.reachable} reachable, ${response.failing} failing`, response.failing > 0 ? 'warning' : 'success');
+        await loadWebhookHealth();
+    } catch (error) {
+        console.error('❌ Error running webhook health check:', error);
+        showToast(`Health check failed: ${error.message}`, 'error');
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
@@ -0,0 +1,129 @@
+const ACK_SNOOZE_OPTIONS = [
+    { minutes: 30, label: '30 min' },
+    { minutes: 60, label: '1 hour' },
+    { minutes: 120, label: '2 hours' },
+    { minutes: 240, label: '4 hours' }
+];
+
+async function loadAlertAcknowledgements() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getAlertAcknowledgements' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return pending follow-ups');
+        }
+        renderAlertAcknowledgements(response.alerts || []);
+    } catch (error) {
+        console.error('❌ Error loading pending follow-ups:', error);
+        renderAlertAcknowledgements([]);
+    }
+}
+
+function renderAlertAcknowledgements(alerts) {
+    const container = elements.ackList;
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (alerts.length === 0) {
+        const span = document.createElement('span');
+        span.className = 'ack-empty';
+        span.textContent = 'No pending follow-ups';
+        container.appendChild(span);
+        return;
+    }
+
+    alerts.forEach(alert => container.appendChild(createAlertRow(alert)));
+}
+
+function createAlertRow(alert) {
+    const row = document.createElement('div');
+    row.className = 'ack-row' + (alert.acknowledgedUntil ? ' snoozed' : '');
+
+    const info = document.createElement('div');
+    info.className = 'ack-info';
+    const name = document.createElement('strong');
+    name.textContent = alert.dsp;
+    const detail = document.createElement('small');
+    const parts = [getServiceTypeEntry(alert.serviceType)?.shortName || alert.serviceType];
+    if (alert.stationName) parts.push(alert.stationName);
+    if (alert.confirmed !== null) parts.push(`${alert.rostered}/${alert.confirmed} rostered`);
+    if (alert.acknowledgedUntil) {
+        parts.push(`snoozed until ${new Date(alert.acknowledgedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+    }
+    detail.textContent = parts.join(' · ');
+    info.appendChild(name);
+    info.appendChild(detail);
+    row.appendChild(info);
+
+    if (alert.acknowledgedUntil) {
+        const resumeButton = document.createElement('button');
+        resumeButton.type = 'button';
+        resumeButton.className = 'btn btn-ghost';
+        resumeButton.textContent = 'Resume';
+        resumeButton.addEventListener('click', () => handleResumeAlert(alert, resumeButton));
+        row.appendChild(resumeButton);
+        return row;
+    }
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Snooze ${alert.dsp} for`);
+    ACK_SNOOZE_OPTIONS.forEach(({ minutes, label }) => {
+        const option = document.createElement('option');
+        option.value = String(minutes);
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = '60';
+    row.appendChild(select);
+
+    const ackButton = document.createElement('button');
+    ackButton.type = 'button';
+    ackButton.className = 'btn btn-primary';
+    ackButton.textContent = 'Acknowledge';
+    ackButton.addEventListener('click', () => handleAcknowledgeAlert(alert, parseInt(select.value, 10), ackButton));
+    row.appendChild(ackButton);
+    return row;
+}
+
+async function handleAcknowledgeAlert(alert, minutes, button) {
+    button.disabled = true;
+    try {
+        const response = await browser.runtime.sendMessage({
+            action: 'acknowledgeDsp',
+            stationId: alert.stationId,
+            serviceType: alert.serviceType,
+            dsp: alert.dsp,
+            minutes,
+            source: 'popup'
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Acknowledgement failed');
+        }
+        showToast(`${alert.dsp} acknowledged – follow-ups snoozed`, 'success');
+        await loadAlertAcknowledgements();
+    } catch (error) {
+        console.error('❌ Error acknowledging DSP:', error);
+        showToast(`Failed to acknowledge ${alert.dsp}`, 'error');
+        button.disabled = false;
+    }
+}
+
+async function handleResumeAlert(alert, button) {
+    button.disabled = true;
+    try {
+        const response = await browser.runtime.sendMessage({
+            action: 'clearAcknowledgement',
+            stationId: alert.stationId,
+            serviceType: alert.serviceType,
+            dsp: alert.dsp
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Could not resume follow-ups');
+        }
+        showToast(`Follow-ups resumed for ${alert.dsp}`, 'success');
+        await loadAlertAcknowledgements();
+    } catch (error) {
+        console.error('❌ Error resuming follow-ups:', error);
+        showToast(`Failed to resume ${alert.dsp}`, 'error');
+        button.disabled = false;
+    }
+}
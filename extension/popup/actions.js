@@ -40,8 +40,8 @@ async function handleSendReattempts() {
 async function handleSendSummary() {
     if (isLoading) return;
 
-    const selectedDSPs = Object.keys(availableDSPs || {});
-    if (selectedDSPs.length === 0) {
+    const stations = getSummaryStations();
+    if (stations.length === 0) {
         showToast('⚠️ No DSP webhooks configured in Settings', 'error');
         return;
     }
@@ -50,104 +50,11 @@ async function handleSendSummary() {
         setButtonLoading(elements.sendSummaryButton, true);
         showToast('Generating and sending summaries...', 'loading');
 
-        let tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        let targetTab = tabs && tabs[0];
-        let isRoutePlanning = !!(targetTab?.url && targetTab.url.includes('.route.planning.last-mile.a2z.com/route-planning'));
-        if (!isRoutePlanning) {
-            const matches = await browser.tabs.query({ url: '*://*.route.planning.last-mile.a2z.com/route-planning/*' });
-            if (matches && matches.length > 0) {
-                targetTab = matches[0];
-            } else {
-                const { settings = {} } = await browser.storage.local.get('settings');
-                const base = settings.routePlanningBaseUrl || 'https://eu.route.planning.last-mile.a2z.com/route-planning';
-                const today = computeDateParam('other');
-                let targetUrl = base;
-                try {
-                    const u = new URL(base);
-                    if (/\/route-planning\/[A-Z0-9]+\/.+/.test(u.pathname)) {
-                        targetUrl = `${u.origin}${u.pathname}/${today}`;
-                    }
-                } catch {}
-                console.log('🆕 Opening Route Planning page (fallback)...');
-                targetTab = await browser.tabs.create({ url: targetUrl, active: false });
-                await new Promise(r => setTimeout(r, 7000));
-            }
-        }
-
-        let overridePaidTime = null;
-        try {
-            const { settings = {} } = await browser.storage.local.get('settings');
-            if (settings.paidTimeInferFromConstraints === true) {
-                const base = settings.routePlanningBaseUrl || '';
-                if (base) {
-                    let constraintsUrl = base.replace('://eu.route.planning.last-mile.a2z.com/route-planning', '://eu.dispatch.planning.last-mile.a2z.com/route-constraints');
-                    try {
-                        const u = new URL(constraintsUrl);
-                        const today = computeDateParam('other');
-                        if (!/\d{4}-\d{2}-\d{2}$/.test(u.pathname)) {
-                            constraintsUrl = `${u.origin}${u.pathname}/${today}`;
-                        }
-                    } catch {}
-                    let ctab;
-                    const matchesC = await browser.tabs.query({ url: '*://eu.dispatch.planning.last-mile.a2z.com/route-constraints/*' });
-                    if (matchesC && matchesC.length > 0) {
-                        ctab = matchesC[0];
-                        await browser.tabs.update(ctab.id, { url: constraintsUrl, active: false });
-                    } else {
-                        ctab = await browser.tabs.create({ url: constraintsUrl, active: false });
-                    }
-                    await new Promise(r => setTimeout(r, 6000));
-                    try {
-                        const resPT = await browser.tabs.sendMessage(ctab.id, { action: 'getPaidTimeFromConstraints' });
-                        if (resPT?.success && Number.isFinite(resPT.minutes) && resPT.minutes > 0) {
-                            overridePaidTime = resPT.minutes;
-                        }
-                    } catch (e) {
-                        console.warn('Paid time inference messaging failed:', e);
-                    }
-                }
-            }
-        } catch (e) { console.warn('Paid time inference skipped:', e); }
-
-        const response = await browser.tabs.sendMessage(targetTab.id, {
-            action: 'getDSPSummary',
-            dsps: selectedDSPs,
-            overridePaidTime: overridePaidTime
-        });
-
-        if (!response?.success) {
-            throw new Error(response?.error || 'Failed to generate summaries');
-        }
-
-        const { items = {}, paidTime } = response;
         let success = 0; let failed = 0;
-        const _now = new Date();
-        const todayStr = `${String(_now.getDate()).padStart(2, '0')}.${String(_now.getMonth() + 1).padStart(2, '0')}.${_now.getFullYear()}`;
-
-        for (const dsp of selectedDSPs) {
-            const item = items[dsp];
-            if (!item) {
-                failed++;
-                console.warn(`No data found for ${dsp}`);
-                continue;
-            }
-
-            const { avgShift, avgSpr } = item;
-            const message =
-                `/md 📋 Daily Route Planning Summary\n\n` +
-                `🚚 ${dsp} | ${todayStr}\n\n` +
-                `📦 SPR: ${avgSpr}\n` +
-                `⏱️ Shift Time: ${avgShift} min\n` +
-                `💰 Paid Time: ${paidTime} min`;
-
-            const result = await browser.runtime.sendMessage({
-                action: 'sendMessage',
-                dsp,
-                message
-            });
-
-            if (result?.success) success++; else failed++;
-            await new Promise(r => setTimeout(r, 600));
+        for (const station of stations) {
+            const result = await sendSummaryForStation(station, stations.length > 1);
+            success += result.success;
+            failed += result.failed;
         }
 
         if (success > 0 && failed === 0) {
@@ -162,6 +69,162 @@ async function handleSendSummary() {
         showToast(`❌ ${error.message}`, 'error');
     } finally {
         setButtonLoading(elements.sendSummaryButton, false);
+        loadDeliveryQueue();
+    }
+}
+
+// Enabled stations that have at least one DSP webhook
+function getSummaryStations() {
+    return stationProfiles.filter(station => station.enabled && Object.keys(station.webhooks || {}).length > 0);
+}
+
+async function sendSummaryForStation(station, multiStation) {
+    const selectedDSPs = Object.keys(station.webhooks || {});
+    const label = station.name || station.id;
+    if (multiStation) {
+        showToast(`Generating summaries for ${label}...`, 'loading');
+    }
+
+    const targetTab = await getRoutePlanningTab(station, multiStation);
+    const overridePaidTime = await inferPaidTimeFromConstraints(station);
+
+    const response = await browser.tabs.sendMessage(targetTab.id, {
+        action: 'getDSPSummary',
+        dsps: selectedDSPs,
+        overridePaidTime: overridePaidTime
+    });
+
+    if (!response?.success) {
+        throw new Error(response?.error || `Failed to generate summaries${multiStation ? ` for ${label}` : ''}`);
+    }
+
+    const { items = {}, paidTime } = response;
+    const languages = await MessageTemplates.loadLanguages();
+    let success = 0; let failed = 0;
+    const _now = new Date();
+    const todayStr = `${String(_now.getDate()).padStart(2, '0')}.${String(_now.getMonth() + 1).padStart(2, '0')}.${_now.getFullYear()}`;
+
+    for (const dsp of selectedDSPs) {
+        const item = items[dsp];
+        if (!item) {
+            failed++;
+            console.warn(`No data found for ${dsp} at ${label}`);
+            continue;
+        }
+
+        const { avgShift, avgSpr } = item;
+        const message = await MessageTemplates.renderMessage('summary', {
+            dsp,
+            date: todayStr,
+            spr: avgSpr,
+            shiftTime: avgShift,
+            paidTime
+        }, MessageTemplates.languageFor(languages, dsp));
+
+        const result = await browser.runtime.sendMessage({
+            action: 'sendMessage',
+            dsp,
+            message,
+            stationId: station.id,
+            job: 'summary'
+        });
+
+        if (result?.success) success++; else failed++;
+    }
+
+    return { success, failed };
+}
+
+function buildRoutePlanningUrl(base) {
+    const today = computeDateParam('other');
+    try {
+        const u = new URL(base);
+        if (/\/route-planning\/[A-Z0-9]+\/.+/.test(u.pathname) && !/\d{4}-\d{2}-\d{2}$/.test(u.pathname)) {
+            return `${u.origin}${u.pathname}/${today}`;
+        }
+    } catch {}
+    return base;
+}
+
+// With a single station, reuse whichever Route Planning tab is open; with several,
+// each station's own Route Planning page is loaded so the summaries don't mix
+async function getRoutePlanningTab(station, multiStation) {
+    if (!multiStation) {
+        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+        const activeTab = tabs && tabs[0];
+        if (activeTab?.url && activeTab.url.includes('.route.planning.last-mile.a2z.com/route-planning')) {
+            return activeTab;
+        }
+        const matches = await browser.tabs.query({ url: '*://*.route.planning.last-mile.a2z.com/route-planning/*' });
+        if (matches && matches.length > 0) {
+            return matches[0];
+        }
+    } else if (!station.routePlanningBaseUrl) {
+        throw new Error(`Route Planning URL not configured for ${station.name || station.id}`);
+    }
+
+    const base = station.routePlanningBaseUrl || 'https://eu.route.planning.last-mile.a2z.com/route-planning';
+    const targetUrl = buildRoutePlanningUrl(base);
+    const openedAt = Date.now();
+    let targetTab;
+    const matches = multiStation ? await browser.tabs.query({ url: targetUrl.split('#')[0] + '*' }) : [];
+    if (matches && matches.length > 0) {
+        targetTab = matches[0];
+        await browser.tabs.update(targetTab.id, { url: targetUrl, active: false });
+    } else {
+        console.log('🆕 Opening Route Planning page (fallback)...');
+        targetTab = await browser.tabs.create({ url: targetUrl, active: false });
+    }
+    await waitForTabReady(targetTab.id, 'routePlanning', openedAt);
+    return targetTab;
+}
+
+async function inferPaidTimeFromConstraints(station) {
+    try {
+        const { settings = {} } = await browser.storage.local.get('settings');
+        if (settings.paidTimeInferFromConstraints !== true) return null;
+        const base = station.routePlanningBaseUrl || '';
+        if (!base) return null;
+
+        let constraintsUrl = base.replace('://eu.route.planning.last-mile.a2z.com/route-planning', '://eu.dispatch.planning.last-mile.a2z.com/route-constraints');
+        try {
+            const u = new URL(constraintsUrl);
+            const today = computeDateParam('other');
+            if (!/\d{4}-\d{2}-\d{2}$/.test(u.pathname)) {
+                constraintsUrl = `${u.origin}${u.pathname}/${today}`;
+            }
+        } catch {}
+        let ctab;
+        const matchesC = await browser.tabs.query({ url: '*://eu.dispatch.planning.last-mile.a2z.com/route-constraints/*' });
+        const constraintsOpenedAt = Date.now();
+        if (matchesC && matchesC.length > 0) {
+            ctab = matchesC[0];
+            await browser.tabs.update(ctab.id, { url: constraintsUrl, active: false });
+        } else {
+            ctab = await browser.tabs.create({ url: constraintsUrl, active: false });
+        }
+        // Route Constraints has no readiness reporter; wait for the tab to finish loading
+        await waitForTabReady(ctab.id, null, constraintsOpenedAt);
+        try {
+            const resPT = await browser.tabs.sendMessage(ctab.id, { action: 'getPaidTimeFromConstraints' });
+            if (resPT?.success && Number.isFinite(resPT.minutes) && resPT.minutes > 0) {
+                return resPT.minutes;
+            }
+        } catch (e) {
+            console.warn('Paid time inference messaging failed:', e);
+        }
+    } catch (e) { console.warn('Paid time inference skipped:', e); }
+    return null;
+}
+
+// Ask the background to wait until the tab reports its data as ready
+async function waitForTabReady(tabId, pageType, since) {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'waitForPageReady', tabId, pageType, since });
+        return response?.ready === true;
+    } catch (error) {
+        console.warn('Readiness wait failed:', error);
+        return false;
     }
 }
 
@@ -178,8 +241,9 @@ async function handleCheckNow() {
                 browser.storage.local.get('serviceTypes'),
                 browser.storage.local.get('settings')
             ]);
-            const cycle1Enabled = serviceTypes.cycle1 !== false;
-            const dateStr = computeDateParam(cycle1Enabled ? 'cycle1' : 'other');
+            // Open the roster date of the first enabled service type
+            const firstEnabled = serviceTypeRegistry.find(entry => serviceTypes[entry.id] ?? entry.defaultEnabled);
+            const dateStr = computeDateParam(firstEnabled ? firstEnabled.id : 'other');
             const saId = settings.serviceAreaId || '';
             const baseUrl = 'https://logistics.amazon.co.uk/internal/scheduling/dsps';
             const params = new URLSearchParams();
@@ -190,8 +254,9 @@ async function handleCheckNow() {
             let rosteringTabs = await browser.tabs.query({ url: baseUrl + '*' });
             if (!rosteringTabs || rosteringTabs.length === 0) {
                 console.log('🆕 Opening rostering page (fallback)...');
-                await browser.tabs.create({ url: targetUrl, active: false });
-                await new Promise(r => setTimeout(r, 5000));
+                const openedAt = Date.now();
+                const rosterTab = await browser.tabs.create({ url: targetUrl, active: false });
+                await waitForTabReady(rosterTab.id, 'scheduling', openedAt);
             }
         } catch (e) {
             console.warn('Rostering fallback open failed or skipped:', e);
@@ -228,6 +293,11 @@ async function handleSendMessage() {
         return;
     }
 
+    if (elements.sendTiming && elements.sendTiming.value !== 'now') {
+        await handleScheduleBroadcast(message);
+        return;
+    }
+
     setButtonLoading(elements.sendMessageButton, true);
     showToast(`Sending message to ${selectedDSPs.length} DSP${selectedDSPs.length > 1 ? 's' : ''}...`, 'loading');
 
@@ -253,10 +323,6 @@ function validateMessageForm(selectedDSPs, message) {
         return '⚠️ Please enter a message';
     }
 
-    if (message.length > 2000) {
-        return '⚠️ Message is too long (max 2000 characters)';
-    }
-
     return null;
 }
 
@@ -269,7 +335,8 @@ async function sendMessagesToAllDSPs(selectedDSPs, message) {
             const result = await browser.runtime.sendMessage({
                 action: "sendMessage",
                 dsp,
-                message
+                message,
+                stationId: activeStationId
             });
 
             if (result?.success) {
@@ -287,7 +354,6 @@ async function sendMessagesToAllDSPs(selectedDSPs, message) {
         if (selectedDSPs.length > 1) {
             showToast(`Sending messages... ${index + 1}/${selectedDSPs.length}`, 'loading');
         }
-        await new Promise(resolve => setTimeout(resolve, 800));
     }
 
     return results;
@@ -308,6 +374,7 @@ function handleSendResults(results, message) {
         showToast(`⚠️ Partial success: ${results.success} sent, ${results.failed} failed`, 'error');
         console.log('📋 Detailed errors:', results.errors);
     }
+    if (results.failed > 0) loadDeliveryQueue();
 }
 
 function handleOpenSettings() {
@@ -0,0 +1,201 @@
+// Scheduled and recurring broadcasts (stored and sent by background/broadcasts.js)
+async function loadScheduledBroadcasts() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getScheduledBroadcasts' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return scheduled broadcasts');
+        }
+        renderScheduledBroadcasts(response.broadcasts || []);
+    } catch (error) {
+        console.error('❌ Error loading scheduled broadcasts:', error);
+        renderScheduledBroadcasts([]);
+    }
+}
+
+function renderScheduledBroadcasts(broadcasts) {
+    const card = elements.broadcastCard;
+    const container = elements.broadcastList;
+    if (!card || !container) return;
+    container.innerHTML = '';
+    card.style.display = broadcasts.length > 0 ? 'block' : 'none';
+    broadcasts.forEach(broadcast => container.appendChild(createBroadcastRow(broadcast)));
+}
+
+function createBroadcastRow(broadcast) {
+    const row = document.createElement('div');
+    row.className = 'ack-row';
+    row.title = broadcast.message;
+
+    const info = document.createElement('div');
+    info.className = 'ack-info';
+    const name = document.createElement('strong');
+    name.textContent = broadcast.message.length > 60 ? `${broadcast.message.slice(0, 57)}...` : broadcast.message;
+    const detail = document.createElement('small');
+    const parts = [
+        broadcast.dsps === 'all' ? 'All DSPs' : broadcast.dsps.join(', '),
+        broadcast.schedule
+    ];
+    if (broadcast.nextRunAt) {
+        parts.push(`next ${new Date(broadcast.nextRunAt).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}`);
+    }
+    if (broadcast.stationName) parts.push(broadcast.stationName);
+    detail.textContent = parts.join(' · ');
+    info.appendChild(name);
+    info.appendChild(detail);
+    row.appendChild(info);
+
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'btn btn-primary';
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => editBroadcast(broadcast));
+    row.appendChild(editButton);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'btn btn-ghost';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => handleCancelBroadcast(broadcast, cancelButton));
+    row.appendChild(cancelButton);
+    return row;
+}
+
+function handleSendTimingChange() {
+    const timing = elements.sendTiming.value;
+    elements.scheduleOnceGroup.style.display = timing === 'once' ? 'block' : 'none';
+    elements.scheduleRecurringGroup.style.display = timing === 'recurring' ? 'block' : 'none';
+    if (timing === 'once' && !elements.scheduleAt.value) {
+        elements.scheduleAt.value = toDateTimeLocal(Date.now() + 60 * 60 * 1000);
+    }
+    updateSendButtonLabel();
+}
+
+function updateSendButtonLabel() {
+    if (!elements.sendButtonText) return;
+    if (elements.sendTiming.value !== 'now') {
+        elements.sendButtonText.textContent = editingBroadcastId ? 'Update Broadcast' : 'Schedule Broadcast';
+        return;
+    }
+    const targetType = document.querySelector('input[name="targetType"]:checked')?.value || 'individual';
+    elements.sendButtonText.textContent = { multiple: 'Send to Selected', all: 'Send to All' }[targetType] || 'Send Message';
+}
+
+// Value for a datetime-local input, in local time
+function toDateTimeLocal(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Reads the schedule fields; throws with a user-facing message when they are incomplete
+function getBroadcastSchedule() {
+    if (elements.sendTiming.value === 'recurring') {
+        const days = Array.from(document.querySelectorAll('input[name="recurDay"]:checked')).map(cb => Number(cb.value));
+        if (!elements.recurTime.value) throw new Error('Pick a time for the broadcast');
+        if (days.length === 0) throw new Error('Pick at least one weekday');
+        return { recurrence: { time: elements.recurTime.value, days } };
+    }
+    const at = elements.scheduleAt.value ? new Date(elements.scheduleAt.value).getTime() : NaN;
+    if (!Number.isFinite(at)) throw new Error('Pick a date and time for the broadcast');
+    if (at <= Date.now()) throw new Error('Pick a time in the future');
+    return { at };
+}
+
+async function handleScheduleBroadcast(message) {
+    try {
+        const targetType = document.querySelector('input[name="targetType"]:checked')?.value || 'individual';
+        const broadcast = {
+            id: editingBroadcastId || undefined,
+            message,
+            stationId: activeStationId,
+            dsps: targetType === 'all' ? 'all' : getSelectedDSPs(),
+            ...getBroadcastSchedule()
+        };
+
+        setButtonLoading(elements.sendMessageButton, true);
+        const response = await browser.runtime.sendMessage({ action: 'saveScheduledBroadcast', broadcast });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to schedule broadcast');
+        }
+
+        showToast(editingBroadcastId ? '✅ Broadcast updated' : '✅ Broadcast scheduled', 'success');
+        resetBroadcastForm();
+        elements.messageInput.value = '';
+        updateCharacterCount();
+        await loadScheduledBroadcasts();
+    } catch (error) {
+        console.error('❌ Error scheduling broadcast:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    } finally {
+        setButtonLoading(elements.sendMessageButton, false);
+        updateSendButtonLabel();
+    }
+}
+
+// Load a broadcast into the message form so saving replaces it
+async function editBroadcast(broadcast) {
+    editingBroadcastId = broadcast.id;
+
+    if (broadcast.stationId !== activeStationId) {
+        activeStationId = broadcast.stationId;
+        await loadDSPOptions();
+    }
+
+    const targetType = broadcast.dsps === 'all' ? 'all' : (broadcast.dsps.length === 1 ? 'individual' : 'multiple');
+    const radio = document.querySelector(`input[name="targetType"][value="${targetType}"]`);
+    if (radio) {
+        radio.checked = true;
+        radio.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    if (targetType === 'individual' && elements.dspSelect) {
+        elements.dspSelect.value = broadcast.dsps[0];
+    } else if (targetType === 'multiple') {
+        document.querySelectorAll('#dspCheckboxes input[type="checkbox"]').forEach(cb => {
+            cb.checked = broadcast.dsps.includes(cb.value);
+        });
+    }
+
+    elements.messageInput.value = broadcast.message;
+    elements.messageInput.dispatchEvent(new Event('input'));
+
+    if (broadcast.recurrence) {
+        elements.sendTiming.value = 'recurring';
+        elements.recurTime.value = broadcast.recurrence.time;
+        document.querySelectorAll('input[name="recurDay"]').forEach(cb => {
+            cb.checked = broadcast.recurrence.days.includes(Number(cb.value));
+        });
+    } else {
+        elements.sendTiming.value = 'once';
+        elements.scheduleAt.value = toDateTimeLocal(broadcast.at);
+    }
+    handleSendTimingChange();
+
+    if (elements.cancelBroadcastEdit) elements.cancelBroadcastEdit.style.display = 'block';
+    elements.messageInput.focus();
+}
+
+function resetBroadcastForm() {
+    editingBroadcastId = null;
+    if (elements.cancelBroadcastEdit) elements.cancelBroadcastEdit.style.display = 'none';
+    elements.sendTiming.value = 'now';
+    elements.scheduleAt.value = '';
+    handleSendTimingChange();
+}
+
+async function handleCancelBroadcast(broadcast, button) {
+    if (!confirm('Cancel this scheduled broadcast?')) return;
+    button.disabled = true;
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'cancelScheduledBroadcast', id: broadcast.id });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Cancel failed');
+        }
+        if (editingBroadcastId === broadcast.id) resetBroadcastForm();
+        showToast('Broadcast cancelled', 'success');
+        await loadScheduledBroadcasts();
+    } catch (error) {
+        console.error('❌ Error cancelling broadcast:', error);
+        showToast('Failed to cancel broadcast', 'error');
+        button.disabled = false;
+    }
+}
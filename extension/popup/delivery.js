@@ -0,0 +1,94 @@
+// Webhook posts that failed and are waiting in the background delivery queue
+async function loadDeliveryQueue() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getDeliveryQueue' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return the delivery queue');
+        }
+        renderDeliveryQueue(response.items || []);
+    } catch (error) {
+        console.error('❌ Error loading delivery queue:', error);
+        renderDeliveryQueue([]);
+    }
+}
+
+function renderDeliveryQueue(items) {
+    const card = elements.deliveryQueueCard;
+    const container = elements.deliveryQueueList;
+    if (!card || !container) return;
+    container.innerHTML = '';
+    card.style.display = items.length > 0 ? 'block' : 'none';
+    items.forEach(item => container.appendChild(createDeliveryRow(item)));
+}
+
+function createDeliveryRow(item) {
+    const row = document.createElement('div');
+    row.className = 'ack-row' + (item.status === 'failed' ? ' delivery-failed' : '');
+    row.title = item.message;
+
+    const info = document.createElement('div');
+    info.className = 'ack-info';
+    const name = document.createElement('strong');
+    name.textContent = `${item.target}${item.destination ? ` (${item.destination})` : ''} · ${item.jobLabel}`;
+    const detail = document.createElement('small');
+    const parts = [];
+    if (item.stationName) parts.push(item.stationName);
+    parts.push(item.status === 'failed'
+        ? `failed after ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}`
+        : `retry at ${new Date(item.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+    parts.push(item.lastError);
+    detail.textContent = parts.join(' · ');
+    info.appendChild(name);
+    info.appendChild(detail);
+    row.appendChild(info);
+
+    const retryButton = document.createElement('button');
+    retryButton.type = 'button';
+    retryButton.className = 'btn btn-primary';
+    retryButton.textContent = 'Retry';
+    retryButton.addEventListener('click', () => handleRetryDelivery(item, retryButton));
+    row.appendChild(retryButton);
+
+    const discardButton = document.createElement('button');
+    discardButton.type = 'button';
+    discardButton.className = 'btn btn-ghost';
+    discardButton.textContent = 'Discard';
+    discardButton.addEventListener('click', () => handleDiscardDelivery(item, discardButton));
+    row.appendChild(discardButton);
+    return row;
+}
+
+async function handleRetryDelivery(item, button) {
+    button.disabled = true;
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'retryDelivery', id: item.id });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Retry failed');
+        }
+        if (response.delivered) {
+            showToast(`Message delivered to ${item.target}`, 'success');
+        } else {
+            showToast(`Still failing: ${response.error}`, 'error');
+        }
+        await loadDeliveryQueue();
+    } catch (error) {
+        console.error('❌ Error retrying delivery:', error);
+        showToast(`Failed to retry: ${error.message}`, 'error');
+        button.disabled = false;
+    }
+}
+
+async function handleDiscardDelivery(item, button) {
+    button.disabled = true;
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'discardDelivery', id: item.id });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Discard failed');
+        }
+        await loadDeliveryQueue();
+    } catch (error) {
+        console.error('❌ Error discarding queued message:', error);
+        showToast('Failed to discard message', 'error');
+        button.disabled = false;
+    }
+}
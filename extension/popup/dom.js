@@ -1,5 +1,7 @@
 function cacheElements() {
     elements = {
+        stationGroup: document.getElementById('stationGroup'),
+        stationSelect: document.getElementById('stationSelect'),
         dspSelect: document.getElementById('dspSelect'),
         checkboxContainer: document.getElementById('dspCheckboxes'),
         totalDspCount: document.getElementById('totalDspCount'),
@@ -15,6 +17,22 @@ function cacheElements() {
         multipleDspGroup: document.getElementById('multipleDspGroup'),
         allDspGroup: document.getElementById('allDspGroup'),
         connectionStatus: document.getElementById('connectionStatus'),
+        ackList: document.getElementById('ackList'),
+        deliveryQueueCard: document.getElementById('deliveryQueueCard'),
+        deliveryQueueList: document.getElementById('deliveryQueueList'),
+        sendTiming: document.getElementById('sendTiming'),
+        scheduleOnceGroup: document.getElementById('scheduleOnceGroup'),
+        scheduleAt: document.getElementById('scheduleAt'),
+        scheduleRecurringGroup: document.getElementById('scheduleRecurringGroup'),
+        recurTime: document.getElementById('recurTime'),
+        cancelBroadcastEdit: document.getElementById('cancelBroadcastEdit'),
+        broadcastCard: document.getElementById('broadcastCard'),
+        broadcastList: document.getElementById('broadcastList'),
+        dryRunBanner: document.getElementById('dryRunBanner'),
+        inferenceSuggestionCard: document.getElementById('inferenceSuggestionCard'),
+        inferenceSuggestionText: document.getElementById('inferenceSuggestionText'),
+        acceptInferenceSuggestion: document.getElementById('acceptInferenceSuggestion'),
+        dismissInferenceSuggestion: document.getElementById('dismissInferenceSuggestion'),
         toast: document.getElementById('status')
     };
 }
@@ -25,31 +43,18 @@ function setupCharacterCounter() {
 
 function handleMessageInput() {
     updateCharacterCount();
-    validateMessageLength();
 }
 
+// Long messages are split by the background before sending; show how many
+// parts it takes for a Chime webhook
 function updateCharacterCount() {
     const message = elements.messageInput?.value || '';
     if (elements.charCount) {
-        elements.charCount.textContent = `${message.length} characters`;
-        if (message.length > 1800) {
-            elements.charCount.style.color = 'var(--error)';
-        } else if (message.length > 1500) {
-            elements.charCount.style.color = 'var(--warning)';
-        } else {
-            elements.charCount.style.color = 'var(--text-muted)';
-        }
-    }
-}
-
-function validateMessageLength() {
-    const message = elements.messageInput?.value || '';
-    if (!elements.messageInput) return;
-    if (message.length > 2000) {
-        elements.messageInput.style.borderColor = 'var(--error)';
-        showToast('Message too long (max 2000 characters)', 'error');
-    } else {
-        elements.messageInput.style.borderColor = '';
+        const parts = MessageSplitter.countParts(message, WebhookDestinations.maxMessageLength('chime'));
+        elements.charCount.textContent = parts > 1
+            ? `${message.length} characters · sent in ${parts} parts`
+            : `${message.length} characters`;
+        elements.charCount.style.color = parts > 1 ? 'var(--warning)' : 'var(--text-muted)';
     }
 }
 
@@ -72,14 +77,17 @@ function handleGlobalKeydown(event) {
     }
 }
 
+// Original button contents, restored as nodes so cached children like #sendButtonText stay live
+const buttonContents = new WeakMap();
+
 function setButtonLoading(button, loading) {
     if (!button) return;
     isLoading = loading;
     if (loading) {
         button.disabled = true;
         button.classList.add('loading');
-        if (!button.dataset.originalText) {
-            button.dataset.originalText = button.textContent;
+        if (!buttonContents.has(button)) {
+            buttonContents.set(button, Array.from(button.childNodes));
         }
         button.textContent = '';
 
@@ -114,8 +122,9 @@ function setButtonLoading(button, loading) {
     } else {
         button.disabled = false;
         button.classList.remove('loading');
-        if (button.dataset.originalText) {
-            button.textContent = button.dataset.originalText;
+        if (buttonContents.has(button)) {
+            button.replaceChildren(...buttonContents.get(button));
+            buttonContents.delete(button);
         }
     }
 }
@@ -7,8 +7,12 @@ async function loadDSPOptions() {
             throw new Error('Browser storage not available');
         }
 
-        const { webhooks = {} } = await browser.storage.local.get('webhooks');
-        console.log('✅ Loaded webhooks:', Object.keys(webhooks));
+        stationProfiles = await loadStationProfiles();
+        populateStationOptions();
+
+        const activeStation = stationProfiles.find(s => s.id === activeStationId) || stationProfiles[0];
+        const webhooks = activeStation?.webhooks || {};
+        console.log(`✅ Loaded webhooks for ${activeStation?.name || activeStationId}:`, Object.keys(webhooks));
 
         availableDSPs = webhooks;
         const dspCodes = Object.keys(webhooks);
@@ -22,6 +26,7 @@ async function loadDSPOptions() {
         }
 
         populateDSPOptions(dspCodes);
+        await loadDspHealthBadges();
         updateConnectionStatus('ready');
         console.log(`✅ Loaded ${dspCodes.length} DSP options successfully`);
     } catch (error) {
@@ -31,6 +36,46 @@ async function loadDSPOptions() {
     }
 }
 
+async function loadStationProfiles() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getStations' });
+        if (response?.success && Array.isArray(response.stations) && response.stations.length > 0) {
+            return response.stations;
+        }
+    } catch (error) {
+        console.warn('Could not load stations from background, using stored webhooks:', error);
+    }
+    const { webhooks = {} } = await browser.storage.local.get('webhooks');
+    return [{ id: 'primary', name: '', enabled: true, webhooks }];
+}
+
+// The station picker only appears once additional stations are configured
+function populateStationOptions() {
+    if (!elements.stationSelect || !elements.stationGroup) return;
+    const stations = stationProfiles.filter(s => s.enabled);
+    if (!stations.some(s => s.id === activeStationId)) {
+        activeStationId = stations[0]?.id || 'primary';
+    }
+
+    while (elements.stationSelect.options.length > 0) {
+        elements.stationSelect.remove(0);
+    }
+    stations.forEach(station => {
+        const option = document.createElement('option');
+        option.value = station.id;
+        option.textContent = station.name || (station.id === 'primary' ? 'Primary station' : station.id);
+        elements.stationSelect.appendChild(option);
+    });
+    elements.stationSelect.value = activeStationId;
+    elements.stationGroup.style.display = stations.length > 1 ? 'block' : 'none';
+}
+
+function handleStationChange(event) {
+    activeStationId = event.target.value || 'primary';
+    console.log(`📍 Active station: ${activeStationId}`);
+    loadDSPOptions();
+}
+
 function clearDSPOptions() {
     if (elements.dspSelect) {
         while (elements.dspSelect.options.length > 1) {
@@ -130,17 +175,15 @@ function handleTargetTypeChange(event) {
     switch (targetType) {
         case 'individual':
             if (elements.individualDspGroup) elements.individualDspGroup.style.display = 'block';
-            if (elements.sendButtonText) elements.sendButtonText.textContent = 'Send Message';
             break;
         case 'multiple':
             if (elements.multipleDspGroup) elements.multipleDspGroup.style.display = 'block';
-            if (elements.sendButtonText) elements.sendButtonText.textContent = 'Send to Selected';
             break;
         case 'all':
             if (elements.allDspGroup) elements.allDspGroup.style.display = 'block';
-            if (elements.sendButtonText) elements.sendButtonText.textContent = 'Send to All';
             break;
     }
+    updateSendButtonLabel();
 }
 
 function getSelectedDSPs() {
@@ -166,14 +209,16 @@ function getSelectedDSPs() {
     return selectedDSPs;
 }
 
+async function loadServiceTypeRegistry() {
+    serviceTypeRegistry = await ServiceTypeRegistry.load();
+    console.log(`📋 Loaded ${serviceTypeRegistry.length} service types`);
+}
+
+function getServiceTypeEntry(serviceType) {
+    return serviceTypeRegistry.find(entry => entry.id === serviceType) || null;
+}
+
+// Roster date for a service type; unknown types (e.g. 'other') use today
 function computeDateParam(serviceType) {
-    const now = new Date();
-    const date = new Date(now);
-    if (serviceType === 'cycle1') {
-        date.setDate(date.getDate() + 1);
-    }
-    const yyyy = date.getFullYear();
-    const mm = String(date.getMonth() + 1).padStart(2, '0');
-    const dd = String(date.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
+    return ServiceTypeRegistry.formatDate(getServiceTypeEntry(serviceType)?.dateOffset);
 }
@@ -3,6 +3,10 @@ function setupEventListeners() {
         radio.addEventListener('change', handleTargetTypeChange);
     });
 
+    if (elements.stationSelect) {
+        elements.stationSelect.addEventListener('change', handleStationChange);
+    }
+
     if (elements.checkNowButton) {
         elements.checkNowButton.addEventListener('click', handleCheckNow);
     }
@@ -11,6 +15,14 @@ function setupEventListeners() {
         elements.sendMessageButton.addEventListener('click', handleSendMessage);
     }
 
+    if (elements.sendTiming) {
+        elements.sendTiming.addEventListener('change', handleSendTimingChange);
+    }
+
+    if (elements.cancelBroadcastEdit) {
+        elements.cancelBroadcastEdit.addEventListener('click', resetBroadcastForm);
+    }
+
     if (elements.sendSummaryButton) {
         elements.sendSummaryButton.addEventListener('click', handleSendSummary);
     }
@@ -19,6 +31,14 @@ function setupEventListeners() {
         elements.sendReattemptsButton.addEventListener('click', handleSendReattempts);
     }
 
+    if (elements.acceptInferenceSuggestion) {
+        elements.acceptInferenceSuggestion.addEventListener('click', () => handleInferenceSuggestion(true));
+    }
+
+    if (elements.dismissInferenceSuggestion) {
+        elements.dismissInferenceSuggestion.addEventListener('click', () => handleInferenceSuggestion(false));
+    }
+
     if (elements.openSettingsButton) {
         elements.openSettingsButton.addEventListener('click', handleOpenSettings);
     }
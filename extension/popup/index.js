@@ -3,6 +3,13 @@ document.addEventListener('DOMContentLoaded', function() {
     cacheElements();
     setupEventListeners();
     loadDSPOptions();
+    loadDryRunBanner();
+    loadDeliveryQueue();
+    loadScheduledBroadcasts();
+    loadServiceTypeRegistry().then(() => {
+        loadAlertAcknowledgements();
+        loadServiceTypeSuggestion();
+    });
     setupCharacterCounter();
     console.log('✅ Popup initialized successfully');
 });
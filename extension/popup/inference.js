@@ -0,0 +1,57 @@
+// Pending service type suggestion from auto-detection ("Suggest only" mode)
+async function loadServiceTypeSuggestion() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getServiceTypeInference' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return inference state');
+        }
+        renderServiceTypeSuggestion(response.suggestion);
+    } catch (error) {
+        console.error('❌ Error loading service type suggestion:', error);
+        renderServiceTypeSuggestion(null);
+    }
+}
+
+function renderServiceTypeSuggestion(suggestion) {
+    const card = elements.inferenceSuggestionCard;
+    if (!card) return;
+    const changes = suggestion?.changes || {};
+    if (Object.keys(changes).length === 0) {
+        card.style.display = 'none';
+        return;
+    }
+    const label = id => getServiceTypeEntry(id)?.shortName || id;
+    const enable = Object.keys(changes).filter(id => changes[id]).map(label);
+    const disable = Object.keys(changes).filter(id => !changes[id]).map(label);
+    const parts = [];
+    if (enable.length) parts.push(`Enable ${enable.join(', ')}`);
+    if (disable.length) parts.push(`Disable ${disable.join(', ')}`);
+    elements.inferenceSuggestionText.textContent = parts.join(' · ');
+    card.style.display = 'block';
+}
+
+async function handleInferenceSuggestion(accept) {
+    try {
+        const response = await browser.runtime.sendMessage({
+            action: accept ? 'acceptServiceTypeSuggestion' : 'dismissServiceTypeSuggestion'
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+        renderServiceTypeSuggestion(null);
+        if (accept) showToast('Detected service types applied', 'success');
+    } catch (error) {
+        console.error('❌ Error handling service type suggestion:', error);
+        showToast(`Failed: ${error.message}`, 'error');
+    }
+}
+
+// Dry run sends every outgoing message to the options outbox
+async function loadDryRunBanner() {
+    try {
+        const { dryRunEnabled = false } = await browser.storage.local.get('dryRunEnabled');
+        if (elements.dryRunBanner) elements.dryRunBanner.style.display = dryRunEnabled ? 'block' : 'none';
+    } catch (error) {
+        console.error('❌ Error loading dry-run state:', error);
+    }
+}
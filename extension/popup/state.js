@@ -3,5 +3,10 @@ if (typeof browser === 'undefined' && typeof chrome !== 'undefined') {
 }
 
 let availableDSPs = {};
+let stationProfiles = [];
+let activeStationId = 'primary';
+let serviceTypeRegistry = ServiceTypeRegistry.normalizeList(ServiceTypeRegistry.DEFAULTS);
 let isLoading = false;
+// Id of the scheduled broadcast loaded into the message form, if any
+let editingBroadcastId = null;
 let elements = {};
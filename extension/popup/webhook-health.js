@@ -0,0 +1,48 @@
+// Webhook health badges on the DSP list (results come from background/webhook-health.js)
+const HEALTH_BADGE_LABELS = { ok: 'OK', reachable: 'Reachable', failing: 'Failing', never: 'Never tested' };
+
+async function loadDspHealthBadges() {
+    try {
+        const response = await browser.runtime.sendMessage({ action: 'getWebhookHealth' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Background did not return webhook health');
+        }
+        renderDspHealthBadges(response.stations?.[activeStationId] || {});
+    } catch (error) {
+        console.error('❌ Error loading webhook health:', error);
+    }
+}
+
+function describeDspHealth(health) {
+    if (!health || health.status === 'never') return 'Webhook never tested';
+    const checked = health.checkedAt ? ` (checked ${new Date(health.checkedAt).toLocaleString()})` : '';
+    if (health.status === 'failing') return `Webhook failing: ${health.error || 'Unknown error'}${checked}`;
+    return health.status === 'reachable'
+        ? `Webhook reachable, not yet confirmed by a test or delivery${checked}`
+        : `Webhook OK${checked}`;
+}
+
+function renderDspHealthBadges(dspHealth) {
+    if (elements.dspSelect) {
+        Array.from(elements.dspSelect.options).forEach(option => {
+            if (!option.value) return;
+            const status = dspHealth[option.value]?.status || 'never';
+            option.textContent = status === 'ok' ? option.value : `${option.value} (${HEALTH_BADGE_LABELS[status].toLowerCase()})`;
+            option.title = describeDspHealth(dspHealth[option.value]);
+        });
+    }
+
+    document.querySelectorAll('#dspCheckboxes .checkbox-option').forEach(optionDiv => {
+        const dspCode = optionDiv.querySelector('input')?.value;
+        if (!dspCode) return;
+        const status = dspHealth[dspCode]?.status || 'never';
+        let badge = optionDiv.querySelector('.health-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            optionDiv.appendChild(badge);
+        }
+        badge.className = `health-badge ${status}`;
+        badge.textContent = HEALTH_BADGE_LABELS[status];
+        badge.title = describeDspHealth(dspHealth[dspCode]);
+    });
+}
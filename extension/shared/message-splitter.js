@@ -0,0 +1,150 @@
+// Splits long markdown messages into parts that fit a provider's size limit
+// (WebhookDestinations.maxMessageLength). Breaks fall between lines: a table row or a
+// line of a code block is never cut, a table split across parts repeats its header rows,
+// and a code block split across parts is closed and reopened. The heading lines the
+// message starts with (title, DSP line) are repeated on every part, the first of them
+// with a "Part n/m" label.
+const MessageSplitter = {
+    // Used when a paragraph line alone is longer than a part
+    MIN_PART_LENGTH: 200,
+
+    formatLabel(index, total) {
+        return `Part ${index}/${total}`;
+    },
+
+    // Lines -> blocks of { head, rows, tail }; head and tail are repeated on every
+    // part a block is split across (table header, code fences)
+    parseBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            const trimmed = line.trim();
+
+            if (trimmed.startsWith('```')) {
+                const rows = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith('```')) rows.push(lines[i++]);
+                const closed = i < lines.length;
+                blocks.push({ head: [line], rows, tail: [closed ? lines[i] : '```'] });
+                i++;
+                continue;
+            }
+
+            if (trimmed.startsWith('|')) {
+                const tableLines = [];
+                while (i < lines.length && lines[i].trim().startsWith('|')) tableLines.push(lines[i++]);
+                const hasSeparator = tableLines.length > 1 && /^\|[\s\-:|]+\|?$/.test(tableLines[1].trim());
+                const headerCount = hasSeparator ? 2 : 1;
+                blocks.push({ head: tableLines.slice(0, headerCount), rows: tableLines.slice(headerCount), tail: [], table: true });
+                continue;
+            }
+
+            blocks.push({ head: [], rows: [line], tail: [] });
+            i++;
+        }
+        return blocks;
+    },
+
+    // Word-wraps a paragraph line that is longer than a whole part
+    wrapLine(line, size) {
+        const pieces = [];
+        let rest = line;
+        while (rest.length > size) {
+            let cut = rest.lastIndexOf(' ', size);
+            if (cut <= 0) cut = size;
+            pieces.push(rest.slice(0, cut));
+            rest = rest.slice(cut).trimStart();
+        }
+        pieces.push(rest);
+        return pieces;
+    },
+
+    // Returns the message unchanged when it fits, otherwise labelled parts.
+    // `maxTableRows` caps the table rows in each part; `formatLabel(index, total)` words the label.
+    split(text, maxLength, { maxTableRows = 0, formatLabel } = {}) {
+        const raw = String(text || '');
+        const label = formatLabel || this.formatLabel;
+        const prefixMatch = raw.match(/^\s*\/md\s*/);
+        const prefix = prefixMatch ? prefixMatch[0].trimStart() : '';
+        const lines = raw.slice(prefixMatch ? prefixMatch[0].length : 0).split('\n');
+        const header = [];
+        while (lines.length > 0 && /^\s*#/.test(lines[0])) header.push(lines.shift().trimEnd());
+        const blocks = this.parseBlocks(lines);
+
+        const tooManyRows = maxTableRows > 0 && blocks.some(block => block.table && block.rows.length > maxTableRows);
+        if (raw.length <= maxLength && !tooManyRows) return [raw];
+
+        // Room for the prefix, the header and the label on every part
+        const reserved = prefix.length + header.join('\n').length + label(99, 99).length + 8;
+        const budget = Math.max(maxLength - reserved, this.MIN_PART_LENGTH);
+        const size = lines => lines.reduce((sum, line) => sum + line.length + 1, 0);
+
+        const parts = [];
+        let current = [];
+        let currentSize = 0;
+        const add = lines => {
+            current.push(...lines);
+            currentSize += size(lines);
+        };
+        const startPart = () => {
+            if (current.some(line => line.trim())) parts.push(current);
+            current = [];
+            currentSize = 0;
+        };
+
+        blocks.forEach(block => {
+            const whole = [...block.head, ...block.rows, ...block.tail];
+            const rowsFit = !block.table || !maxTableRows || block.rows.length <= maxTableRows;
+            if (rowsFit && currentSize + size(whole) <= budget) {
+                add(whole);
+                return;
+            }
+            if (rowsFit && size(whole) <= budget) {
+                startPart();
+                add(whole);
+                return;
+            }
+
+            const rows = block.head.length === 0 && block.tail.length === 0
+                ? block.rows.flatMap(line => this.wrapLine(line, budget))
+                : block.rows;
+            const headSize = size(block.head);
+            const tailSize = size(block.tail);
+            let open = false;
+            let rowsInPart = 0;
+            rows.forEach(row => {
+                const needed = (open ? 0 : headSize) + row.length + 1 + tailSize;
+                const full = currentSize + needed > budget || (block.table && maxTableRows && rowsInPart >= maxTableRows);
+                if (full && (open || currentSize > 0)) {
+                    if (open) add(block.tail);
+                    startPart();
+                    open = false;
+                    rowsInPart = 0;
+                }
+                if (!open) {
+                    add(block.head);
+                    open = true;
+                }
+                add([row]);
+                rowsInPart++;
+            });
+            if (open) add(block.tail);
+        });
+        startPart();
+
+        if (parts.length <= 1) return [raw];
+        return parts.map((partLines, index) => {
+            const body = partLines.join('\n').replace(/^\s*\n/, '').trimEnd();
+            const partLabel = label(index + 1, parts.length);
+            const heading = header.length > 0
+                ? [`${header[0]} (${partLabel})`, ...header.slice(1)].join('\n')
+                : `**${partLabel}**`;
+            return `${prefix}${heading}\n\n${body}`;
+        });
+    },
+
+    countParts(text, maxLength, options) {
+        return this.split(text, maxLength, options).length;
+    }
+};
@@ -0,0 +1,551 @@
+// Message templates shared by the background, popup and options.
+// Each automated message type has a built-in template per language below; edits
+// made in options are stored per type and language under `messageTemplates` and
+// win over the default. Each DSP gets messages in its language from
+// `messageLanguages` ({ defaultLanguage, dsps: { DSPCODE: 'de' } }).
+// Types marked `perStage` are kept once per escalation ladder stage under
+// `<type>:<stageId>` (see stageTemplateId); every stage starts from the type's default.
+const MessageTemplates = {
+    STORAGE_KEY: 'messageTemplates',
+    LANGUAGES_KEY: 'messageLanguages',
+
+    LANGUAGES: { en: 'English', de: 'Deutsch' },
+    DEFAULT_LANGUAGE: 'en',
+
+    // Fragments the senders build outside the templates
+    PHRASES: {
+        en: {
+            deadline: '⏰ **Reminder:** Please ensure your roster is done by **{time}**.',
+            deadlineUrgent: '⏰ **URGENT DEADLINE:** Roster must be done by **{time}**.',
+            wavesShort: 'Waves needing drivers',
+            wavesExtra: 'Waves with extra drivers',
+            waveRow: '{rostered} of {confirmed} rostered',
+            waveShort: '{count} short',
+            waveExtra: '{count} extra',
+            part: 'Part {index}/{total}',
+            noAddress: 'No Address',
+            noTimeWindow: 'No Time Window',
+            reattemptTableHeader: '| 📦 Tracking ID | ❌ Reason | 🚚 Route | 🏠 Address | Type | ⚠️ Attempted | 🕒 Time Window |',
+            escalationTableHeader: '| DSP | ✅ Accepted | ❗ Rostered | Missing | Waves |'
+        },
+        de: {
+            deadline: '⏰ **Erinnerung:** Bitte das Roster bis **{time}** abschließen.',
+            deadlineUrgent: '⏰ **DRINGENDE DEADLINE:** Das Roster muss bis **{time}** fertig sein.',
+            wavesShort: 'Wellen mit fehlenden Fahrern',
+            wavesExtra: 'Wellen mit zusätzlichen Fahrern',
+            waveRow: '{rostered} von {confirmed} eingeplant',
+            waveShort: '{count} fehlen',
+            waveExtra: '{count} zu viel',
+            part: 'Teil {index}/{total}',
+            noAddress: 'Keine Adresse',
+            noTimeWindow: 'Kein Zeitfenster',
+            reattemptTableHeader: '| 📦 Sendungsnummer | ❌ Grund | 🚚 Route | 🏠 Adresse | Typ | ⚠️ Versucht | 🕒 Zeitfenster |',
+            escalationTableHeader: '| DSP | ✅ Akzeptiert | ❗ Eingeplant | Fehlend | Wellen |'
+        }
+    },
+
+    // Placeholders shared by the roster messages
+    ROSTER_VARIABLES: {
+        dsp: 'DSP short code',
+        dspName: 'DSP name as shown on the Scheduling page',
+        serviceType: 'Service type display name',
+        confirmed: 'Accepted routes',
+        rostered: 'Rostered drivers',
+        missing: 'Accepted routes without a driver',
+        extra: 'Drivers rostered beyond accepted routes',
+        waves: 'Waves behind the mismatch, e.g. "10:20 (2 short)"',
+        waveBreakdown: 'The same waves as a list (empty without a breakdown)',
+        deadline: 'Roster deadline line (empty when the service type has none)',
+        deadlineTime: 'Roster deadline time, e.g. 14:00',
+        date: 'Roster date (YYYY-MM-DD)'
+    },
+
+    TYPES: [
+        {
+            id: 'underRoster',
+            name: 'Under-rostered alert',
+            description: 'Sent to a DSP with fewer drivers rostered than accepted routes.',
+            variables: 'roster',
+            defaults: {
+                en: `/md #### ⚠️ {serviceType} Under-Rostered Alert
+
+**DSP:** {dspName}
+
+| Status | Count |
+|--------|-------|
+| ✅ **Accepted** | {confirmed} |
+| ❗ **Rostered** | {rostered} |{waveBreakdown}
+
+> **Action Required:** Accepted routes without a driver: **{missing}**. Please roster the missing drivers.{deadline}`,
+                de: `/md #### ⚠️ {serviceType} – Unterbesetzung
+
+**DSP:** {dspName}
+
+| Status | Anzahl |
+|--------|--------|
+| ✅ **Akzeptiert** | {confirmed} |
+| ❗ **Eingeplant** | {rostered} |{waveBreakdown}
+
+> **Handlungsbedarf:** Akzeptierte Routen ohne Fahrer: **{missing}**. Bitte die fehlenden Fahrer einplanen.{deadline}`
+            }
+        },
+        {
+            id: 'overRoster',
+            name: 'Over-rostered notice',
+            description: 'Sent to a DSP with more drivers rostered than accepted routes.',
+            variables: 'roster',
+            sample: { over: true },
+            defaults: {
+                en: `/md #### ℹ️ {serviceType} Over-Rostered Notice
+
+**DSP:** {dspName}
+
+| Status | Count |
+|--------|-------|
+| ✅ **Accepted** | {confirmed} |
+| ❗ **Rostered** | {rostered} |{waveBreakdown}
+
+> **Action Required:** Drivers rostered beyond accepted routes: **{extra}**. Please remove the extra drivers or contact the station if you expect more routes.{deadline}`,
+                de: `/md #### ℹ️ {serviceType} – Überbesetzung
+
+**DSP:** {dspName}
+
+| Status | Anzahl |
+|--------|--------|
+| ✅ **Akzeptiert** | {confirmed} |
+| ❗ **Eingeplant** | {rostered} |{waveBreakdown}
+
+> **Handlungsbedarf:** Mehr Fahrer eingeplant als akzeptierte Routen: **{extra}**. Bitte die zusätzlichen Fahrer entfernen oder die Station kontaktieren, falls weitere Routen erwartet werden.{deadline}`
+            }
+        },
+        {
+            id: 'overRosterFollowUp',
+            name: 'Over-rostered follow-up',
+            description: 'Reminder to DSPs still over-rostered after the follow-up delay.',
+            variables: 'roster',
+            extraVariables: { minutes: 'Minutes since the first notice' },
+            sample: { over: true, minutes: 30 },
+            defaults: {
+                en: `/md #### ℹ️ {serviceType} Over-Rostered Notice
+
+**DSP:** {dspName}
+
+| Status | Count |
+|--------|-------|
+| ✅ **Accepted** | {confirmed} |
+| ❗ **Rostered** | {rostered} |{waveBreakdown}
+
+> **Action Required:** Drivers rostered beyond accepted routes: **{extra}**. Please remove the extra drivers or contact the station if you expect more routes.
+
+⏰ **Reminder:** still over-rostered {minutes} minutes after the first notice.`,
+                de: `/md #### ℹ️ {serviceType} – Überbesetzung
+
+**DSP:** {dspName}
+
+| Status | Anzahl |
+|--------|--------|
+| ✅ **Akzeptiert** | {confirmed} |
+| ❗ **Eingeplant** | {rostered} |{waveBreakdown}
+
+> **Handlungsbedarf:** Mehr Fahrer eingeplant als akzeptierte Routen: **{extra}**. Bitte die zusätzlichen Fahrer entfernen oder die Station kontaktieren, falls weitere Routen erwartet werden.
+
+⏰ **Erinnerung:** {minutes} Minuten nach dem ersten Hinweis weiterhin überbesetzt.`
+            }
+        },
+        {
+            id: 'deadlineReminder',
+            name: 'Roster deadline reminder',
+            description: 'T-minus reminder to DSPs still short before the roster deadline.',
+            variables: 'roster',
+            extraVariables: { minutes: 'Minutes left until the deadline' },
+            sample: { minutes: 30, urgent: true },
+            defaults: {
+                en: `/md #### ⏳ {serviceType} Roster Deadline in {minutes} Minutes
+
+**DSP:** {dspName}
+
+| Status | Count |
+|--------|-------|
+| ✅ **Accepted** | {confirmed} |
+| ❗ **Rostered** | {rostered} |{waveBreakdown}
+
+> Accepted routes still without a driver: **{missing}**.{deadline}`,
+                de: `/md #### ⏳ {serviceType} – Roster-Deadline in {minutes} Minuten
+
+**DSP:** {dspName}
+
+| Status | Anzahl |
+|--------|--------|
+| ✅ **Akzeptiert** | {confirmed} |
+| ❗ **Eingeplant** | {rostered} |{waveBreakdown}
+
+> Akzeptierte Routen weiterhin ohne Fahrer: **{missing}**.{deadline}`
+            }
+        },
+        {
+            id: 'escalationDsp',
+            name: 'Escalation (DSP)',
+            description: 'Sent to DSPs still short when this escalation ladder stage fires.',
+            perStage: true,
+            variables: 'roster',
+            extraVariables: {
+                minutes: 'Minutes since the initial alert',
+                stage: 'Escalation stage name',
+                percent: 'Share of accepted routes rostered (%)'
+            },
+            sample: { minutes: 15, stage: 'DSP reminder', percent: 75, urgent: true },
+            defaults: {
+                en: `/md #### 🚨 **URGENT - {serviceType} Rostering Still Unresolved**
+
+⚠️ **{minutes} minutes have passed** since the initial alert for **{dspName}**
+
+| Status | Count |
+|--------|-------|
+| ✅ **Accepted** | {confirmed} |
+| ❗ **Rostered** | {rostered} |{waveBreakdown}
+
+> **🔴 IMMEDIATE ACTION REQUIRED** - Please check and adjust your roster now.{deadline}`,
+                de: `/md #### 🚨 **DRINGEND – {serviceType} Roster weiterhin offen**
+
+⚠️ **{minutes} Minuten sind vergangen** seit dem ersten Hinweis für **{dspName}**
+
+| Status | Anzahl |
+|--------|--------|
+| ✅ **Akzeptiert** | {confirmed} |
+| ❗ **Eingeplant** | {rostered} |{waveBreakdown}
+
+> **🔴 SOFORTIGER HANDLUNGSBEDARF** – Bitte das Roster jetzt prüfen und anpassen.{deadline}`
+            }
+        },
+        {
+            id: 'escalationLead',
+            name: 'Escalation (station lead)',
+            description: 'Sent to the station lead webhook when this escalation ladder stage fires, in the default language.',
+            perStage: true,
+            variables: {
+                serviceType: 'Service type display name',
+                stage: 'Escalation stage name',
+                minutes: 'Minutes since the initial alert',
+                count: 'Number of DSPs still short',
+                dspList: 'DSP short codes, comma separated',
+                dspTable: 'Table of the DSPs still short'
+            },
+            sample: { serviceType: 'Cycle 1 (Standard Parcel)', stage: 'Station lead', minutes: 30, count: 1, dspList: 'ABCD', dspTable: null },
+            defaults: {
+                en: `/md #### 📣 {serviceType} Rostering - {count} DSP(s) Still Short
+
+**{minutes} minutes** after the initial alert these DSPs are still not fully rostered:
+
+{dspTable}`,
+                de: `/md #### 📣 {serviceType} Roster – {count} DSP(s) weiterhin unterbesetzt
+
+**{minutes} Minuten** nach dem ersten Hinweis sind diese DSPs noch nicht vollständig eingeplant:
+
+{dspTable}`
+            }
+        },
+        {
+            id: 'riskAlert',
+            name: 'Risk alert',
+            description: 'Sent to a DSP (and Slack) for each flagged risk dashboard item.',
+            variables: {
+                type: 'Risk type, e.g. BC or CNA',
+                dsp: 'DSP short code',
+                route: 'Route ID',
+                transporter: 'Transporter ID',
+                count: 'Flagged count',
+                reason: 'Why the item was flagged',
+                link: 'Dashboard link line (empty without a link)',
+                date: 'Date of the flagged item'
+            },
+            sample: {
+                type: 'BC',
+                dsp: 'ABCD',
+                route: 'CX123',
+                transporter: 'A1B2C3D4E5',
+                count: 11,
+                reason: 'Business Closed >= 10',
+                link: '\n\nLink: https://example.com/dashboard',
+                date: '2026-01-15'
+            },
+            defaults: {
+                en: `/md 🚨 Risk Alert: {type}
+
+Date: {date}
+DSP: {dsp}
+Route: {route}
+Transporter: {transporter}
+Count: {count}
+Reason: {reason}{link}`,
+                de: `/md 🚨 Risiko-Warnung: {type}
+
+Datum: {date}
+DSP: {dsp}
+Route: {route}
+Transporter: {transporter}
+Anzahl: {count}
+Grund: {reason}{link}`
+            }
+        },
+        {
+            id: 'reattemptReport',
+            name: 'Failed reattempt table',
+            description: 'Header and table of failed shipments sent to each DSP.',
+            variables: {
+                dsp: 'DSP short code',
+                table: 'Markdown table of failed shipments',
+                date: 'Report date (YYYY-MM-DD)'
+            },
+            // Long reports are split and labelled "Part n/m" when sent; older custom templates may still have {part}
+            retiredVariables: ['part'],
+            sample: { dsp: 'ABCD', table: null, date: '2026-01-15' },
+            defaults: {
+                en: `/md
+# Failed Shipments to Reattempt
+## DSP {dsp}
+
+Hi <@all|All Members>,
+
+Here are the Failed Deliveries that need reattempt:
+
+{table}
+`,
+                de: `/md
+# Fehlgeschlagene Sendungen für erneuten Zustellversuch
+## DSP {dsp}
+
+Hallo <@all|All Members>,
+
+Hier sind die fehlgeschlagenen Lieferungen, die einen erneuten Zustellversuch benötigen:
+
+{table}
+`
+            }
+        },
+        {
+            id: 'reattemptActionGuide',
+            name: 'Reattempt action guide',
+            description: 'Sent after the failed reattempt table to every DSP that got one.',
+            variables: {
+                dsp: 'DSP short code',
+                date: 'Report date (YYYY-MM-DD)'
+            },
+            sample: { dsp: 'ABCD', date: '2026-01-15' },
+            defaults: {
+                en: `/md
+### Action Guide
+
+**🏢 BUSINESS_CLOSED:**
+- Without Time Window:
+  → FQA will add the Time Window
+- With Time Window (Inside the TW):
+  → DSP: Please provide information about the situation and confirm redelivery attempt
+- With Time Window (Out of the TW):
+  → On Road team will review the routing
+- RESIDENTIAL address:
+  → DSP: Please inform if this is an error and if a second attempt will be made
+
+**🔒 LOCKER_ISSUE:**
+→ **DSP**: Please provide details about the issue and indicate if urgent intervention is needed for same-day delivery
+
+**🗺️ UNABLE_TO_LOCATE ADDRESS / 🚫 UNABLE_TO_ACCESS:**
+→ **DSL** will verify if it's a genuine case
+- If genuine: **DSL** will provide correct information for redelivery
+- If not genuine: **DSP** to arrange redelivery with DA
+
+**🔑 OTP_NOT_AVAILABLE:**
+→ **DSL** will review the case and assist the DSP to complete the delivery
+
+**❓ ITEMS_MISSING:**
+→ **DSP**: Please provide information about what happened
+`,
+                de: `/md
+### Handlungsanleitung
+
+**🏢 BUSINESS_CLOSED:**
+- Ohne Zeitfenster:
+  → FQA fügt das Zeitfenster hinzu
+- Mit Zeitfenster (Innerhalb Zeitfenster):
+  → DSP: Bitte Informationen zur Situation bereitstellen und Zustellversuch bestätigen
+- Mit Zeitfenster (Ausserhalb Zeitfenster):
+  → On Road Team überprüft die Route
+- WOHNADRESSE:
+  → DSP: Bitte informieren Sie, ob es sich um einen Fehler handelt und ob ein zweiter Versuch unternommen wird
+
+**🔒 LOCKER_ISSUE:**
+→ **DSP**: Bitte Details zum Problem mitteilen und angeben, ob dringende Intervention für Lieferung am selben Tag erforderlich
+
+**🗺️ UNABLE_TO_LOCATE ADDRESS / 🚫 UNABLE_TO_ACCESS:**
+→ **DSL** überprüft, ob es sich um einen echten Fall handelt
+- Falls echt: **DSL** stellt korrekte Informationen für erneute Zustellung bereit
+- Falls nicht echt: **DSP** organisiert erneute Zustellung mit DA
+
+**🔑 OTP_NOT_AVAILABLE:**
+→ **DSL** überprüft den Fall und unterstützt den DSP bei der Zustellung
+
+**❓ ITEMS_MISSING:**
+→ **DSP**: Bitte Informationen zum Vorfall bereitstellen
+`
+            }
+        },
+        {
+            id: 'summary',
+            name: 'Route planning summary',
+            description: 'Daily summary sent from the popup to each DSP.',
+            variables: {
+                dsp: 'DSP short code',
+                date: 'Today (DD.MM.YYYY)',
+                spr: 'Average stops per route',
+                shiftTime: 'Average shift time in minutes',
+                paidTime: 'Paid time in minutes'
+            },
+            sample: { dsp: 'ABCD', date: '15.01.2026', spr: 182, shiftTime: 512, paidTime: 525 },
+            defaults: {
+                en: `/md 📋 Daily Route Planning Summary
+
+🚚 {dsp} | {date}
+
+📦 SPR: {spr}
+⏱️ Shift Time: {shiftTime} min
+💰 Paid Time: {paidTime} min`,
+                de: `/md 📋 Tägliche Routenplanung – Zusammenfassung
+
+🚚 {dsp} | {date}
+
+📦 SPR: {spr}
+⏱️ Schichtzeit: {shiftTime} min
+💰 Bezahlte Zeit: {paidTime} min`
+            }
+        }
+    ],
+
+    // Per-stage ids resolve to their type, carrying the full id
+    getType(id) {
+        const [typeId, stageId] = String(id || '').split(':');
+        const type = this.TYPES.find(entry => entry.id === typeId);
+        if (!type || (stageId !== undefined && (!type.perStage || !stageId))) return null;
+        return stageId ? { ...type, id } : type;
+    },
+
+    stageTemplateId(id, stageId) {
+        return `${id}:${stageId}`;
+    },
+
+    getVariables(id) {
+        const type = this.getType(id);
+        if (!type) return {};
+        const base = type.variables === 'roster' ? this.ROSTER_VARIABLES : type.variables;
+        return { ...base, ...(type.extraVariables || {}) };
+    },
+
+    normalizeLanguage(language) {
+        return Object.prototype.hasOwnProperty.call(this.LANGUAGES, language) ? language : this.DEFAULT_LANGUAGE;
+    },
+
+    phrase(language, key, values = {}) {
+        const phrases = this.PHRASES[this.normalizeLanguage(language)];
+        return this.render(phrases[key] ?? this.PHRASES.en[key], values);
+    },
+
+    getDefault(id, language) {
+        const defaults = this.getType(id)?.defaults || {};
+        return defaults[this.normalizeLanguage(language)] || defaults.en || '';
+    },
+
+    rosterSample(language, { over = false, urgent = false } = {}) {
+        const waves = over
+            ? [{ label: '10:20', confirmed: 6, rostered: 8 }]
+            : [{ label: '10:20', confirmed: 6, rostered: 4 }, { label: '10:40', confirmed: 6, rostered: 5 }];
+        const waveRows = waves.map(wave => `- **${wave.label}:** ${this.phrase(language, 'waveRow', wave)}`);
+        return {
+            dsp: 'ABCD',
+            dspName: 'ABCD Logistics',
+            serviceType: 'Cycle 1 (Standard Parcel)',
+            confirmed: 12,
+            rostered: over ? 14 : 9,
+            missing: over ? 0 : 3,
+            extra: over ? 2 : 0,
+            waves: waves.map(wave => `${wave.label} (${this.phrase(language, over ? 'waveExtra' : 'waveShort', { count: Math.abs(wave.rostered - wave.confirmed) })})`).join(', '),
+            waveBreakdown: `\n\n**${this.phrase(language, over ? 'wavesExtra' : 'wavesShort')}:**\n${waveRows.join('\n')}`,
+            deadline: `\n\n${this.phrase(language, urgent ? 'deadlineUrgent' : 'deadline', { time: '14:00' })}`,
+            deadlineTime: '14:00',
+            date: '2026-01-15'
+        };
+    },
+
+    getSample(id, language) {
+        const type = this.getType(id);
+        if (!type) return {};
+        const { over, urgent, table, dspTable, ...sample } = type.sample || {};
+        if (type.variables === 'roster') {
+            return { ...this.rosterSample(language, { over, urgent }), ...sample };
+        }
+        if (table === null) {
+            sample.table = `${this.phrase(language, 'reattemptTableHeader')}\n|---|---|---|---|---|---|---|\n| TBA000000001 | 🏢 BUSINESS_CLOSED | CX123 | Main St 1 | COMMERCIAL | 10:42 | 09:00-17:00 |\n`;
+        }
+        if (dspTable === null) {
+            sample.dspTable = `${this.phrase(language, 'escalationTableHeader')}\n|-----|-----|-----|-----|-----|\n| ABCD Logistics | 12 | 9 | 3 | 10:20 (${this.phrase(language, 'waveShort', { count: 2 })}) |\n`;
+        }
+        return sample;
+    },
+    // Replaces {placeholder} tokens; unknown tokens are left untouched
+    render(template, values) {
+        return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+            Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+        );
+    },
+
+    // Custom templates only, as { id: { language: text } }. Templates saved before
+    // languages existed were plain strings and count as English. Retired placeholders
+    // are removed, so the next save from the options page migrates them.
+    async loadCustom() {
+        try {
+            const { [this.STORAGE_KEY]: stored = {} } = await browser.storage.local.get(this.STORAGE_KEY);
+            const custom = {};
+            Object.entries(stored || {}).forEach(([id, value]) => {
+                const type = this.getType(id);
+                if (!type) return;
+                const texts = typeof value === 'string' ? { en: value } : (value || {});
+                const retired = type.retiredVariables || [];
+                const cleaned = Object.fromEntries(Object.entries(texts)
+                    .filter(([language, text]) => this.LANGUAGES[language] && String(text || '').trim())
+                    .map(([language, text]) => [language, retired.reduce((result, name) => result.split(`{${name}}`).join(''), String(text))]));
+                if (Object.keys(cleaned).length > 0) custom[id] = cleaned;
+            });
+            return custom;
+        } catch (error) {
+            console.warn('⚠️ Could not load message templates, using defaults:', error);
+            return {};
+        }
+    },
+
+    async get(id, language) {
+        const custom = await this.loadCustom();
+        return custom[id]?.[this.normalizeLanguage(language)] || this.getDefault(id, language);
+    },
+
+    async renderMessage(id, values, language) {
+        return this.render(await this.get(id, language), values);
+    },
+
+    async loadLanguages() {
+        try {
+            const { [this.LANGUAGES_KEY]: stored = {} } = await browser.storage.local.get(this.LANGUAGES_KEY);
+            const dsps = Object.fromEntries(Object.entries(stored?.dsps || {})
+                .filter(([, language]) => this.LANGUAGES[language])
+                .map(([dsp, language]) => [dsp.toUpperCase(), language]));
+            return { defaultLanguage: this.normalizeLanguage(stored?.defaultLanguage), dsps };
+        } catch (error) {
+            console.warn('⚠️ Could not load DSP languages, using defaults:', error);
+            return { defaultLanguage: this.DEFAULT_LANGUAGE, dsps: {} };
+        }
+    },
+
+    languageFor(languages, dsp) {
+        return languages.dsps[String(dsp || '').toUpperCase()] || languages.defaultLanguage;
+    },
+
+    async getDspLanguage(dsp) {
+        return this.languageFor(await this.loadLanguages(), dsp);
+    }
+};
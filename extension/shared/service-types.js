@@ -0,0 +1,143 @@
+// Service type registry shared by the background, content scripts, popup and options.
+// The built-in types below apply until the user edits the list in options; the
+// edited list is stored under `serviceTypeRegistry`.
+const ServiceTypeRegistry = {
+    STORAGE_KEY: 'serviceTypeRegistry',
+
+    // Row highlight for short (under) and over-rostered (over) DSPs when a type sets none
+    DEFAULT_COLORS: { under: '#ffebee', over: '#fff8e1' },
+
+    DEFAULTS: [
+        {
+            id: 'cycle1',
+            name: 'Standard Parcel',
+            displayName: 'Cycle 1 (Standard Parcel)',
+            shortName: 'Cycle 1',
+            pageLabels: ['Standard Parcel', 'Standard Parcel Medium Van'],
+            // Days after today of the roster date checked (Cycle 1 rosters tomorrow)
+            dateOffset: 1,
+            defaultEnabled: true,
+            colors: { under: '#ffebee', over: '#fff8e1' },
+            // Local HH:MM roster deadline until set in options; '' for none
+            deadline: '15:15',
+            // Default daily check times until the schedule is edited in options
+            checkTimes: ['14:00', '15:30']
+        },
+        {
+            id: 'samedayB',
+            name: 'Multi-Use',
+            displayName: 'Sameday B (Multi-Use)',
+            shortName: 'Sameday B',
+            pageLabels: ['Multi-Use'],
+            dateOffset: 0,
+            defaultEnabled: false,
+            colors: { under: '#f3e5f5', over: '#e8eaf6' },
+            deadline: '',
+            checkTimes: ['10:00']
+        },
+        {
+            id: 'samedayC',
+            name: 'Sameday Parcel',
+            displayName: 'Sameday C (Sameday Parcel)',
+            shortName: 'Sameday C',
+            pageLabels: ['Sameday Parcel'],
+            dateOffset: 0,
+            defaultEnabled: false,
+            colors: { under: '#e0f7fa', over: '#e8f5e9' },
+            deadline: '',
+            checkTimes: ['14:15']
+        }
+    ],
+
+    // Ids end up in alarm names split on '_', so they are kept alphanumeric.
+    // Colours, deadline and check times missing from an entry saved before they
+    // existed are taken from the built-in type with the same id.
+    normalize(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+        const id = String(entry.id || '').replace(/[^A-Za-z0-9]/g, '');
+        if (!id) return null;
+        const builtIn = this.DEFAULTS.find(defaults => defaults.id === id) || {};
+        const colors = entry.colors ?? builtIn.colors ?? {};
+        const times = entry.checkTimes ?? builtIn.checkTimes ?? [];
+        const timeList = Array.isArray(times) ? times : String(times).split(/[\n,]/);
+        const name = String(entry.name || '').trim() || id;
+        const labels = Array.isArray(entry.pageLabels) ? entry.pageLabels : String(entry.pageLabels || '').split(/[\n,]/);
+        const offset = parseInt(entry.dateOffset, 10);
+        return {
+            id,
+            name,
+            displayName: String(entry.displayName || '').trim() || name,
+            shortName: String(entry.shortName || '').trim() || name,
+            pageLabels: Array.from(new Set(labels.map(label => String(label).trim()).filter(Boolean))),
+            dateOffset: Number.isFinite(offset) ? Math.min(7, Math.max(0, offset)) : 0,
+            defaultEnabled: entry.defaultEnabled === true,
+            colors: {
+                under: this.normalizeColor(colors.under) || this.DEFAULT_COLORS.under,
+                over: this.normalizeColor(colors.over) || this.DEFAULT_COLORS.over
+            },
+            deadline: this.normalizeTime(entry.deadline ?? builtIn.deadline),
+            checkTimes: Array.from(new Set(timeList.map(time => this.normalizeTime(time)).filter(Boolean))).sort()
+        };
+    },
+
+    // '#rrggbb' (lower case), or '' when not a hex colour
+    normalizeColor(value) {
+        const match = String(value || '').trim().match(/^#([0-9a-f]{6})$/i);
+        return match ? `#${match[1].toLowerCase()}` : '';
+    },
+
+    // 'HH:MM', or '' when not a valid time of day
+    normalizeTime(value) {
+        const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) return '';
+        return `${match[1].padStart(2, '0')}:${match[2]}`;
+    },
+
+    // Highlight colour for a row of `entry` ('under' or 'over'); null entry uses the defaults
+    colorFor(entry, kind) {
+        return entry?.colors?.[kind] || this.DEFAULT_COLORS[kind] || this.DEFAULT_COLORS.under;
+    },
+
+    normalizeList(entries) {
+        const seen = new Set();
+        return (Array.isArray(entries) ? entries : [])
+            .map(entry => this.normalize(entry))
+            .filter(entry => entry && !seen.has(entry.id) && seen.add(entry.id));
+    },
+
+    async load() {
+        try {
+            const { [this.STORAGE_KEY]: stored } = await browser.storage.local.get(this.STORAGE_KEY);
+            const entries = this.normalizeList(stored);
+            return entries.length > 0 ? entries : this.normalizeList(this.DEFAULTS);
+        } catch (error) {
+            console.warn('⚠️ Could not load service type registry, using defaults:', error);
+            return this.normalizeList(this.DEFAULTS);
+        }
+    },
+
+    toMap(entries) {
+        return Object.fromEntries(entries.map(entry => [entry.id, entry]));
+    },
+
+    // Exact (case-insensitive) match of a scheduling page section label
+    findByLabel(entries, label) {
+        const text = String(label || '').trim().toLowerCase();
+        if (!text) return null;
+        return entries.find(entry => entry.pageLabels.some(l => l.toLowerCase() === text)) || null;
+    },
+
+    defaultEnabledMap(entries) {
+        return Object.fromEntries(entries.map(entry => [entry.id, entry.defaultEnabled]));
+    },
+
+    // YYYY-MM-DD in local time, `offset` days from today
+    formatDate(offset = 0, now = new Date()) {
+        const date = new Date(now);
+        date.setDate(date.getDate() + (Number(offset) || 0));
+        const yyyy = date.getFullYear();
+        const mm = String(date.getMonth() + 1).padStart(2, '0');
+        const dd = String(date.getDate()).padStart(2, '0');
+        return `${yyyy}-${mm}-${dd}`;
+    }
+};
@@ -0,0 +1,164 @@
+// Webhook destinations shared by the background and options pages.
+// `webhooks` (and each station's `webhooks`) maps a DSP code either to a single URL,
+// which receives every message category, or to a list of { url, label, categories, provider }
+// destinations such as the DSP ops room, the owner's room and a night-shift room.
+// The provider picks the payload format (background/providers.js); plain URLs are Chime.
+const WebhookDestinations = {
+    CATEGORIES: [
+        { id: 'roster', name: 'Roster' },
+        { id: 'risk', name: 'Risk' },
+        { id: 'reattempts', name: 'Reattempts' },
+        { id: 'summary', name: 'Summary' },
+        { id: 'broadcast', name: 'Broadcast' }
+    ],
+
+    // maxLength: longest message text (characters) sent as one post; longer ones are split
+    PROVIDERS: [
+        { id: 'chime', name: 'Amazon Chime', maxLength: 4000 },
+        { id: 'slack', name: 'Slack', maxLength: 4000 },
+        { id: 'teams', name: 'Microsoft Teams', maxLength: 18000 },
+        { id: 'json', name: 'Generic JSON', maxLength: 4000 }
+    ],
+    DEFAULT_PROVIDER: 'chime',
+
+    // Placeholders are replaced with JSON values, so they are written without quotes
+    DEFAULT_BODY_TEMPLATE: '{ "title": {title}, "text": {text}, "fields": {fields}, "table": {table} }',
+    BODY_TEMPLATE_VARIABLES: {
+        title: 'First line of the message',
+        text: 'Message text without the title, fields and table',
+        message: 'Whole message as plain text',
+        fields: 'Object of "Name: value" lines',
+        table: 'Table as { headers, rows }, or null',
+        dsp: 'DSP code the message is for',
+        job: 'Feature that sent the message'
+    },
+
+    // Category of each sending job; jobs not listed go to every destination
+    JOB_CATEGORIES: {
+        'mismatch-alert': 'roster',
+        'row-alert': 'roster',
+        'deadline-reminder': 'roster',
+        'over-roster-follow-up': 'roster',
+        'escalation': 'roster',
+        'risk-alert': 'risk',
+        'reattempt-report': 'reattempts',
+        'reattempt-action-plan': 'reattempts',
+        'summary': 'summary',
+        'manual-message': 'broadcast',
+        'broadcast': 'broadcast'
+    },
+
+    categoryIds() {
+        return this.CATEGORIES.map(category => category.id);
+    },
+
+    categoryForJob(job) {
+        return this.JOB_CATEGORIES[job] || null;
+    },
+
+    normalizeProvider(provider) {
+        const id = String(provider || '').trim().toLowerCase();
+        return this.PROVIDERS.some(p => p.id === id) ? id : this.DEFAULT_PROVIDER;
+    },
+
+    maxMessageLength(provider) {
+        const id = this.normalizeProvider(provider);
+        return this.PROVIDERS.find(p => p.id === id).maxLength;
+    },
+
+    isKnownProvider(provider) {
+        return this.PROVIDERS.some(p => p.id === String(provider || '').trim().toLowerCase());
+    },
+
+    // Fills a generic JSON body template; throws when the result is not valid JSON
+    renderBodyTemplate(template, values) {
+        const body = String(template || this.DEFAULT_BODY_TEMPLATE).replace(/\{(\w+)\}/g, (token, name) =>
+            Object.prototype.hasOwnProperty.call(this.BODY_TEMPLATE_VARIABLES, name)
+                ? JSON.stringify(values[name] ?? null)
+                : token);
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw new Error(`JSON body template is not valid JSON: ${error.message}`);
+        }
+    },
+
+    // Stored value (URL string or destination list) -> list of destinations
+    normalize(value) {
+        if (typeof value === 'string') {
+            return value.trim() ? [{ url: value.trim(), label: '', categories: this.categoryIds(), provider: this.DEFAULT_PROVIDER }] : [];
+        }
+        if (!Array.isArray(value)) return [];
+        const known = this.categoryIds();
+        return value
+            .filter(entry => entry && typeof entry.url === 'string' && entry.url.trim())
+            .map(entry => {
+                const destination = {
+                    url: entry.url.trim(),
+                    label: String(entry.label || '').trim(),
+                    categories: Array.isArray(entry.categories)
+                        ? known.filter(id => entry.categories.includes(id))
+                        : known,
+                    provider: this.normalizeProvider(entry.provider)
+                };
+                if (destination.provider === 'json') {
+                    destination.bodyTemplate = String(entry.bodyTemplate || '').trim() || this.DEFAULT_BODY_TEMPLATE;
+                }
+                return destination;
+            });
+    },
+
+    // Destination list -> stored value; a lone unlabelled all-category Chime destination stays a plain URL
+    compact(destinations) {
+        const list = this.normalize(destinations);
+        if (list.length === 0) return null;
+        const [first] = list;
+        if (list.length === 1 && !first.label && first.provider === this.DEFAULT_PROVIDER && first.categories.length === this.CATEGORIES.length) {
+            return list[0].url;
+        }
+        return list;
+    },
+
+    forCategory(value, category) {
+        const destinations = this.normalize(value);
+        return category ? destinations.filter(d => d.categories.includes(category)) : destinations;
+    },
+
+    forJob(value, job) {
+        return this.forCategory(value, this.categoryForJob(job));
+    },
+
+    // "roster|risk" (or separated by ';' / spaces) -> category ids.
+    // Empty text means every category; unknown names are dropped.
+    parseCategories(text) {
+        const names = String(text || '').toLowerCase().split(/[|;\s]+/).filter(Boolean);
+        if (names.length === 0) return this.categoryIds();
+        return this.categoryIds().filter(id => names.includes(id));
+    },
+
+    formatCategories(categories) {
+        return categories.length === this.CATEGORIES.length ? '' : categories.join('|');
+    },
+
+    // [{ dspCode, url, label, categories, provider, bodyTemplate }] -> webhooks map, several rows per DSP allowed
+    fromEntries(entries) {
+        const grouped = {};
+        entries.forEach(({ dspCode, url, label, categories, provider, bodyTemplate }) => {
+            const list = grouped[dspCode] || (grouped[dspCode] = []);
+            if (!list.some(d => d.url === url && d.label === (label || ''))) {
+                list.push({ url, label: label || '', categories, provider, bodyTemplate });
+            }
+        });
+        const webhooks = {};
+        Object.entries(grouped).forEach(([dspCode, list]) => {
+            const value = this.compact(list);
+            if (value) webhooks[dspCode] = value;
+        });
+        return webhooks;
+    },
+
+    toEntries(webhooks) {
+        return Object.entries(webhooks || {}).flatMap(([dspCode, value]) =>
+            this.normalize(value).map(destination => ({ dspCode, ...destination })));
+    }
+};